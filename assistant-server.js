@@ -1,8 +1,8 @@
 /**
- * assistant-server.js - API server for project generation using OpenAI Assistants or Google's Gemini with Code Interpreter
+ * assistant-server.js - API server for project generation using OpenAI Assistants, Google's Gemini or other LLM providers
  * 
  * This server creates complete, structured web application projects by combining
- * code generation from OpenAI Assistants or Google's Gemini with local scaffolding commands.
+ * code generation from a pluggable LLM provider with local scaffolding commands.
  */
 
 // Load environment variables from .env file
@@ -13,52 +13,155 @@ const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { OpenAI } = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const AdmZip = require('adm-zip');
-const { promisify } = require('util');
-const { spawn, exec } = require('child_process');
-const sleep = promisify(setTimeout);
+const { spawn } = require('child_process');
+const { loadJobs, saveJob, removeJob, compactJobs } = require('./lib/job-store');
+const { createUnifiedDiff } = require('./lib/diff');
+const { getProvider, listProviders } = require('./lib/providers');
+const { DEFAULT_SCAFFOLDER, getScaffolder, listScaffolders } = require('./lib/scaffolders');
+const { listTemplates, getTemplate, applyTemplate, applyOverlay } = require('./lib/templates');
+const { getDeployTarget, listDeployTargets, runDeployTarget, removeDeployment } = require('./lib/deploy-targets');
+const { getPreviewDir, getPreviewPath, getPreviewServerArtifact } = require('./lib/deploy-targets/preview');
+const { startPreviewServer, stopPreviewServer, stopIdlePreviewServers, stopAllPreviewServers, proxyPreviewRequest } = require('./lib/preview-servers');
+const { createResponseParser, detectProjectInfo } = require('./lib/response-parser');
+const { createToolRunner } = require('./lib/agent-tools');
+const { getPromptTemplate, listPromptTemplates, renderPromptTemplate } = require('./lib/prompt-templates');
+const { loadWritePolicy, checkWrite, applyWritePolicy } = require('./lib/write-policy');
+const { publishJobEvent, getJobEvents, subscribeToJobEvents, clearJobEvents } = require('./lib/job-events');
+const { redactSecrets, getLogPath, appendCommandLog, readCommandLog, removeCommandLog } = require('./lib/command-log');
+const { createProjectArchive } = require('./lib/project-archive');
+const { importZipProject, importGitProject, summarizeProject, detectImportedProjectInfo } = require('./lib/project-import');
+const { loadApiKeys, findApiKey, getRequestApiKey } = require('./lib/api-keys');
+const { checkRateLimit, getQuotaDay, getQuotaUsage, consumeQuota } = require('./lib/rate-limits');
+const { loadPricing, estimateCost, addUsage, appendUsage, summarizeUsage } = require('./lib/usage');
+const { hasRetentionLimits, getDirectorySize, selectExpiredJobs } = require('./lib/retention');
+const { mergeGeneratedFiles } = require('./lib/file-merge');
+const { loadDependencyVersions, inferDependencies } = require('./lib/dependency-inference');
+const { hasProjectHistory, commitProjectChanges, getProjectHistory, diffProjectRevisions, restoreProjectRevision } = require('./lib/project-history');
+const {
+  setMaxConcurrentJobs,
+  enqueueJob,
+  getQueuePosition,
+  getJobSignal,
+  killProcessTree,
+  trackChildProcess,
+  cancelJob,
+  getQueueStats
+} = require('./lib/job-queue');
 
 // Create Express app
 const app = express();
 const port = process.env.PORT || 3001; // Use 3001 to avoid conflict with codex-server
 
 // Apply middleware
-app.use(express.json());
 app.use(cors());
+// Check the API key before reading request bodies
+app.use(authenticateRequest);
+// Base projects can be uploaded as base64 ZIP archives, so allow large bodies. Preview
+// request bodies are left alone, so they reach preview servers unchanged.
+app.use(express.json({
+  limit: process.env.MAX_REQUEST_BODY || '50mb',
+  type: req => !req.path.startsWith('/preview/') && Boolean(req.is('application/json'))
+}));
 
 // Constants
 const OUTPUT_DIR_BASE = path.join(__dirname, 'generated_projects');
-const ASSISTANT_ID = process.env.ASSISTANT_ID;
-const POLLING_INTERVAL_MS = 2000; // 2 seconds
-const MAX_POLLING_ATTEMPTS = 300; // 10 minutes (300 attempts * 2 seconds)
-const VERCEL_TOKEN = process.env.VERCEL_TOKEN;
+const STAGING_DIR_BASE = path.join(OUTPUT_DIR_BASE, '.staging'); // Streamed files of jobs that are still generating
+const STREAM_GENERATION = process.env.STREAM_GENERATION !== 'false'; // Default for requests that don't set `stream`
+const DEFAULT_DEPLOY_TARGET = process.env.DEFAULT_DEPLOY_TARGET || (process.env.VERCEL_TOKEN ? 'vercel' : 'preview');
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/$/, ''); // Base for preview URLs
+const PREVIEW_IDLE_MS = parseFloat(process.env.PREVIEW_IDLE_MINUTES || '15') * 60 * 1000; // Preview servers without requests this long are stopped
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || path.join(__dirname, 'data', 'jobs.jsonl');
+const JOB_STORE_COMPACT_EVERY = 500; // Compact the store after this many appended snapshots
+const MAX_CONTEXT_CHARS = 200000; // Upper bound on project file content sent to the model as context
+const CONTEXT_IGNORE_DIRS = ['node_modules', '.git', '.vercel', '.next', 'dist', 'build'];
+const CONTEXT_IGNORE_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+const BUILD_FIX_ATTEMPTS = parseInt(process.env.BUILD_FIX_ATTEMPTS || '3', 10); // Times the model may fix a failing build
+const BUILD_OUTPUT_TAIL_CHARS = 4000; // Amount of install/build output kept per attempt and sent to the model
+const AGENT_TOOLS = process.env.AGENT_TOOLS !== 'false'; // Let providers that support tool calling work on the project
+const AGENT_MAX_TOOL_CALLS = parseInt(process.env.AGENT_MAX_TOOL_CALLS || '50', 10); // Tool calls allowed per prompt
+const DEFAULT_API_PROVIDER = process.env.DEFAULT_API_PROVIDER || 'openai';
+const PROMPT_TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, 'config', 'prompts');
+const DEFAULT_PROMPT_TEMPLATE = process.env.DEFAULT_PROMPT_TEMPLATE || 'default';
+const CSS_OPTIONS = ['tailwind', 'css']; // Values of the `css` generation option
+const WRITE_POLICY_PATH = process.env.WRITE_POLICY_PATH || path.join(__dirname, 'config', 'write-policy.json');
+const COMMAND_LOG_DIR = process.env.COMMAND_LOG_DIR || path.join(__dirname, 'data', 'logs');
+const SCAFFOLD_MODES = ['template', 'npx'];
+const SCAFFOLD_MODE = process.env.SCAFFOLD_MODE || 'template'; // Built-in templates, or npx create-* tools
+const IMPORT_ALLOWED_ROOTS = (process.env.IMPORT_ALLOWED_ROOTS || '').split(path.delimiter).filter(Boolean);
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '2', 10); // Generation jobs running at once
+const PROJECT_HISTORY = process.env.PROJECT_HISTORY !== 'false'; // Commit every change to a git repository in the project
+const DEPENDENCY_INFERENCE = process.env.DEPENDENCY_INFERENCE !== 'false'; // Add packages the code imports to package.json
+const DEPENDENCY_VERSIONS_PATH = process.env.DEPENDENCY_VERSIONS_PATH || path.join(__dirname, 'config', 'dependency-versions.json');
+const DEPENDENCY_REGISTRY_URL = process.env.DEPENDENCY_REGISTRY_URL || ''; // Registry mirror for packages without a pinned version
+
+// Time limits in milliseconds, per provider prompt and per command of each stage
+const STAGE_TIMEOUTS = {
+  generate: parseInt(process.env.GENERATE_TIMEOUT_MS || '600000', 10),
+  scaffold: parseInt(process.env.SCAFFOLD_TIMEOUT_MS || '300000', 10),
+  install: parseInt(process.env.INSTALL_TIMEOUT_MS || '600000', 10),
+  build: parseInt(process.env.BUILD_TIMEOUT_MS || '600000', 10),
+  deploy: parseInt(process.env.DEPLOY_TIMEOUT_MS || '900000', 10)
+};
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS || '600000', 10); // Commands outside those stages
+const COMMAND_OUTPUT_MAX_CHARS = 10 * 1024 * 1024; // Output kept per command stream (the end is kept)
+const API_KEYS_PATH = process.env.API_KEYS_PATH || path.join(__dirname, 'data', 'api-keys.json');
+const QUOTA_USAGE_PATH = process.env.QUOTA_USAGE_PATH || path.join(__dirname, 'data', 'quota-usage.json');
+const PRICING_PATH = process.env.PRICING_PATH || path.join(__dirname, 'config', 'pricing.json');
+const USAGE_LOG_PATH = process.env.USAGE_LOG_PATH || path.join(__dirname, 'data', 'usage.jsonl');
+
+// Finished jobs past any of these limits are deleted by the retention sweeper (0 = no limit)
+const RETENTION_POLICY = {
+  maxAgeMs: parseFloat(process.env.RETENTION_MAX_AGE_HOURS || '0') * 60 * 60 * 1000,
+  maxJobs: parseInt(process.env.RETENTION_MAX_JOBS || '0', 10),
+  maxTotalBytes: parseFloat(process.env.RETENTION_MAX_DISK_MB || '0') * 1024 * 1024
+};
+const RETENTION_SWEEP_INTERVAL_MS = parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MINUTES || '60') * 60 * 1000;
+const RETENTION_REMOVE_DEPLOYMENTS = process.env.RETENTION_REMOVE_DEPLOYMENTS === 'true'; // Also take down Vercel projects etc.
+
+// Limits for API keys that don't set their own; 0 means unlimited
+const DEFAULT_KEY_LIMITS = {
+  rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '60', 10),
+  dailyGenerations: parseInt(process.env.DAILY_GENERATION_QUOTA || '50', 10),
+  dailyDeploys: parseInt(process.env.DAILY_DEPLOY_QUOTA || '20', 10)
+};
 
 // Store ongoing deployments for status checking
 const deploymentJobs = new Map();
+let jobStoreWrites = 0;
+let garbageCollectionRunning = false;
 
-// Initialize API clients
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Rules for which model-generated files may be written
+const writePolicy = loadWritePolicy(WRITE_POLICY_PATH);
+
+// Token prices used to estimate what provider calls cost
+const pricing = loadPricing(PRICING_PATH);
+
+// Versions for packages added to package.json because the generated code imports them
+const dependencyVersions = loadDependencyVersions(DEPENDENCY_VERSIONS_PATH);
+
+// Limit how many generation jobs run at the same time; the rest wait in a queue
+setMaxConcurrentJobs(MAX_CONCURRENT_JOBS);
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Report which LLM providers can be used; requests for unconfigured providers are rejected
+const configuredProviders = listProviders().filter(provider => provider.isConfigured());
+if (configuredProviders.length === 0) {
+  console.warn('Warning: No LLM provider is configured. Set OPENAI_API_KEY and ASSISTANT_ID, GOOGLE_API_KEY, OPENAI_COMPATIBLE_BASE_URL and OPENAI_COMPATIBLE_MODEL, or ENABLE_MOCK_PROVIDER=true.');
+}
 
-// Verify necessary environment variables
-if (!process.env.OPENAI_API_KEY && !process.env.GOOGLE_API_KEY) {
-  console.error('Error: Either OPENAI_API_KEY or GOOGLE_API_KEY environment variable is required');
-  process.exit(1);
+// Without any API keys the server is open to anyone who can reach it
+if (loadApiKeys(API_KEYS_PATH).length === 0) {
+  console.warn(`Warning: No API keys found in ${API_KEYS_PATH}. Authentication, rate limits and quotas are disabled. Create a key with: npm run create-api-key -- --name <name>`);
 }
 
-if (!ASSISTANT_ID && !process.env.GOOGLE_API_KEY) {
-  console.error('Error: Either ASSISTANT_ID or GOOGLE_API_KEY environment variable is required');
-  process.exit(1);
+// New projects can't be generated without the default prompt template
+if (!getPromptTemplate(PROMPT_TEMPLATES_DIR, DEFAULT_PROMPT_TEMPLATE)) {
+  console.warn(`Warning: Default prompt template "${DEFAULT_PROMPT_TEMPLATE}" not found in ${PROMPT_TEMPLATES_DIR}. Requests must name a template.`);
 }
 
-// Warn if Vercel token is missing
-if (!VERCEL_TOKEN) {
-  console.warn('Warning: VERCEL_TOKEN environment variable is not set. Deployment functionality will be disabled.');
+// Warn if the default deploy target can't be used
+const defaultDeployTarget = getDeployTarget(DEFAULT_DEPLOY_TARGET);
+if (DEFAULT_DEPLOY_TARGET !== 'none' && (!defaultDeployTarget || !defaultDeployTarget.isConfigured())) {
+  console.warn(`Warning: Default deploy target "${DEFAULT_DEPLOY_TARGET}" is not available. Projects will not be deployed unless a request chooses another target.`);
 }
 
 // Ensure the output directory exists
@@ -70,9 +173,10 @@ if (!fs.existsSync(OUTPUT_DIR_BASE)) {
  * Helper function to recursively list all files in a directory
  * @param {string} dir - Directory to scan
  * @param {string} baseDir - Base directory for relative paths
+ * @param {Array<string>} [ignoreDirs] - Directory names to skip
  * @returns {Array<string>} Array of file paths relative to baseDir
  */
-function listFilesRecursively(dir, baseDir) {
+function listFilesRecursively(dir, baseDir, ignoreDirs = []) {
   let results = [];
   const list = fs.readdirSync(dir);
 
@@ -81,8 +185,11 @@ function listFilesRecursively(dir, baseDir) {
     const stat = fs.statSync(fullPath);
 
     if (stat && stat.isDirectory()) {
+      if (ignoreDirs.includes(file)) {
+        return;
+      }
       // Recurse into subdirectory
-      results = results.concat(listFilesRecursively(fullPath, baseDir));
+      results = results.concat(listFilesRecursively(fullPath, baseDir, ignoreDirs));
     } else {
       // Add file path relative to baseDir
       results.push(path.relative(baseDir, fullPath));
@@ -108,226 +215,421 @@ function isTextFile(filename) {
 }
 
 /**
- * Polls for a Run's status until it reaches a terminal state or exceeds max attempts
- * @param {string} threadId - Thread ID
- * @param {string} runId - Run ID
- * @returns {Object} The final Run object
+ * Read the contents of small text files in a project
+ * @param {string} projectDir - Path to the project directory
+ * @param {Array<string>} files - File paths relative to projectDir
+ * @returns {Object} - Object containing filename:content pairs
  */
-async function pollForRunCompletion(threadId, runId) {
-  let attempts = 0;
+function readProjectFileContents(projectDir, files) {
+  const fileContents = {};
 
-  while (attempts < MAX_POLLING_ATTEMPTS) {
-    attempts++;
+  files.forEach(file => {
+    try {
+      const filePath = path.join(projectDir, file);
+      const stats = fs.statSync(filePath);
 
-    const run = await openai.beta.threads.runs.retrieve(threadId, runId);
-
-    // Check if the Run reached a terminal state
-    if (['completed', 'failed', 'cancelled', 'expired'].includes(run.status)) {
-      return run;
+      // Only include small text files (< 1MB)
+      if (stats.size < 1024 * 1024 && isTextFile(file)) {
+        fileContents[file] = fs.readFileSync(filePath, 'utf8');
+      }
+    } catch (err) {
+      console.error(`Error reading file ${file}: ${err.message}`);
     }
+  });
+
+  return fileContents;
+}
+
+/**
+ * Save the current state of a job to the durable job store
+ * @param {Object} job - Job to persist
+ */
+function persistJob(job) {
+  try {
+    saveJob(JOB_STORE_PATH, job);
 
-    // If the Run needs action, the Assistants API would normally expect us to handle that.
-    // For simplicity in this implementation, we'll fail if this happens.
-    if (run.status === 'requires_action') {
-      console.error('Run requires action - not implemented in this version');
-      run.status = 'failed'; // Treat as failure for simplicity
-      return run;
+    jobStoreWrites++;
+    if (jobStoreWrites >= JOB_STORE_COMPACT_EVERY) {
+      compactJobs(JOB_STORE_PATH, deploymentJobs);
+      jobStoreWrites = 0;
     }
+  } catch (err) {
+    console.error(`Error persisting job ${job.id}: ${err.message}`);
+  }
+}
+
+/**
+ * Apply changes to a job, bump its timestamp and persist it
+ * @param {Object} job - Job to update
+ * @param {Object} changes - Fields to set on the job
+ */
+function updateJob(job, changes) {
+  const previousStatus = job.status;
+  const wasCompleted = job.completed;
 
-    // Wait before checking again
-    await sleep(POLLING_INTERVAL_MS);
+  Object.assign(job, changes, { lastUpdated: Date.now() });
+  persistJob(job);
+
+  // Let live clients know about stage transitions and the final result
+  if (job.status !== previousStatus) {
+    publishJobEvent(job.id, 'stage', { status: job.status, previousStatus });
   }
 
-  // If we reach here, the Run timed out
-  throw new Error('Run polling timed out after maximum attempts');
+  if (job.completed && !wasCompleted) {
+    publishJobEvent(job.id, 'result', buildStatusResponse(job));
+  }
 }
 
 /**
- * Extract code blocks from the Assistant's response
- * @param {string} threadId - Thread ID 
- * @returns {Object} Object containing extracted code files
+ * Build the public status description of a job
+ * @param {Object} job - Job to describe
+ * @returns {Object} - Status payload (without file contents)
  */
-async function extractCodeFromAssistantResponse(threadId) {
-  const extractedFiles = {};
+function buildStatusResponse(job) {
+  // Return different fields based on status
+  const response = {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    created: job.created,
+    lastUpdated: job.lastUpdated,
+    logsUrl: `/jobs/${job.id}/logs`,
+    deployTarget: job.deployTarget
+  };
+
+  const queuePosition = getQueuePosition(job.id);
+  if (queuePosition) {
+    response.queuePosition = queuePosition;
+  }
 
-  // List messages in the thread
-  const messagesList = await openai.beta.threads.messages.list(threadId);
+  if (job.baseProject) {
+    response.baseProject = job.baseProject;
+  }
 
-  // Find the most recent assistant message
-  let assistantMessage = null;
-  for (const message of messagesList.data) {
-    if (message.role === 'assistant') {
-      assistantMessage = message;
-      break;
-    }
+  if (job.generationOptions) {
+    response.generationOptions = job.generationOptions;
+  }
+
+  if (job.scaffold) {
+    response.scaffold = job.scaffold;
+  }
+
+  if (job.usage) {
+    response.usage = job.usage;
   }
 
-  if (!assistantMessage) {
-    throw new Error('No assistant message found in thread');
+  if (job.stagedFiles && !job.completed) {
+    response.stagedFiles = job.stagedFiles;
   }
 
-  // Extract text content from the message
-  let textContent = '';
-  for (const contentPart of assistantMessage.content) {
-    if (contentPart.type === 'text') {
-      textContent += contentPart.text.value;
+  if (job.partialFiles) {
+    response.partialFiles = job.partialFiles;
+  }
+
+  // Add additional fields based on status
+  if (job.completed) {
+    response.outputDir = job.outputDir;
+    response.archiveUrl = `/jobs/${job.id}/archive`;
+
+    if (job.error) {
+      response.error = job.error;
+    }
+
+    if (job.files) {
+      response.files = job.files;
+    }
+
+    if (job.deploymentUrl) {
+      response.deploymentUrl = job.deploymentUrl;
+    }
+
+    if (job.deployments) {
+      response.deployments = job.deployments;
+    }
+
+    if (job.parseWarnings) {
+      response.parseWarnings = job.parseWarnings;
+    }
+
+    if (job.rejectedWrites) {
+      response.rejectedWrites = job.rejectedWrites;
+    }
+
+    if (job.mergeReport) {
+      response.mergeReport = job.mergeReport;
+    }
+
+    if (job.dependencyReport) {
+      response.dependencyReport = job.dependencyReport;
+    }
+
+    if (job.buildAttempts) {
+      response.buildAttempts = job.buildAttempts;
+    }
+
+    if (job.refinements) {
+      response.refinements = job.refinements;
     }
   }
 
-  // Extract code blocks from the message
-  // Look for markdown-style code blocks with language annotations
-  const codeBlockRegex = /```([a-zA-Z0-9_+\.]+)?\s*(?:(?:\/\/|#)\s*filename:\s*([a-zA-Z0-9_\-\.\/]+))?\s*([^`]+)```/g;
-  let match;
+  return response;
+}
+
+/**
+ * Reload jobs from the job store after a restart
+ *
+ * Jobs that were still running when the server stopped are marked as interrupted,
+ * and output directories with no job record get a recovered entry so their status
+ * can still be looked up.
+ */
+function recoverJobs() {
+  let storedJobs;
+  try {
+    storedJobs = loadJobs(JOB_STORE_PATH);
+  } catch (err) {
+    console.error(`Error loading job store ${JOB_STORE_PATH}: ${err.message}`);
+    storedJobs = new Map();
+  }
 
-  while ((match = codeBlockRegex.exec(textContent)) !== null) {
-    // Extract language, optional filename, and code content
-    const lang = match[1] || 'txt';
-    const explicitFilename = match[2]; // May be undefined
-    const code = match[3].trim();
+  let interrupted = 0;
+  let recovered = 0;
 
-    // Determine filename
-    let filename;
-    if (explicitFilename) {
-      // Use explicitly provided filename
-      filename = explicitFilename;
-    } else {
-      // If no filename is specified, try to infer from the first line
-      const firstLineMatch = code.match(/^(?:\/\/|#|\/\*)\s*filename:\s*([a-zA-Z0-9_\-\.\/]+)/);
-      if (firstLineMatch) {
-        filename = firstLineMatch[1];
-      } else {
-        // Default filename based on language
-        const extension = getExtensionFromLanguage(lang);
-        filename = `file${Object.keys(extractedFiles).length + 1}${extension}`;
+  for (const [id, job] of storedJobs) {
+    if (!job.completed) {
+      job.error = `Server restarted while the job was ${job.status}`;
+      job.status = 'interrupted';
+      job.completed = true;
+      job.lastUpdated = Date.now();
+      const partialFiles = salvageStagedFiles(job);
+      if (partialFiles.length > 0) {
+        job.partialFiles = partialFiles;
       }
+      interrupted++;
     }
-
-    // Store the extracted code
-    extractedFiles[filename] = code;
+    deploymentJobs.set(id, job);
   }
 
-  // Extract project information
-  const projectInfo = {
-    framework: 'react', // Default
-    language: 'javascript', // Default
-    cssFramework: null,
-    features: []
-  };
+  // Whatever is still staged belongs to jobs that no longer exist
+  fs.rmSync(STAGING_DIR_BASE, { recursive: true, force: true });
 
-  // Try to detect framework and features from the code and message
-  if (textContent.toLowerCase().includes('typescript') ||
-    Object.keys(extractedFiles).some(file => file.endsWith('.ts') || file.endsWith('.tsx'))) {
-    projectInfo.language = 'typescript';
-  }
-
-  if (textContent.toLowerCase().includes('tailwind') ||
-    (extractedFiles['package.json'] && extractedFiles['package.json'].includes('tailwindcss'))) {
-    projectInfo.cssFramework = 'tailwind';
-  }
-
-  if (textContent.toLowerCase().includes('next.js') ||
-    (extractedFiles['package.json'] && extractedFiles['package.json'].includes('next'))) {
-    projectInfo.framework = 'next';
-  }
-
-  return { files: extractedFiles, projectInfo };
-}
-
-/**
- * Helper function to determine file extension from code language
- * @param {string} language - Programming language identifier
- * @returns {string} - File extension including the dot
- */
-function getExtensionFromLanguage(language) {
-  const langMap = {
-    'javascript': '.js',
-    'js': '.js',
-    'typescript': '.ts',
-    'ts': '.ts',
-    'jsx': '.jsx',
-    'tsx': '.tsx',
-    'python': '.py',
-    'py': '.py',
-    'ruby': '.rb',
-    'java': '.java',
-    'c': '.c',
-    'cpp': '.cpp',
-    'csharp': '.cs',
-    'cs': '.cs',
-    'go': '.go',
-    'html': '.html',
-    'css': '.css',
-    'json': '.json',
-    'yaml': '.yml',
-    'shell': '.sh',
-    'bash': '.sh',
-    'php': '.php',
-    'swift': '.swift',
-    'rust': '.rs',
-    'kotlin': '.kt',
-    'sql': '.sql'
-  };
+  // Rebuild entries for output directories that have no job record
+  for (const entry of fs.readdirSync(OUTPUT_DIR_BASE, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.') || deploymentJobs.has(entry.name)) {
+      continue;
+    }
+
+    const projectDir = path.join(OUTPUT_DIR_BASE, entry.name);
+    const stats = fs.statSync(projectDir);
+
+    deploymentJobs.set(entry.name, {
+      id: entry.name,
+      prompt: null,
+      outputDir: `generated_projects/${entry.name}`,
+      status: 'recovered',
+      created: Math.round(stats.birthtimeMs || stats.ctimeMs),
+      lastUpdated: Math.round(stats.mtimeMs),
+      completed: true,
+      apiProvider: null,
+      files: listFilesRecursively(projectDir, projectDir, ['node_modules', '.git', '.vercel'])
+    });
+    recovered++;
+  }
+
+  // Start from a compact store that reflects the recovered state
+  compactJobs(JOB_STORE_PATH, deploymentJobs);
 
-  return langMap[language.toLowerCase()] || '.txt';
+  console.log(`Loaded ${deploymentJobs.size} jobs from ${JOB_STORE_PATH} (${interrupted} interrupted, ${recovered} recovered from disk)`);
 }
 
 /**
  * Execute a shell command with proper error handling
+ *
+ * The command runs in its own process group, so a timeout or a cancelled job kills it
+ * together with everything it started.
  * @param {string} command - Command to execute
  * @param {string} cwd - Working directory
+ * @param {Object} [options]
+ * @param {Object} [options.job] - Job the command runs for; the command is added to its log,
+ *   output lines are published as job events, and cancelling the job kills the command
+ * @param {string} [options.stage] - Stage recorded in the command log (defaults to the job status)
+ * @param {number} [options.timeout] - Milliseconds before the command is killed (default COMMAND_TIMEOUT_MS)
  * @returns {Promise<string>} - Command output
  */
-function executeCommand(command, cwd) {
+function executeCommand(command, cwd, options = {}) {
+  const { job, timeout = COMMAND_TIMEOUT_MS } = options;
+  const prefix = job ? `[job ${job.id}] ` : '';
+  const startedAt = Date.now();
+  let timedOut = false;
+
   return new Promise((resolve, reject) => {
-    exec(command, { cwd }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`Command execution error: ${error.message}`);
-        console.error(`stderr: ${stderr}`);
+    // exec() can't start a process group, so spawn the shell directly
+    const child = spawn(command, { cwd, shell: true, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    const output = { stdout: '', stderr: '' };
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', chunk => {
+        output[stream] = (output[stream] + chunk).slice(-COMMAND_OUTPUT_MAX_CHARS);
+      });
+    }
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child);
+    }, timeout);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      console.error(`${prefix}Command execution error: ${redactSecrets(error.message)}`);
+      error.stdout = output.stdout;
+      error.stderr = output.stderr;
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const { stdout, stderr } = output;
+
+      if (job) {
+        recordCommand(job, {
+          stage: options.stage || job.status,
+          command,
+          cwd,
+          exitCode: code,
+          signal,
+          startedAt,
+          durationMs: Date.now() - startedAt,
+          stdout,
+          stderr
+        });
+      }
+
+      if (code !== 0) {
+        let message = `Command failed: ${command}`;
+        if (timedOut) {
+          message = `Command timed out after ${Math.round(timeout / 1000)}s: ${command}`;
+        } else if (job && getJobSignal(job.id) && getJobSignal(job.id).aborted) {
+          message = `Command cancelled: ${command}`;
+        }
+
+        const error = new Error(message);
+        error.code = code;
+        error.signal = signal;
+        console.error(`${prefix}Command execution error: ${redactSecrets(error.message)}`);
+        console.error(`${prefix}stderr: ${redactSecrets(stderr)}`);
+        // Keep the output on the error so callers can report why the command failed
+        error.stdout = stdout;
+        error.stderr = stderr;
         reject(error);
         return;
       }
 
       if (stderr) {
-        console.warn(`Command stderr: ${stderr}`);
+        console.warn(`${prefix}Command stderr: ${redactSecrets(stderr)}`);
       }
 
       resolve(stdout);
     });
+
+    if (job) {
+      trackChildProcess(job.id, child);
+      streamCommandOutput(child, job);
+    }
   });
 }
 
 /**
- * Create a new project using a scaffolding tool
- * @param {string} outputDir - Directory to create the project in
- * @param {Object} projectInfo - Information about the project type
- * @returns {Promise<string>} - Path to the created project
+ * Add a finished command to the job's command log
+ * @param {Object} job - Job the command ran for
+ * @param {Object} entry - Command details (see appendCommandLog)
  */
-async function createScaffoldedProject(outputDir, projectInfo) {
-  // Determine scaffolding command based on project info
-  let scaffoldCmd;
+function recordCommand(job, entry) {
+  try {
+    appendCommandLog(COMMAND_LOG_DIR, job.id, {
+      ...entry,
+      // Project paths are more useful relative to the server directory
+      cwd: path.relative(__dirname, entry.cwd) || '.'
+    });
+  } catch (err) {
+    console.error(`Error writing command log for job ${job.id}: ${err.message}`);
+  }
+}
 
-  if (projectInfo.framework === 'next') {
-    // Next.js project
-    const template = projectInfo.language === 'typescript' ? '--typescript' : '';
-    scaffoldCmd = `npx create-next-app@latest . ${template} --eslint --use-npm --src-dir --app --tailwind=false`;
-  } else {
-    // React project with Vite
-    const template = projectInfo.language === 'typescript' ? 'react-ts' : 'react';
-    scaffoldCmd = `npx create-vite@latest . --template ${template}`;
+/**
+ * Publish the output of a child process line by line as job events
+ * @param {ChildProcess} child - Running child process
+ * @param {Object} job - Job the command runs for
+ */
+function streamCommandOutput(child, job) {
+  for (const stream of ['stdout', 'stderr']) {
+    let partial = '';
+
+    child[stream].on('data', chunk => {
+      const lines = (partial + chunk).split(/\r?\n/);
+      partial = lines.pop();
+      lines.filter(line => line.trim() !== '').forEach(line => {
+        publishJobEvent(job.id, 'log', { stream, line: redactSecrets(line) });
+      });
+    });
+
+    child[stream].on('end', () => {
+      if (partial.trim() !== '') {
+        publishJobEvent(job.id, 'log', { stream, line: redactSecrets(partial) });
+      }
+    });
   }
+}
 
-  console.log(`Scaffolding new project with: ${scaffoldCmd}`);
+/**
+ * Create a new project using the scaffolder for its framework
+ *
+ * By default the project is copied from the framework's built-in template, which works
+ * offline and always produces the same files. In npx mode the framework's `create-*` tool is
+ * run instead; frameworks without one still use their template.
+ * @param {string} outputDir - Directory to create the project in
+ * @param {Object} projectInfo - Information about the project type
+ * @param {Object} job - Job the project is created for
+ * @param {string} [scaffoldMode] - 'template' or 'npx' (default SCAFFOLD_MODE)
+ * @returns {Promise<string>} - Path to the created project
+ */
+async function createScaffoldedProject(outputDir, projectInfo, job, scaffoldMode = SCAFFOLD_MODE) {
+  const scaffolder = getScaffolder(projectInfo.framework) || getScaffolder(DEFAULT_SCAFFOLDER);
+  const variables = { projectName: `ai-project-${job.id}` };
+  let scaffold;
 
   try {
-    // Execute the scaffolding command
-    await executeCommand(scaffoldCmd, outputDir);
+    if (scaffoldMode === 'npx' && scaffolder.scaffoldCommand) {
+      const scaffoldCmd = scaffolder.scaffoldCommand(projectInfo);
+      console.log(`Scaffolding new ${scaffolder.displayName} project with: ${scaffoldCmd}`);
+      await executeCommand(scaffoldCmd, outputDir, { job, timeout: STAGE_TIMEOUTS.scaffold });
+      scaffold = { mode: 'npx', command: scaffoldCmd };
+    } else {
+      const template = getTemplate(scaffolder.name, projectInfo.language);
+      if (!template) {
+        throw new Error(`No built-in template for ${scaffolder.displayName}`);
+      }
+      console.log(`Scaffolding new ${scaffolder.displayName} project from template ${template.name}@${template.version}`);
+      applyTemplate(template, outputDir, variables);
+      scaffold = { mode: 'template', template: template.name, version: template.version };
+    }
 
-    // Install additional dependencies if needed
-    if (projectInfo.cssFramework === 'tailwind' && projectInfo.framework !== 'next') {
-      console.log('Installing Tailwind CSS...');
-      await executeCommand('npm install -D tailwindcss postcss autoprefixer', outputDir);
-      await executeCommand('npx tailwindcss init -p', outputDir);
+    // Add optional features on top of the skeleton
+    const overlays = [];
+    if (projectInfo.cssFramework === 'tailwind' && scaffolder.supportsTailwind) {
+      console.log('Adding Tailwind CSS...');
+      applyOverlay('tailwind', outputDir, variables);
+      overlays.push('tailwind');
+    }
+    if (projectInfo.features.includes('tests') && fs.existsSync(path.join(outputDir, 'package.json'))) {
+      console.log('Adding Vitest...');
+      applyOverlay('vitest', outputDir, variables);
+      overlays.push('vitest');
     }
+    if (overlays.length > 0) {
+      scaffold.overlays = overlays;
+    }
+
+    updateJob(job, { scaffold });
 
     return outputDir;
   } catch (error) {
@@ -336,13 +638,60 @@ async function createScaffoldedProject(outputDir, projectInfo) {
   }
 }
 
+/**
+ * Apply the write policy to generated files, recording rejected writes on the job
+ * @param {Object} job - Job the files belong to
+ * @param {string} projectDir - Path to the project
+ * @param {Object} files - Object containing filename:content pairs
+ * @returns {Object} - { allowed: normalized path:content pairs, rejected: [{ path, reason }] }
+ */
+function filterGeneratedFiles(job, projectDir, files) {
+  const { allowed, rejected } = applyWritePolicy(projectDir, files, writePolicy);
+
+  if (rejected.length > 0) {
+    rejected.forEach(entry => console.warn(`Rejected write to ${entry.path}: ${entry.reason}`));
+    const rejectedWrites = (job.rejectedWrites || []).concat(
+      rejected.map(entry => ({ ...entry, created: Date.now() }))
+    );
+    updateJob(job, { rejectedWrites });
+  }
+
+  return { allowed, rejected };
+}
+
 /**
  * Add generated code files to the scaffolded project
+ *
+ * With `merge`, files the project already has are merged instead of overwritten (see
+ * lib/file-merge.js) and the outcome for every file is recorded as the job's `mergeReport`.
+ * Fixes and refinements leave it off: there the model deliberately changes its own files.
  * @param {string} projectDir - Path to the scaffolded project
  * @param {Object} files - Object containing filename:content pairs
+ * @param {Object} job - Job the files belong to; rejected writes are recorded on it
+ * @param {Object} [options]
+ * @param {boolean} [options.merge] - Merge into the scaffold's files
+ * @returns {Promise<Array<string>>} - Paths of the files that were written
  */
-async function addGeneratedCodeToProject(projectDir, files) {
-  for (const [filename, content] of Object.entries(files)) {
+async function addGeneratedCodeToProject(projectDir, files, job, options = {}) {
+  const { allowed: allowedFiles } = filterGeneratedFiles(job, projectDir, files);
+  let filesToWrite = allowedFiles;
+
+  if (options.merge) {
+    const merge = await mergeGeneratedFiles(projectDir, allowedFiles);
+    filesToWrite = merge.files;
+
+    merge.remove.forEach(filename => {
+      fs.rmSync(path.join(projectDir, filename), { force: true });
+      console.log(`Removed replaced file: ${filename}`);
+    });
+    merge.report
+      .filter(entry => entry.action === 'merged' || entry.action === 'kept')
+      .forEach(entry => console.log(`${entry.action === 'merged' ? 'Merged' : 'Kept scaffold version of'} ${entry.path}${entry.reason ? ` (${entry.reason})` : ''}`));
+
+    updateJob(job, { mergeReport: merge.report });
+  }
+
+  for (const [filename, content] of Object.entries(filesToWrite)) {
     // Create directory for the file if it doesn't exist
     const filePath = path.join(projectDir, filename);
     const directory = path.dirname(filePath);
@@ -355,232 +704,253 @@ async function addGeneratedCodeToProject(projectDir, files) {
     fs.writeFileSync(filePath, content);
     console.log(`Added file: ${filename}`);
   }
+
+  return Object.keys(filesToWrite);
 }
 
 /**
- * Deploy a generated project to Vercel
+ * Commit a project's changes to its history
+ *
+ * History is a record, not part of the pipeline: when git fails the error is logged and
+ * the job carries on.
+ * @param {Object} job - Job the project belongs to
  * @param {string} projectDir - Path to the project directory
- * @param {string} projectName - Name to use for the deployment
- * @returns {Promise<Object>} - Deployment information including URL
+ * @param {Object} entry - { summary, stage, body?, provider? }
+ * @returns {Promise<string|null>} - Hash of the new commit, or null if nothing was committed
  */
-async function deployToVercel(projectDir, projectName) {
-  if (!VERCEL_TOKEN) {
-    throw new Error('Vercel token not configured. Cannot deploy project.');
+async function recordProjectHistory(job, projectDir, entry) {
+  if (!PROJECT_HISTORY) {
+    return null;
   }
 
   try {
-    console.log(`Building project in ${projectDir}...`);
-
-    // Install dependencies if needed
-    console.log('Installing dependencies...');
-    await executeCommand('npm install', projectDir);
-
-    // Ensure essential Vite/React build dependencies are installed
-    // This addresses cases where the AI-generated package.json might be incomplete
-    console.log('Ensuring Vite React plugin is installed...');
-    await executeCommand('npm install @vitejs/plugin-react --save-dev', projectDir);
-
-    // Remove any existing .vercel directory if it exists
-    // This is crucial for resolving the "Project Settings are invalid" error
-    const vercelConfigDir = path.join(projectDir, '.vercel');
-    if (fs.existsSync(vercelConfigDir)) {
-      console.log(`Attempting to remove existing .vercel directory: ${vercelConfigDir}`);
-      try {
-        fs.rmSync(vercelConfigDir, { recursive: true, force: true });
-        console.log('.vercel directory removed successfully.');
-      } catch (rmErr) {
-        console.error(`Error removing .vercel directory: ${rmErr.message}`);
-        // Decide if we should proceed or throw? For now, log and continue.
-      }
+    const commit = await commitProjectChanges(projectDir, { ...entry, jobId: job.id });
+    if (commit) {
+      console.log(`[job ${job.id}] Committed ${commit.slice(0, 7)}: ${entry.summary}`);
     }
+    return commit;
+  } catch (error) {
+    console.error(`[job ${job.id}] Could not record project history: ${error.message}`);
+    return null;
+  }
+}
 
-    // Create a .vercelignore file
-    fs.writeFileSync(
-      path.join(projectDir, '.vercelignore'),
-      'README.md\nnode_modules\n.git'
-    );
-
-    // Deploy to Vercel with proper flags:
-    // --confirm: Non-interactive equivalent of --yes in newer CLI, avoids prompting.
-    // --name: Specifies a unique project name, helps Vercel create a new project if needed.
-    // --prod: Ensures we deploy to production and get the production URL
-    console.log('Deploying to Vercel...');
-    const deployCommand = `npx vercel deploy --token=${VERCEL_TOKEN} --name=${projectName} --confirm --prod`;
-    console.log(`Executing Vercel command: ${deployCommand}`);
-    const deployOutput = await executeCommand(
-      deployCommand,
-      projectDir
-    );
+/**
+ * Add the packages a project imports but doesn't list to its package.json
+ *
+ * The outcome is recorded as the job's `dependencyReport`: packages added so far, and the
+ * unresolved and unused packages found by the latest run.
+ * @param {Object} job - Job the project belongs to
+ * @param {string} projectDir - Path to the project directory
+ * @returns {Promise<Object|null>} - { added, unresolved, unused }, or null if nothing was checked
+ */
+async function addMissingDependencies(job, projectDir) {
+  if (!DEPENDENCY_INFERENCE || !fs.existsSync(path.join(projectDir, 'package.json'))) {
+    return null;
+  }
 
-    // Parse deployment URL from output and ensure it's the production URL
-    const urlMatch = deployOutput.match(/(https:\/\/[^\s]+)/);
-    let deploymentUrl = urlMatch ? urlMatch[0].trim() : null;
-
-    // Clean up the URL to ensure it's the production URL
-    if (deploymentUrl) {
-      // Remove any preview/temporary suffix (anything after '-' before .vercel.app)
-      deploymentUrl = deploymentUrl.replace(/-[a-z0-9]+\.vercel\.app/, '.vercel.app');
-      // Ensure trailing slash for consistency
-      if (!deploymentUrl.endsWith('/')) {
-        deploymentUrl += '/';
-      }
-    }
+  try {
+    const scaffolder = job.projectInfo && getScaffolder(job.projectInfo.framework);
+    const result = await inferDependencies(projectDir, {
+      versions: dependencyVersions,
+      registryUrl: DEPENDENCY_REGISTRY_URL,
+      nodeBuiltins: scaffolder ? Boolean(scaffolder.nodeBuiltins) : true
+    });
 
-    if (!deploymentUrl) {
-      throw new Error('Could not extract deployment URL from Vercel output');
+    result.added.forEach(entry => console.log(`[job ${job.id}] Added ${entry.name}@${entry.version} to ${entry.section} (imported by ${entry.importedBy.join(', ')})`));
+    if (result.unresolved.length > 0) {
+      console.warn(`[job ${job.id}] No version known for imported packages: ${result.unresolved.map(entry => entry.name).join(', ')}`);
     }
 
-    console.log(`Deployment successful: ${deploymentUrl}`);
-
-    return {
-      success: true,
-      url: deploymentUrl,
-      output: deployOutput
-    };
+    const previousAdded = job.dependencyReport ? job.dependencyReport.added : [];
+    updateJob(job, {
+      dependencyReport: {
+        added: previousAdded.concat(result.added),
+        unresolved: result.unresolved,
+        unused: result.unused
+      }
+    });
+    return result;
   } catch (error) {
-    console.error('Deployment error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    // A package.json the model broke is reported by npm install, which the model can then fix
+    console.error(`[job ${job.id}] Could not infer dependencies: ${error.message}`);
+    return null;
   }
 }
 
 /**
- * Generate code using Gemini API
- * @param {string} prompt - User's project description
- * @returns {Promise<Object>} - Generated code files and project info
+ * Get the directory where a job's files are staged while the model is still answering
+ * @param {string} jobId - Job ID
+ * @returns {string} - Absolute path
  */
-async function generateCodeWithGemini(prompt) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-    const enhancedPrompt = `
-I need you to generate code for a web application based on the following requirements:
+function getStagingDir(jobId) {
+  return path.join(STAGING_DIR_BASE, jobId);
+}
 
-${prompt}
+/**
+ * Write a generated file to the job's staging directory as soon as the model has finished it
+ *
+ * New projects are scaffolded only after generation, so streamed files can't go into the
+ * output directory yet. Staged files are listed on the job while it runs.
+ * @param {Object} job - Job the file belongs to
+ * @param {string} filename - Path as emitted by the model
+ * @param {string} content - File content
+ */
+function stageGeneratedFile(job, filename, content) {
+  const stagingDir = getStagingDir(job.id);
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  // Rejected files are recorded when the whole answer is added to the project
+  const check = checkWrite(stagingDir, filename, content, writePolicy);
+  const stagedFiles = job.stagedFiles || [];
+  if (!check.allowed || (!stagedFiles.includes(check.path) && stagedFiles.length >= writePolicy.maxFiles)) {
+    return;
+  }
 
-Please provide ALL the code files needed for this project including:
-1. React components (.jsx/.tsx files)
-2. CSS/Styling files
-3. Configuration files (like package.json, vite.config.js, etc.)
-4. Any utility functions or hooks
-5. Main entry points (index.js, App.js, etc.)
+  const filePath = path.join(stagingDir, check.path);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
 
-For each code file, please use the format:
-\`\`\`language
-// filename: path/to/filename.ext
-// Code content here
-\`\`\`
+  if (!stagedFiles.includes(check.path)) {
+    updateJob(job, { stagedFiles: stagedFiles.concat(check.path) });
+  }
+}
 
-DO NOT try to execute npm or npx commands - just provide the code files.
-I will handle the setup and installation myself.
-`;
+/**
+ * Move the staged files of a job that stopped before its generated code was added into
+ * its output directory, so the partial answer isn't lost
+ * @param {Object} job - Job that stopped
+ * @returns {Array<string>} - Paths of the files that were kept
+ */
+function salvageStagedFiles(job) {
+  const stagingDir = getStagingDir(job.id);
+  if (!fs.existsSync(stagingDir)) {
+    return [];
+  }
 
-    const result = await model.generateContent(enhancedPrompt);
-    const response = await result.response;
-    const text = response.text();
+  let partialFiles = listFilesRecursively(stagingDir, stagingDir);
 
-    // Extract code blocks and project info
-    const { files, projectInfo } = extractCodeFromResponse(text);
-    return { files, projectInfo };
-  } catch (error) {
-    console.error('Error generating code with Gemini:', error);
-    throw error;
+  try {
+    fs.cpSync(stagingDir, path.join(OUTPUT_DIR_BASE, job.id), { recursive: true });
+    console.log(`[job ${job.id}] Kept ${partialFiles.length} file(s) generated before the job stopped`);
+  } catch (err) {
+    console.error(`[job ${job.id}] Could not keep staged files: ${err.message}`);
+    partialFiles = [];
   }
+
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  return partialFiles;
 }
 
 /**
- * Extract code blocks from API response
- * @param {string} response - API response text
- * @returns {Object} - Extracted code files and project info
+ * Keep only the end of a long command output
+ * @param {string} text - Output text
+ * @returns {string} - The last BUILD_OUTPUT_TAIL_CHARS characters
  */
-function extractCodeFromResponse(response) {
-  const extractedFiles = {};
-  const projectInfo = {
-    framework: 'react',
-    language: 'javascript',
-    cssFramework: null,
-    features: []
-  };
-
-  // Look for markdown-style code blocks with language annotations
-  const codeBlockRegex = /```([a-zA-Z0-9_+\.]+)?\s*(?:(?:\/\/|#)\s*filename:\s*([a-zA-Z0-9_\-\.\/]+))?\s*([^`]+)```/g;
-  let match;
+function tailOutput(text) {
+  return text.length > BUILD_OUTPUT_TAIL_CHARS ? text.slice(-BUILD_OUTPUT_TAIL_CHARS) : text;
+}
 
-  while ((match = codeBlockRegex.exec(response)) !== null) {
-    const lang = match[1] || 'txt';
-    const explicitFilename = match[2];
-    const code = match[3].trim();
+/**
+ * Install and build a project once
+ *
+ * The build step is skipped when the project has no build script or its framework
+ * doesn't build.
+ * @param {Object} job - Job the project belongs to
+ * @param {string} projectDir - Path to the project directory
+ * @returns {Promise<Object>} - { success } or, if a step failed, { success, step, command, output } with the end of its output
+ */
+async function runProjectBuild(job, projectDir) {
+  const scaffolder = job.projectInfo && getScaffolder(job.projectInfo.framework);
+  const buildCommand = scaffolder ? scaffolder.buildCommand : 'npm run build';
 
-    let filename;
-    if (explicitFilename) {
-      filename = explicitFilename;
-    } else {
-      const firstLineMatch = code.match(/^(?:\/\/|#|\/\*)\s*filename:\s*([a-zA-Z0-9_\-\.\/]+)/);
-      if (firstLineMatch) {
-        filename = firstLineMatch[1];
-      } else {
-        const extension = getExtensionFromLanguage(lang);
-        filename = `file${Object.keys(extractedFiles).length + 1}${extension}`;
-      }
+  const steps = ['install'];
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+    if (buildCommand && packageJson.scripts && packageJson.scripts.build) {
+      steps.push('build');
     }
-
-    extractedFiles[filename] = code;
+  } catch (err) {
+    // A broken package.json makes npm install fail, which is reported below
   }
 
-  // Detect project type and features
-  if (response.toLowerCase().includes('typescript') ||
-    Object.keys(extractedFiles).some(file => file.endsWith('.ts') || file.endsWith('.tsx'))) {
-    projectInfo.language = 'typescript';
+  for (const step of steps) {
+    const result = await runVerificationStep(step, projectDir, job, buildCommand);
+    if (!result.success) {
+      return { success: false, step, command: result.command, output: tailOutput(result.output) };
+    }
   }
 
-  if (response.toLowerCase().includes('tailwind') ||
-    (extractedFiles['package.json'] && extractedFiles['package.json'].includes('tailwindcss'))) {
-    projectInfo.cssFramework = 'tailwind';
-  }
+  return { success: true };
+}
 
-  if (response.toLowerCase().includes('next.js') ||
-    (extractedFiles['package.json'] && extractedFiles['package.json'].includes('next'))) {
-    projectInfo.framework = 'next';
+/**
+ * Run one verification step (install or build) in a project
+ * @param {string} step - 'install' or 'build'
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} job - Job being verified
+ * @param {string} [buildCommand] - Command for the build step (default `npm run build`)
+ * @returns {Promise<Object>} - { success, command, output } (output has secrets redacted, since
+ *   it is stored on the job and sent to the model)
+ */
+async function runVerificationStep(step, projectDir, job, buildCommand = 'npm run build') {
+  const command = step === 'install' ? 'npm install' : buildCommand;
+  console.log(`Verifying project: ${command}`);
+
+  try {
+    const output = await executeCommand(command, projectDir, { job, timeout: STAGE_TIMEOUTS[step] });
+    return { success: true, command, output: redactSecrets(output) };
+  } catch (error) {
+    const output = `${error.stderr || ''}\n${error.stdout || ''}`.trim();
+    return { success: false, command, output: redactSecrets(output || error.message) };
   }
+}
+
+/**
+ * Find project files that are mentioned in install or build output
+ * @param {string} projectDir - Path to the project directory
+ * @param {string} output - Command output
+ * @returns {Array<string>} - File paths relative to projectDir
+ */
+function findFilesInOutput(projectDir, output) {
+  // Error messages often use absolute paths, so strip the project prefix first
+  const normalizedOutput = output.split(projectDir + path.sep).join('');
 
-  return { files: extractedFiles, projectInfo };
+  return listFilesRecursively(projectDir, projectDir, CONTEXT_IGNORE_DIRS)
+    .filter(file => !CONTEXT_IGNORE_FILES.includes(path.basename(file)))
+    .filter(file => normalizedOutput.includes(file));
 }
 
 /**
- * Handle the full process of generating and deploying a project
- * @param {string} prompt - User's project description prompt
- * @param {string} uniqueId - Unique ID for this job
- * @param {string} apiProvider - API provider to use ('openai' or 'gemini')
- * @returns {Promise<void>}
+ * Build a prompt asking the model to fix a failing install or build
+ * @param {string} step - 'install' or 'build'
+ * @param {string} command - Command the failing step ran, e.g. the scaffolder's build command
+ * @param {string} output - Error output of the failing step
+ * @param {Array<string>} projectFiles - All project files, for the file tree
+ * @param {Object} fileContents - Contents of the files involved in the failure
+ * @returns {string} - Prompt text
  */
-async function processGenerateAndDeploy(prompt, uniqueId, apiProvider) {
-  const outputDir = path.join(OUTPUT_DIR_BASE, uniqueId);
-  const job = deploymentJobs.get(uniqueId);
+function buildFixPrompt(step, command, output, projectFiles, fileContents) {
+  const files = Object.entries(fileContents).map(([file, content]) => {
+    const lang = path.extname(file).slice(1) || 'txt';
+    return `\`\`\`${lang}\n// filename: ${file}\n${content}\n\`\`\``;
+  }).join('\n\n');
 
-  try {
-    // Update job status
-    job.status = 'generating';
-    job.lastUpdated = Date.now();
+  return `
+The generated project fails to ${step} when running \`${command}\`. This is the error output:
 
-    let files, projectInfo;
+\`\`\`
+${output}
+\`\`\`
 
-    if (apiProvider === 'openai') {
-      // Use OpenAI Assistant
-      const thread = await openai.beta.threads.create();
+Project file tree:
+${projectFiles.map(file => `- ${file}`).join('\n')}
 
-      const enhancedPrompt = `
-I need you to generate code for a web application based on the following requirements:
+These are the files involved in the failure:
 
-${prompt}
+${files}
 
-Please provide ALL the code files needed for this project including:
-1. React components (.jsx/.tsx files)
-2. CSS/Styling files
-3. Configuration files (like package.json, vite.config.js, etc.)
-4. Any utility functions or hooks
-5. Main entry points (index.js, App.js, etc.)
+Please fix the problem. Only return the files you changed or added, each with its complete new content.
 
 For each code file, please use the format:
 \`\`\`language
@@ -589,188 +959,2240 @@ For each code file, please use the format:
 \`\`\`
 
 DO NOT try to execute npm or npx commands - just provide the code files.
-I will handle the setup and installation myself.
 `;
+}
 
-      await openai.beta.threads.messages.create(thread.id, {
-        role: 'user',
-        content: enhancedPrompt
-      });
+/**
+ * Install and build a project, asking the model to fix any failure
+ *
+ * Each attempt runs `npm install` and, when the project has a build script, the build command
+ * of the project's scaffolder (frameworks without a build step, like Express, skip it). On
+ * failure the error output and the files it mentions are sent back to the provider, the
+ * corrected files are applied and the project is verified again, up to BUILD_FIX_ATTEMPTS times.
+ * Projects without a package.json (such as static sites) are not verified.
+ * @param {Object} job - Job being verified
+ * @param {string} projectDir - Path to the project directory
+ * @param {string} apiProvider - API provider to use for fixes (name of a registered provider)
+ * @returns {Promise<Object>} - { success, attempts }
+ */
+async function verifyAndFixProject(job, projectDir, apiProvider) {
+  const buildAttempts = [];
 
-      const run = await openai.beta.threads.runs.create(thread.id, {
-        assistant_id: ASSISTANT_ID
-      });
+  if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
+    console.log(`[${job.id}] No package.json, skipping build verification`);
+    return { success: true, attempts: buildAttempts };
+  }
 
-      const completedRun = await pollForRunCompletion(thread.id, run.id);
+  for (let attempt = 1; attempt <= BUILD_FIX_ATTEMPTS + 1; attempt++) {
+    const build = await runProjectBuild(job, projectDir);
 
-      if (completedRun.status !== 'completed') {
-        throw new Error(`Assistant Run failed: ${completedRun.status}`);
-      }
+    // A killed command looks like a failed step; don't ask the model to fix a cancelled job
+    throwIfCancelled(job);
 
-      const result = await extractCodeFromAssistantResponse(thread.id);
-      files = result.files;
-      projectInfo = result.projectInfo;
-    } else {
-      // Use Gemini
-      const result = await generateCodeWithGemini(prompt);
-      files = result.files;
-      projectInfo = result.projectInfo;
-    }
+    const record = {
+      attempt,
+      success: build.success,
+      created: Date.now()
+    };
+    buildAttempts.push(record);
 
-    if (Object.keys(files).length === 0) {
-      throw new Error('No code files found in API response');
+    if (build.success) {
+      updateJob(job, { buildAttempts });
+      // npm install writes a lockfile the first time it runs
+      await recordProjectHistory(job, projectDir, { summary: 'Install dependencies', stage: 'install' });
+      return { success: true, attempts: buildAttempts };
     }
 
-    // Update job status
-    job.status = 'scaffolding';
-    job.lastUpdated = Date.now();
+    record.step = build.step;
+    record.command = build.command;
+    record.output = build.output;
+    updateJob(job, { buildAttempts });
 
-    // Step 6: Create scaffolded project
-    console.log('Creating scaffolded project...');
-    await createScaffoldedProject(outputDir, projectInfo);
+    if (attempt > BUILD_FIX_ATTEMPTS) {
+      break;
+    }
 
-    // Step 7: Add generated code to the project
-    console.log('Adding generated code to project...');
-    await addGeneratedCodeToProject(outputDir, files);
+    // Send the failure and the files it mentions back to the model
+    const projectFiles = listFilesRecursively(projectDir, projectDir, CONTEXT_IGNORE_DIRS)
+      .filter(file => !CONTEXT_IGNORE_FILES.includes(path.basename(file)));
+    const offendingFiles = findFilesInOutput(projectDir, build.output);
+    if ((build.step === 'install' || offendingFiles.length === 0) && !offendingFiles.includes('package.json')) {
+      offendingFiles.push('package.json');
+    }
 
-    // Step 8: List the project files
-    const projectFiles = listFilesRecursively(outputDir, outputDir);
+    console.log(`Asking ${apiProvider} to fix failing ${build.step} (attempt ${attempt} of ${BUILD_FIX_ATTEMPTS})...`);
 
-    // Step 9: Read content of small text files
-    const fileContents = {};
-    projectFiles.forEach(file => {
-      try {
-        const filePath = path.join(outputDir, file);
-        const stats = fs.statSync(filePath);
+    try {
+      const prompt = buildFixPrompt(build.step, build.command, build.output, projectFiles, readProjectFileContents(projectDir, offendingFiles));
+      const fix = await sendFollowUpPrompt(job, apiProvider, prompt, () => '', 'fix', {
+        workspace: { projectDir, canBuild: true }
+      });
 
-        // Only include small text files (< 1MB)
-        if (stats.size < 1024 * 1024 && isTextFile(file)) {
-          fileContents[file] = fs.readFileSync(filePath, 'utf8');
-        }
-      } catch (err) {
-        console.error(`Error reading file ${file}: ${err.message}`);
+      if (Object.keys(fix.files).length === 0) {
+        record.fixError = 'No code files found in API response';
+        updateJob(job, { buildAttempts });
+        break;
       }
-    });
 
-    // Store files and contents in job
-    job.files = projectFiles;
-    job.fileContents = fileContents;
-
-    // Update job status
-    job.status = 'deploying';
-    job.lastUpdated = Date.now();
-
-    // Step 10: Deploy to Vercel
-    if (VERCEL_TOKEN) {
-      console.log('Deploying project to Vercel...');
-      const projectName = `ai-project-${uniqueId}`;
-      const deployResult = await deployToVercel(outputDir, projectName);
-
-      if (deployResult.success) {
-        job.status = 'completed';
-        job.deploymentUrl = deployResult.url;
-        job.deploymentOutput = deployResult.output;
+      record.fixedFiles = await addGeneratedCodeToProject(projectDir, fix.files, job);
+      // The fix may import packages the project doesn't have yet
+      await addMissingDependencies(job, projectDir);
+      updateJob(job, { buildAttempts });
+      await recordProjectHistory(job, projectDir, {
+        summary: `Fix failing ${build.step} (attempt ${attempt})`,
+        stage: build.step === 'install' ? 'fix-dependencies' : 'fix-build',
+        provider: apiProvider
+      });
+    } catch (error) {
+      console.error(`Error requesting build fix: ${error.message}`);
+      record.fixError = error.message;
+      updateJob(job, { buildAttempts });
+      break;
+    }
+  }
+
+  return { success: false, attempts: buildAttempts };
+}
+
+/**
+ * Deploy a project with a deploy target and record the result on the job
+ * @param {Object} job - Job being deployed
+ * @param {string} projectDir - Path to the project directory
+ * @param {string} targetName - Name of a registered deploy target
+ * @returns {Promise<Object>} - { target, success, url, artifacts, logs, error, created }
+ */
+async function deployProject(job, projectDir, targetName) {
+  const target = getDeployTarget(targetName);
+  const scaffolder = (job.projectInfo && getScaffolder(job.projectInfo.framework)) || getScaffolder(DEFAULT_SCAFFOLDER);
+
+  console.log(`[job ${job.id}] Deploying with ${target.displayName}...`);
+
+  const deployment = await runDeployTarget(target, projectDir, {
+    job,
+    projectName: `ai-project-${job.id}`,
+    scaffolder,
+    publicUrl: PUBLIC_URL,
+    runCommand: (command, cwd) => executeCommand(command, cwd, { job, stage: 'deploying', timeout: STAGE_TIMEOUTS.deploy })
+  });
+
+  if (deployment.success) {
+    console.log(`[job ${job.id}] Deployment successful${deployment.url ? `: ${deployment.url}` : ''}`);
+  } else {
+    console.error(`[job ${job.id}] Deployment failed: ${deployment.error}`);
+  }
+
+  updateJob(job, { deployments: (job.deployments || []).concat(deployment) });
+
+  // Some targets add files to the project, like the Docker target's Dockerfile
+  await recordProjectHistory(job, projectDir, { summary: `Deploy with ${target.displayName}`, stage: 'deploy' });
+
+  return deployment;
+}
+
+/**
+ * Check that a deploy target exists and is configured
+ * @param {string} targetName - Target name from the request
+ * @returns {string|null} - Error message, or null if the target can be used
+ */
+function validateDeployTarget(targetName) {
+  const target = getDeployTarget(targetName);
+
+  if (!target) {
+    return `Unknown deploy target: ${targetName}. Available targets: ${listDeployTargets().map(t => t.name).join(', ')}, none`;
+  }
+
+  if (!target.isConfigured()) {
+    return `${target.displayName} deployment is not configured`;
+  }
+
+  return null;
+}
+
+/**
+ * Add up the disk space a job's files use: its project, staged and preview files and its command log
+ * @param {string} jobId - Job ID
+ * @returns {Promise<number>} - Size in bytes
+ */
+async function getJobDiskUsage(jobId) {
+  const paths = [
+    path.join(OUTPUT_DIR_BASE, jobId),
+    getStagingDir(jobId),
+    getPreviewDir(jobId),
+    getLogPath(COMMAND_LOG_DIR, jobId)
+  ];
+
+  let total = 0;
+  for (const filePath of paths) {
+    total += await getDirectorySize(filePath);
+  }
+  return total;
+}
+
+/**
+ * Take down what a job's deployments published outside the project directory
+ * @param {Object} job - Job whose deployments are removed
+ * @returns {Promise<Array<Object>>} - { target, success, logs, error } for each deployment that had something to remove
+ */
+async function removeJobDeployments(job) {
+  const results = [];
+
+  for (const deployment of job.deployments || []) {
+    const target = getDeployTarget(deployment.target);
+    if (!target) {
+      continue;
+    }
+
+    const result = await removeDeployment(target, deployment, {
+      job,
+      cwd: OUTPUT_DIR_BASE,
+      runCommand: (command, cwd) => executeCommand(command, cwd, { timeout: STAGE_TIMEOUTS.deploy })
+    });
+    if (result) {
+      console.log(`[job ${job.id}] ${result.success ? 'Removed' : 'Could not remove'} ${target.displayName} deployment${result.error ? `: ${result.error}` : ''}`);
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Delete a finished job: its files on disk, its record and its event history
+ * @param {Object} job - Finished job
+ * @param {Object} [options]
+ * @param {boolean} [options.removeDeployments] - Also take down the job's deployments first
+ * @returns {Promise<Object>} - { jobId, reclaimedBytes, removedDeployments }
+ */
+async function deleteJob(job, options = {}) {
+  const reclaimedBytes = await getJobDiskUsage(job.id);
+  const removedDeployments = options.removeDeployments ? await removeJobDeployments(job) : [];
+
+  fs.rmSync(path.join(OUTPUT_DIR_BASE, job.id), { recursive: true, force: true });
+  fs.rmSync(getStagingDir(job.id), { recursive: true, force: true });
+  stopPreviewServer(job.id);
+  fs.rmSync(getPreviewDir(job.id), { recursive: true, force: true });
+  removeCommandLog(COMMAND_LOG_DIR, job.id);
+  clearJobEvents(job.id);
+
+  deploymentJobs.delete(job.id);
+  removeJob(JOB_STORE_PATH, job.id);
+
+  console.log(`[job ${job.id}] Deleted (${reclaimedBytes} bytes reclaimed)`);
+
+  return { jobId: job.id, reclaimedBytes, removedDeployments };
+}
+
+/**
+ * Delete the finished jobs a retention policy no longer keeps
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Retention policy (default RETENTION_POLICY)
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @param {boolean} [options.removeDeployments] - Also take down the deleted jobs' deployments
+ * @returns {Promise<Object|null>} - { deleted, reclaimedBytes, remainingJobs }, or null if a collection is already running
+ */
+async function runGarbageCollection(options = {}) {
+  if (garbageCollectionRunning) {
+    return null;
+  }
+  garbageCollectionRunning = true;
+
+  try {
+    const policy = options.policy || RETENTION_POLICY;
+    const jobs = Array.from(deploymentJobs.values());
+
+    const sizes = new Map();
+    for (const job of jobs) {
+      sizes.set(job.id, await getJobDiskUsage(job.id));
+    }
+
+    const deleted = [];
+    for (const { job, reason } of selectExpiredJobs(jobs, policy, sizes)) {
+      // A job may have been deleted or restarted while the sizes were added up
+      if (deploymentJobs.get(job.id) !== job || !job.completed) {
+        continue;
+      }
+
+      if (options.dryRun) {
+        deleted.push({ jobId: job.id, reason, reclaimedBytes: sizes.get(job.id) });
       } else {
-        job.status = 'deployment_failed';
-        job.error = deployResult.error;
+        deleted.push({ reason, ...await deleteJob(job, { removeDeployments: options.removeDeployments }) });
+      }
+    }
+
+    if (deleted.length > 0 && !options.dryRun) {
+      compactJobs(JOB_STORE_PATH, deploymentJobs);
+      jobStoreWrites = 0;
+    }
+
+    return {
+      deleted,
+      reclaimedBytes: deleted.reduce((sum, entry) => sum + entry.reclaimedBytes, 0),
+      remainingJobs: deploymentJobs.size
+    };
+  } finally {
+    garbageCollectionRunning = false;
+  }
+}
+
+/**
+ * Run garbage collection with the configured retention policy and log what it reclaimed
+ */
+async function sweepExpiredJobs() {
+  try {
+    const result = await runGarbageCollection({ removeDeployments: RETENTION_REMOVE_DEPLOYMENTS });
+    if (result && result.deleted.length > 0) {
+      console.log(`Retention sweep deleted ${result.deleted.length} jobs and reclaimed ${result.reclaimedBytes} bytes`);
+    }
+  } catch (err) {
+    console.error(`Error sweeping expired jobs: ${err.message}`);
+  }
+}
+
+/**
+ * Build a prompt section describing the current project files
+ * @param {string} projectDir - Path to the project directory
+ * @returns {string} - File tree followed by the contents of the source files
+ */
+function buildProjectContext(projectDir) {
+  const files = listFilesRecursively(projectDir, projectDir, CONTEXT_IGNORE_DIRS)
+    .filter(file => !CONTEXT_IGNORE_FILES.includes(path.basename(file)))
+    .sort();
+  const fileContents = readProjectFileContents(projectDir, files);
+
+  let context = `Current project file tree:\n${files.map(file => `- ${file}`).join('\n')}\n\nCurrent file contents:\n`;
+  let remaining = MAX_CONTEXT_CHARS;
+
+  for (const [file, content] of Object.entries(fileContents)) {
+    if (content.length > remaining) {
+      context += `\n(${file} omitted to keep the context small)\n`;
+      continue;
+    }
+    remaining -= content.length;
+
+    const lang = path.extname(file).slice(1) || 'txt';
+    context += `\n\`\`\`${lang}\n// filename: ${file}\n${content}\n\`\`\`\n`;
+  }
+
+  return context;
+}
+
+/**
+ * Build the prompt for generating a new project from a prompt template
+ *
+ * Besides the user's `prompt`, templates can use `framework`, `language` and `css` (short
+ * descriptions that also cover options the request left open), `requirements` (a list of
+ * everything the request decided) and `conventions` (the request's coding conventions).
+ * @param {string} prompt - User's project description
+ * @param {Object} [scaffolder] - Scaffolder the project must use, if the request named a framework
+ * @param {Object} [options] - Generation options ({ template, typescript, css, tests, conventions })
+ * @returns {string} - Prompt text
+ */
+function buildGenerationPrompt(prompt, scaffolder, options = {}) {
+  const template = getPromptTemplate(PROMPT_TEMPLATES_DIR, options.template || DEFAULT_PROMPT_TEMPLATE);
+  if (!template) {
+    throw new Error(`Prompt template not found: ${options.template || DEFAULT_PROMPT_TEMPLATE}`);
+  }
+
+  const requirements = [];
+  if (scaffolder) {
+    requirements.push(`The project must be built with ${scaffolder.displayName}.`);
+  }
+  if (options.typescript === true) {
+    requirements.push('Write the code in TypeScript (.ts and .tsx files) with type annotations, and include a tsconfig.json.');
+  } else if (options.typescript === false) {
+    requirements.push('Write the code in JavaScript; do not use TypeScript.');
+  }
+  if (options.css === 'tailwind') {
+    requirements.push('Style it with Tailwind CSS utility classes, and list tailwindcss, postcss and autoprefixer in package.json. The main stylesheet (the one the entry file or root layout imports) must start with the `@tailwind base;`, `@tailwind components;` and `@tailwind utilities;` directives.');
+  } else if (options.css === 'css') {
+    requirements.push('Style it with plain CSS files; do not use a CSS framework.');
+  }
+  if (options.tests) {
+    requirements.push('Include unit tests for the main logic and components, written for Vitest in *.test files next to the code they test. Add vitest and jsdom to devDependencies and a "test": "vitest run --environment jsdom" script to package.json, so component tests have a DOM.');
+  }
+
+  const language = typeof options.typescript === 'boolean'
+    ? (options.typescript ? 'TypeScript' : 'JavaScript')
+    : 'JavaScript or TypeScript';
+  const cssNames = { tailwind: 'Tailwind CSS', css: 'plain CSS' };
+
+  return renderPromptTemplate(template, {
+    prompt,
+    framework: scaffolder ? scaffolder.displayName : 'a framework that suits the project',
+    language,
+    css: cssNames[options.css] || 'the styling approach that suits the project',
+    requirements: requirements.length > 0
+      ? `Project requirements:\n${requirements.map(line => `- ${line}`).join('\n')}`
+      : '',
+    conventions: options.conventions ? `Follow these coding conventions:\n${options.conventions}` : ''
+  });
+}
+
+/**
+ * Apply the generation options of a request to the project info detected from the answer
+ *
+ * Options the request set decide the scaffold; detection only fills in the rest.
+ * @param {Object} projectInfo - Project info from the response parser
+ * @param {Object} [options] - Generation options ({ typescript, css, tests })
+ * @returns {Object} - Project info to scaffold with
+ */
+function applyGenerationOptions(projectInfo, options = {}) {
+  const info = { ...projectInfo, features: [...(projectInfo.features || [])] };
+
+  if (typeof options.typescript === 'boolean') {
+    info.language = options.typescript ? 'typescript' : 'javascript';
+  }
+  if (options.css) {
+    info.cssFramework = options.css === 'tailwind' ? 'tailwind' : null;
+  }
+  if (options.tests && !info.features.includes('tests')) {
+    info.features.push('tests');
+  }
+
+  return info;
+}
+
+/**
+ * Build the prompt for extending an imported project
+ * @param {string} prompt - User's description of the changes
+ * @param {string} summary - File tree and key files of the base project
+ * @returns {string} - Prompt text
+ */
+function buildImportPrompt(prompt, summary) {
+  return `
+I have an existing web application. Here is its structure and its most important files:
+
+${summary}
+
+Please change it according to the following requirements:
+
+${prompt}
+
+Only return the files you add or change, each with its COMPLETE content. Files you don't
+return are kept as they are. Keep the project's existing framework, language and conventions.
+
+For each code file, please use the format:
+\`\`\`language
+// filename: path/to/filename.ext
+// Code content here
+\`\`\`
+
+Every code block must start with its filename comment; blocks without a filename are ignored.
+
+DO NOT try to execute npm or npx commands - just provide the code files.
+`;
+}
+
+/**
+ * Send a prompt to a provider and extract the code files from its answer
+ *
+ * Conversation state returned by the provider is kept on the job so follow-up prompts
+ * can continue the same conversation. When the job streams, the answer is parsed while it
+ * arrives and each file is announced as soon as its block closes; otherwise the files are
+ * announced once the whole answer is in.
+ *
+ * Providers that support tool calling can also work on the prompt's workspace directly;
+ * files they write with tools are added to the files from the answer text.
+ * @param {Object} job - Job the prompt belongs to
+ * @param {string} apiProvider - Name of a registered provider
+ * @param {string} prompt - Prompt text
+ * @param {string} kind - What the prompt is for ('generate', 'refine' or 'fix')
+ * @param {Object} [options]
+ * @param {Function} [options.onFile] - Called with (filename, content) for every completed file
+ * @param {Object} [options.workspace] - Directory the model's tools work in ({ projectDir, canBuild })
+ * @returns {Promise<Object>} - Generated code files, project info and parser warnings, and for files written
+ *   with tools their content from before the prompt (`previousContents`, null for new files)
+ */
+async function runProviderPrompt(job, apiProvider, prompt, kind, options = {}) {
+  const provider = getProvider(apiProvider);
+  if (!provider) {
+    throw new Error(`Unknown API provider: ${apiProvider}`);
+  }
+
+  const conversation = job.conversation && job.conversation.provider === provider.name
+    ? job.conversation
+    : undefined;
+
+  // Stop the prompt when the job is cancelled or the prompt takes too long
+  const timeoutSignal = AbortSignal.timeout(STAGE_TIMEOUTS.generate);
+  const jobSignal = getJobSignal(job.id);
+  const signal = jobSignal ? AbortSignal.any([jobSignal, timeoutSignal]) : timeoutSignal;
+
+  const announceFile = (filename, content) => {
+    publishJobEvent(job.id, 'file', { path: filename, bytes: Buffer.byteLength(content, 'utf8'), kind });
+    if (options.onFile) {
+      options.onFile(filename, content);
+    }
+  };
+  const parser = createResponseParser({ onFile: announceFile });
+
+  const tools = AGENT_TOOLS && provider.supportsTools && options.workspace
+    ? createProjectTools(job, options.workspace, kind, announceFile)
+    : undefined;
+  if (tools) {
+    prompt = `${prompt}\n${buildToolInstructions(tools)}`;
+  }
+
+  const stream = job.stream === undefined ? STREAM_GENERATION : job.stream;
+  let streamed = false;
+  const onText = stream
+    ? chunk => {
+      streamed = true;
+      parser.push(chunk);
+    }
+    : undefined;
+
+  let result;
+  try {
+    result = await provider.generate(prompt, { conversation, kind, signal, onText, tools });
+  } catch (error) {
+    if (jobSignal && jobSignal.aborted) {
+      throw new Error('Job was cancelled');
+    }
+    if (timeoutSignal.aborted) {
+      throw new Error(`${provider.displayName} did not answer the ${kind} prompt within ${Math.round(STAGE_TIMEOUTS.generate / 1000)}s`);
+    }
+    throw error;
+  }
+
+  if (result.conversation) {
+    updateJob(job, { conversation: { ...result.conversation, provider: provider.name } });
+  }
+
+  if (result.usage) {
+    recordUsage(job, provider.name, result, kind);
+  }
+
+  // Providers that can't stream ignore onText and only return the whole answer
+  if (!streamed) {
+    parser.push(result.text);
+  }
+  const parsed = parser.end();
+
+  if (tools && Object.keys(tools.written).length > 0) {
+    parsed.files = { ...parsed.files, ...tools.written };
+    parsed.projectInfo = detectProjectInfo(result.text, parsed.files);
+    parsed.previousContents = tools.previousContents;
+  }
+
+  // Keep parser warnings on the job so unnamed, duplicate or truncated files are visible
+  if (parsed.warnings.length > 0) {
+    parsed.warnings.forEach(warning => {
+      console.warn(`Response warning (${kind}): ${warning.message}`);
+      publishJobEvent(job.id, 'warning', { ...warning, kind });
+    });
+    const parseWarnings = (job.parseWarnings || []).concat(
+      parsed.warnings.map(warning => ({ ...warning, kind, created: Date.now() }))
+    );
+    updateJob(job, { parseWarnings });
+  }
+
+  return parsed;
+}
+
+/**
+ * Create the tools a model may call while it works on a prompt's workspace
+ * @param {Object} job - Job the prompt belongs to
+ * @param {Object} workspace - { projectDir, canBuild }
+ * @param {string} kind - What the prompt is for ('generate', 'refine' or 'fix')
+ * @param {Function} onWrite - Called with (path, content) for every file the model writes
+ * @returns {Object} - Tool runner from createToolRunner
+ */
+function createProjectTools(job, workspace, kind, onWrite) {
+  const { projectDir, canBuild } = workspace;
+
+  return createToolRunner({
+    projectDir,
+    policy: writePolicy,
+    listFiles: dir => listFilesRecursively(dir, dir, CONTEXT_IGNORE_DIRS),
+    runBuild: canBuild ? () => runProjectBuild(job, projectDir) : undefined,
+    maxCalls: AGENT_MAX_TOOL_CALLS,
+    onCall: (name, args) => {
+      console.log(`[job ${job.id}] Tool call: ${name}${args.path ? ` ${args.path}` : ''}`);
+      publishJobEvent(job.id, 'tool', { name, path: args.path, kind });
+    },
+    onWrite
+  });
+}
+
+/**
+ * Describe the available tools at the end of a prompt
+ * @param {Object} tools - Tool runner from createProjectTools
+ * @returns {string} - Prompt text
+ */
+function buildToolInstructions(tools) {
+  const names = tools.definitions.map(tool => tool.function.name);
+  const buildLine = names.includes('run_build')
+    ? 'Use run_build to check that the project installs and builds, and fix any errors before you finish.'
+    : 'The project is scaffolded and built after you finish, so run_build is not available.';
+
+  return `
+You can work on the project directly with these tools: ${names.join(', ')}. Use list_files and read_file to look at existing files before changing them. Files you create with write_file are part of your answer and don't need to be repeated in it. ${buildLine}
+`;
+}
+
+/**
+ * Record the tokens and estimated cost of a provider call on the job and in the usage log
+ * @param {Object} job - Job the call was made for
+ * @param {string} providerName - Provider that answered
+ * @param {Object} result - Provider result with `usage` and `model`
+ * @param {string} kind - What the prompt was for ('generate', 'refine' or 'fix')
+ */
+function recordUsage(job, providerName, result, kind) {
+  const call = {
+    promptTokens: result.usage.promptTokens || 0,
+    completionTokens: result.usage.completionTokens || 0,
+    totalTokens: result.usage.totalTokens || 0,
+    cost: estimateCost(pricing, result.model, result.usage)
+  };
+
+  // Keep totals for the whole job and for each kind of prompt
+  const usage = job.usage || { currency: pricing.currency, byKind: {} };
+  const byKind = { ...usage.byKind, [kind]: addUsage(usage.byKind[kind], call) };
+  updateJob(job, { usage: { ...addUsage(usage, call), currency: usage.currency, byKind } });
+
+  try {
+    appendUsage(USAGE_LOG_PATH, {
+      created: Date.now(),
+      jobId: job.id,
+      apiKeyId: job.apiKeyId || null,
+      provider: providerName,
+      model: result.model || null,
+      kind,
+      ...call
+    });
+  } catch (err) {
+    console.error(`Error writing usage log for job ${job.id}: ${err.message}`);
+  }
+}
+
+/**
+ * Send a follow-up prompt about an existing project to a provider
+ *
+ * Stateful providers continue the conversation that produced the project. Stateless
+ * providers (and stateful ones without an earlier conversation) get the project context
+ * sent along with the prompt.
+ * @param {Object} job - Job the prompt is about
+ * @param {string} apiProvider - Name of a registered provider
+ * @param {string} prompt - Follow-up prompt
+ * @param {Function} getContext - Returns the project context when the provider needs it
+ * @param {string} kind - What the prompt is for ('refine' or 'fix')
+ * @param {Object} [options] - Passed on to runProviderPrompt
+ * @returns {Promise<Object>} - Generated code files and project info
+ */
+async function sendFollowUpPrompt(job, apiProvider, prompt, getContext, kind, options = {}) {
+  const provider = getProvider(apiProvider);
+  const hasConversation = provider && provider.stateful &&
+    job.conversation && job.conversation.provider === provider.name;
+
+  if (hasConversation) {
+    // The conversation already holds the exchange that produced the project
+    return runProviderPrompt(job, apiProvider, prompt, kind, options);
+  }
+
+  return runProviderPrompt(job, apiProvider, `${getContext()}\n${prompt}`, kind, options);
+}
+
+/**
+ * Build the instruction part of a refinement prompt
+ * @param {string} instruction - Follow-up instruction from the user
+ * @returns {string} - Prompt text
+ */
+function buildRefinementPrompt(instruction) {
+  return `
+Please update the project based on the following instruction:
+
+${instruction}
+
+Only return the files you changed or added, each with its complete new content.
+Do not return files that do not need to change.
+
+For each code file, please use the format:
+\`\`\`language
+// filename: path/to/filename.ext
+// Code content here
+\`\`\`
+
+DO NOT try to execute npm or npx commands - just provide the code files.
+`;
+}
+
+/**
+ * Apply a follow-up instruction to an existing generated project
+ * @param {Object} job - Job whose project should be refined
+ * @param {string} instruction - Follow-up instruction from the user
+ * @param {string} apiProvider - API provider to use (name of a registered provider)
+ * @returns {Promise<Object>} - Changed files, their diffs, added dependencies and the commit recording them
+ */
+async function refineProject(job, instruction, apiProvider) {
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  const result = await sendFollowUpPrompt(job, apiProvider, buildRefinementPrompt(instruction), () => buildProjectContext(outputDir), 'refine', {
+    workspace: { projectDir: outputDir, canBuild: true }
+  });
+  const previousContents = result.previousContents || {};
+
+  // Drop files the write policy rejects before touching the disk
+  const { allowed: allowedFiles, rejected } = filterGeneratedFiles(job, outputDir, result.files);
+
+  // Only keep files whose content actually differs from what is on disk
+  const changedFiles = {};
+  const diffs = {};
+  const unchangedFiles = [];
+
+  for (const [filename, content] of Object.entries(allowedFiles)) {
+    // Files the model wrote with tools are already on disk, so compare with what was there before
+    const filePath = path.join(outputDir, filename);
+    let existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    if (Object.prototype.hasOwnProperty.call(previousContents, filename)) {
+      existing = previousContents[filename];
+    }
+
+    if (existing !== null && existing.trim() === content.trim()) {
+      unchangedFiles.push(filename);
+      continue;
+    }
+
+    changedFiles[filename] = content;
+    diffs[filename] = createUnifiedDiff(filename, existing, content);
+  }
+
+  await addGeneratedCodeToProject(outputDir, changedFiles, job);
+  const dependencies = await addMissingDependencies(job, outputDir);
+  const commit = await recordProjectHistory(job, outputDir, {
+    summary: 'Refine project',
+    body: instruction,
+    stage: 'refine',
+    provider: apiProvider
+  });
+
+  return {
+    changedFiles: Object.keys(changedFiles),
+    unchangedFiles,
+    rejectedFiles: rejected,
+    diffs,
+    addedDependencies: dependencies ? dependencies.added : [],
+    commit
+  };
+}
+
+/**
+ * Stop a job's pipeline if the job has been cancelled
+ * @param {Object} job - Job to check
+ * @throws {Error} - If the job's abort signal has fired
+ */
+function throwIfCancelled(job) {
+  const signal = getJobSignal(job.id);
+  if (signal && signal.aborted) {
+    throw new Error('Job was cancelled');
+  }
+}
+
+/**
+ * Handle the full process of generating and deploying a project
+ * @param {string} prompt - User's project description prompt
+ * @param {string} uniqueId - Unique ID for this job
+ * @param {string} apiProvider - API provider to use (name of a registered provider)
+ * @param {Object} [options]
+ * @param {Object} [options.baseProject] - Imported project already in the output directory ({ summary })
+ * @param {Object} [options.scaffolder] - Scaffolder named in the request; overrides detection
+ * @param {string} [options.scaffoldMode] - 'template' or 'npx'
+ * @param {Object} [options.generationOptions] - Prompt template and options ({ template, typescript, css, tests, conventions })
+ * @returns {Promise<void>}
+ */
+async function processGenerateAndDeploy(prompt, uniqueId, apiProvider, options = {}) {
+  const { baseProject, scaffolder, scaffoldMode, generationOptions } = options;
+  const outputDir = path.join(OUTPUT_DIR_BASE, uniqueId);
+  const job = deploymentJobs.get(uniqueId);
+  let codeAdded = false;
+
+  try {
+    if (baseProject) {
+      await recordProjectHistory(job, outputDir, { summary: 'Import base project', stage: 'import' });
+    }
+
+    // Update job status
+    updateJob(job, { status: 'generating' });
+
+    const generationPrompt = baseProject
+      ? buildImportPrompt(prompt, baseProject.summary)
+      : buildGenerationPrompt(prompt, scaffolder, generationOptions);
+    const { files, projectInfo: detectedInfo } = await runProviderPrompt(job, apiProvider, generationPrompt, 'generate', {
+      onFile: (filename, content) => stageGeneratedFile(job, filename, content),
+      // New projects are scaffolded after generation, so until then the model works on the staged files
+      workspace: baseProject
+        ? { projectDir: outputDir, canBuild: true }
+        : { projectDir: getStagingDir(job.id), canBuild: false }
+    });
+    throwIfCancelled(job);
+
+    if (Object.keys(files).length === 0) {
+      throw new Error('No code files found in API response');
+    }
+
+    if (baseProject) {
+      // The imported project takes the place of the scaffold
+      const importedInfo = detectImportedProjectInfo(outputDir);
+      if (scaffolder) {
+        importedInfo.framework = scaffolder.name;
       }
+      updateJob(job, { projectInfo: importedInfo });
     } else {
-      job.status = 'completed_without_deployment';
-      job.error = 'Vercel token not configured. Project generated but not deployed.';
+      const projectInfo = applyGenerationOptions(detectedInfo, generationOptions);
+      if (scaffolder) {
+        projectInfo.framework = scaffolder.name;
+      }
+
+      // Update job status
+      updateJob(job, { status: 'scaffolding', projectInfo });
+
+      // Step 6: Create scaffolded project
+      console.log('Creating scaffolded project...');
+      await createScaffoldedProject(outputDir, projectInfo, job, scaffoldMode);
+      await recordProjectHistory(job, outputDir, { summary: 'Scaffold project', stage: 'scaffold' });
+      throwIfCancelled(job);
     }
 
-    // Final job update
-    job.lastUpdated = Date.now();
-    job.completed = true;
+    // Step 7: Add generated code to the project
+    console.log('Adding generated code to project...');
+    await addGeneratedCodeToProject(outputDir, files, job, { merge: true });
+    codeAdded = true;
+    fs.rmSync(getStagingDir(job.id), { recursive: true, force: true });
+    await recordProjectHistory(job, outputDir, {
+      summary: baseProject ? 'Extend project' : 'Generate project',
+      body: prompt,
+      stage: 'generate',
+      provider: apiProvider
+    });
+
+    // Step 8: Add packages the code imports but package.json doesn't list
+    await addMissingDependencies(job, outputDir);
+    await recordProjectHistory(job, outputDir, { summary: 'Add missing dependencies', stage: 'dependencies' });
+
+    // Step 9: Install and build the project, feeding failures back to the model
+    updateJob(job, { status: 'verifying' });
+    const verification = await verifyAndFixProject(job, outputDir, apiProvider);
+    throwIfCancelled(job);
+
+    // Step 10: List the project files
+    const projectFiles = listFilesRecursively(outputDir, outputDir, ['node_modules', '.git']);
+
+    // Step 11: Read content of small text files
+    const fileContents = readProjectFileContents(outputDir, projectFiles);
+
+    // Store files and contents in job
+    job.fileContents = fileContents;
+
+    if (!verification.success) {
+      const lastAttempt = verification.attempts[verification.attempts.length - 1];
+      updateJob(job, {
+        status: 'build_failed',
+        error: `Project failed to ${lastAttempt.step} after ${verification.attempts.length} attempt(s)`,
+        files: projectFiles,
+        completed: true
+      });
+      return;
+    }
+
+    // Update job status
+    updateJob(job, { status: 'deploying', files: projectFiles });
+
+    // Step 12: Deploy with the job's deploy target
+    const target = getDeployTarget(job.deployTarget);
+    const deployQuotaError = target && target.isConfigured() ? useDailyQuota(job.apiKeyId, 'deploys') : null;
+    let outcome;
+    if (deployQuotaError) {
+      outcome = {
+        status: 'completed_without_deployment',
+        error: `${deployQuotaError.error} Project generated but not deployed.`
+      };
+    } else if (target && target.isConfigured()) {
+      const deployment = await deployProject(job, outputDir, target.name);
+      throwIfCancelled(job);
+
+      if (deployment.success) {
+        outcome = { status: 'completed', deploymentUrl: deployment.url };
+      } else {
+        outcome = { status: 'deployment_failed', error: deployment.error };
+      }
+    } else {
+      outcome = { status: 'completed_without_deployment' };
+      if (target) {
+        outcome.error = `${target.displayName} deployment is not configured. Project generated but not deployed.`;
+      }
+    }
+
+    // Final job update, through updateJob so the last stage transition is published too
+    updateJob(job, { ...outcome, completed: true });
+
+  } catch (error) {
+    // Keep the files the model had finished before the job stopped
+    const partialFiles = codeAdded ? [] : salvageStagedFiles(job);
+    if (partialFiles.length > 0) {
+      updateJob(job, { partialFiles });
+    }
+
+    if (job.status === 'cancelled') {
+      // DELETE /jobs/:id already recorded the outcome
+      console.log(`[job ${job.id}] Stopped after cancellation`);
+      return;
+    }
+
+    console.error(`Job processing failed: ${error.message}`);
+    updateJob(job, {
+      status: 'failed',
+      error: error.message,
+      completed: true
+    });
+  }
+}
+
+/**
+ * Get the limits that apply to an API key
+ * @param {Object} apiKey - Key record
+ * @returns {Object} - { rateLimitPerMinute, dailyGenerations, dailyDeploys }
+ */
+function getKeyLimits(apiKey) {
+  const limits = { ...DEFAULT_KEY_LIMITS };
+  for (const name of Object.keys(limits)) {
+    if (typeof apiKey[name] === 'number') {
+      limits[name] = apiKey[name];
+    }
+  }
+  return limits;
+}
+
+/**
+ * Middleware: require a valid API key and apply its rate limit
+ *
+ * Authentication is off while the key store is empty. Previews are served without a key,
+ * because browsers load their assets without one; preview URLs contain the random job ID.
+ * The matching key record is stored as `req.apiKey` (null when authentication is off).
+ */
+function authenticateRequest(req, res, next) {
+  if (req.path.startsWith('/preview/')) {
+    return next();
+  }
+
+  let keys;
+  try {
+    keys = loadApiKeys(API_KEYS_PATH);
+  } catch (error) {
+    console.error(`Error reading API keys from ${API_KEYS_PATH}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'API key store could not be read'
+    });
+  }
+
+  if (keys.length === 0) {
+    req.apiKey = null;
+    return next();
+  }
+
+  const apiKey = findApiKey(keys, getRequestApiKey(req));
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Missing or invalid API key'
+    });
+  }
+
+  const { rateLimitPerMinute } = getKeyLimits(apiKey);
+  const rate = checkRateLimit(apiKey.id, rateLimitPerMinute);
+  if (rate.remaining !== null) {
+    res.set({ 'X-RateLimit-Limit': rateLimitPerMinute, 'X-RateLimit-Remaining': rate.remaining });
+  }
+
+  if (!rate.allowed) {
+    res.set('Retry-After', String(rate.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      error: `Rate limit of ${rateLimitPerMinute} requests per minute exceeded. Retry in ${rate.retryAfterSeconds}s.`
+    });
+  }
+
+  req.apiKey = apiKey;
+  return next();
+}
+
+/**
+ * Use one generation or deployment from an API key's daily quota
+ *
+ * A key that was deleted or rotated since the request was authenticated has no quota left,
+ * rather than the unlimited quota a limit of 0 would mean.
+ * @param {string} [keyId] - ID of the key the work is done for (none when authentication is off)
+ * @param {string} kind - 'generations' or 'deploys'
+ * @returns {Object|null} - { status, error } if the work isn't allowed (403 for a missing key,
+ *   429 for a used-up quota), otherwise null
+ */
+function useDailyQuota(keyId, kind) {
+  if (!keyId) {
+    return null;
+  }
+
+  const apiKey = loadApiKeys(API_KEYS_PATH).find(candidate => candidate.id === keyId);
+  if (!apiKey) {
+    return { status: 403, error: 'API key no longer exists' };
+  }
+
+  const limit = getKeyLimits(apiKey)[kind === 'generations' ? 'dailyGenerations' : 'dailyDeploys'];
+  const quota = consumeQuota(QUOTA_USAGE_PATH, keyId, kind, limit);
+
+  if (!quota.allowed) {
+    const noun = kind === 'generations' ? 'generation' : 'deployment';
+    return { status: 429, error: `Daily ${noun} quota of ${quota.limit} reached. It resets at midnight UTC.` };
+  }
+
+  return null;
+}
+
+/**
+ * Look up a job the requesting API key is allowed to see
+ *
+ * Keys only see the jobs they created; admin keys (and requests while authentication is
+ * off) see every job.
+ * @param {Object} req - Express request
+ * @param {string} jobId - Job ID
+ * @returns {Object|undefined} - The job, or undefined if it doesn't exist or belongs to another key
+ */
+function getJobForRequest(req, jobId) {
+  const job = deploymentJobs.get(jobId);
+
+  if (!job || !req.apiKey || req.apiKey.admin || job.apiKeyId === req.apiKey.id) {
+    return job;
+  }
+
+  return undefined;
+}
+
+/**
+ * Check that a provider exists and is configured
+ * @param {string} apiProvider - Provider name from the request
+ * @returns {string|null} - Error message, or null if the provider can be used
+ */
+function validateProvider(apiProvider) {
+  const provider = getProvider(apiProvider);
+
+  if (!provider) {
+    return `Unknown API provider: ${apiProvider}. Available providers: ${listProviders().map(p => p.name).join(', ')}`;
+  }
+
+  if (!provider.isConfigured()) {
+    return `${provider.displayName} configuration is missing`;
+  }
+
+  return null;
+}
+
+/**
+ * Copy a base project into a job's output directory
+ * @param {Object} baseProject - { zip: base64 string } or { gitPath, ref }
+ * @param {string} outputDir - Empty job output directory
+ * @returns {Promise<Object>} - { type, source, fileCount, summary }
+ */
+async function importBaseProject(baseProject, outputDir) {
+  let type;
+  let source;
+
+  if (typeof baseProject.zip === 'string') {
+    type = 'zip';
+    source = 'upload';
+    importZipProject(Buffer.from(baseProject.zip, 'base64'), outputDir);
+  } else if (typeof baseProject.gitPath === 'string') {
+    type = 'git';
+    source = await importGitProject(baseProject.gitPath, outputDir, {
+      allowedRoots: IMPORT_ALLOWED_ROOTS,
+      ref: baseProject.ref
+    });
+  } else {
+    throw new Error('baseProject must contain either zip (base64 ZIP archive) or gitPath (local git repository)');
+  }
+
+  const fileCount = listFilesRecursively(outputDir, outputDir, CONTEXT_IGNORE_DIRS).length;
+
+  return { type, source, fileCount, summary: summarizeProject(outputDir) };
+}
+
+/**
+ * Check the prompt template and generation options of a /generateProject request
+ * @param {Object} body - Request body
+ * @param {Object} [scaffolder] - Scaffolder named in the request
+ * @param {string} scaffoldMode - 'template' or 'npx'
+ * @returns {string|null} - Error message, or null if the options are valid
+ */
+function validateGenerationOptions(body, scaffolder, scaffoldMode) {
+  const { template, typescript, css, tests, conventions } = body;
+  const given = ['template', 'typescript', 'css', 'tests', 'conventions'].filter(name => body[name] !== undefined);
+
+  if (given.length === 0) {
+    return null;
+  }
+
+  if (body.baseProject) {
+    return `${given.join(', ')} can't be combined with baseProject; the existing project's setup is kept`;
+  }
+
+  if (template !== undefined && !getPromptTemplate(PROMPT_TEMPLATES_DIR, template)) {
+    const available = listPromptTemplates(PROMPT_TEMPLATES_DIR).map(entry => entry.name);
+    return `Unknown template: ${template}. Available templates: ${available.join(', ')}`;
+  }
+
+  for (const [name, value] of [['typescript', typescript], ['tests', tests]]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return `Invalid ${name}: must be true or false`;
+    }
+  }
+
+  if (css !== undefined && !CSS_OPTIONS.includes(css)) {
+    return `Invalid css: ${css}. Use one of: ${CSS_OPTIONS.join(', ')}`;
+  }
+
+  if (conventions !== undefined && typeof conventions !== 'string') {
+    return 'Invalid conventions: must be a string';
+  }
+
+  // With a framework named up front, options it can't honour are rejected instead of ignored
+  if (scaffolder && css === 'tailwind' && !scaffolder.supportsTailwind) {
+    return `${scaffolder.displayName} projects can't use Tailwind CSS`;
+  }
+
+  if (scaffolder && typescript === true && scaffoldMode === 'template') {
+    const tsTemplate = getTemplate(scaffolder.name, 'typescript');
+    if (!tsTemplate || tsTemplate.language !== 'typescript') {
+      return `${scaffolder.displayName} has no TypeScript template`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * POST /generateProject
+ * 
+ * Accepts a prompt and generates a complete project by:
+ * 1. Getting code from the selected LLM provider
+ * 2. Running scaffolding commands locally, or importing the base project if one was given
+ * 3. Combining the generated code with the scaffolded or imported structure
+ * 4. Installing and building the project, asking the model to fix any errors
+ * 5. Deploying the project with the requested deploy target (Vercel unless configured otherwise)
+ */
+app.post('/generateProject', async (req, res) => {
+  const {
+    prompt,
+    apiProvider = DEFAULT_API_PROVIDER,
+    baseProject,
+    framework,
+    scaffoldMode = SCAFFOLD_MODE,
+    deployTarget,
+    stream = STREAM_GENERATION,
+    template,
+    typescript,
+    css,
+    tests,
+    conventions
+  } = req.body;
+
+  // Validate request
+  if (!prompt) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: prompt'
+    });
+  }
+
+  const providerError = validateProvider(apiProvider);
+  if (providerError) {
+    return res.status(400).json({
+      success: false,
+      error: providerError
+    });
+  }
+
+  const scaffolder = framework ? getScaffolder(framework) : null;
+  if (framework && !scaffolder) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown framework: ${framework}. Available frameworks: ${listScaffolders().map(s => s.name).join(', ')}`
+    });
+  }
+
+  if (!SCAFFOLD_MODES.includes(scaffoldMode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid scaffoldMode: ${scaffoldMode}. Use one of: ${SCAFFOLD_MODES.join(', ')}`
+    });
+  }
+
+  const optionsError = validateGenerationOptions(req.body, scaffolder, scaffoldMode);
+  if (optionsError) {
+    return res.status(400).json({
+      success: false,
+      error: optionsError
+    });
+  }
+
+  if (typeof stream !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid stream: must be true or false'
+    });
+  }
+
+  // An explicitly requested target must be usable; the default one may be skipped instead
+  const deployTargetError = deployTarget && deployTarget !== 'none' ? validateDeployTarget(deployTarget) : null;
+  if (deployTargetError) {
+    return res.status(400).json({
+      success: false,
+      error: deployTargetError
+    });
+  }
+
+  // Generate a unique ID for this request
+  const uniqueId = crypto.randomBytes(8).toString('hex');
+  const outputDir = path.join(OUTPUT_DIR_BASE, uniqueId);
+
+  // Create the output directory
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  let importedProject = null;
+  if (baseProject) {
+    try {
+      importedProject = await importBaseProject(baseProject, outputDir);
+    } catch (error) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      return res.status(400).json({
+        success: false,
+        error: `Failed to import base project: ${error.message}`
+      });
+    }
+  }
+
+  // Only a request that passed validation and import counts against the quota
+  const quotaError = useDailyQuota(req.apiKey && req.apiKey.id, 'generations');
+  if (quotaError) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    return res.status(quotaError.status).json({
+      success: false,
+      error: quotaError.error
+    });
+  }
+
+  console.log(`Processing prompt: ${prompt}`);
+  console.log(`Using API provider: ${apiProvider}`);
+  console.log(`Output directory: ${outputDir}`);
+
+  // Create job entry
+  const job = {
+    id: uniqueId,
+    prompt,
+    outputDir: `generated_projects/${uniqueId}`,
+    status: 'queued', // queued, generating, scaffolding, verifying, deploying, completed, build_failed, failed, cancelled, interrupted, recovered
+    created: Date.now(),
+    lastUpdated: Date.now(),
+    completed: false,
+    apiProvider,
+    deployTarget: deployTarget || DEFAULT_DEPLOY_TARGET,
+    stream
+  };
+
+  if (req.apiKey) {
+    job.apiKeyId = req.apiKey.id;
+  }
+
+  if (scaffolder) {
+    job.framework = scaffolder.name;
+  }
+
+  // Keep only the options the request set; the rest is detected from the model's answer
+  if (!baseProject) {
+    job.generationOptions = { template: template || DEFAULT_PROMPT_TEMPLATE };
+    for (const [name, value] of Object.entries({ typescript, css, tests, conventions })) {
+      if (value !== undefined) {
+        job.generationOptions[name] = value;
+      }
+    }
+  }
+
+  if (importedProject) {
+    const { summary, ...details } = importedProject;
+    job.baseProject = details;
+  }
+
+  // Store the job
+  deploymentJobs.set(uniqueId, job);
+  persistJob(job);
+
+  // Process the job in the background once a slot in the queue is free
+  const queuePosition = enqueueJob(uniqueId, () => processGenerateAndDeploy(prompt, uniqueId, apiProvider, { baseProject: importedProject, scaffolder, scaffoldMode, generationOptions: job.generationOptions }).catch(error => {
+    console.error(`Background job error: ${error.message}`);
+    const job = deploymentJobs.get(uniqueId);
+    if (job && job.status !== 'cancelled') {
+      updateJob(job, {
+        status: 'failed',
+        error: error.message,
+        completed: true
+      });
+    }
+  }));
+
+  // Return immediate response with job ID
+  const response = {
+    success: true,
+    message: 'Project generation and deployment started',
+    jobId: uniqueId,
+    status: 'queued',
+    statusUrl: `/getDeploymentStatus?jobId=${uniqueId}`,
+    eventsUrl: `/jobs/${uniqueId}/events`
+  };
+
+  if (queuePosition) {
+    response.queuePosition = queuePosition;
+  }
+
+  return res.json(response);
+});
+
+/**
+ * POST /jobs/:id/refine
+ *
+ * Applies a follow-up instruction to an existing generated project:
+ * 1. Sends the instruction to the provider, continuing the original conversation or sending the current files
+ * 2. Writes only the files that changed
+ * 3. Optionally redeploys the project with the job's deploy target
+ */
+app.post('/jobs/:id/refine', async (req, res) => {
+  const { instruction, redeploy = false } = req.body;
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!instruction) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: instruction'
+    });
+  }
+
+  if (!job.completed) {
+    return res.status(409).json({
+      success: false,
+      error: `Job is still in progress (status: ${job.status})`
+    });
+  }
+
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  if (!fs.existsSync(outputDir)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Project directory no longer exists'
+    });
+  }
+
+  const apiProvider = req.body.apiProvider || job.apiProvider || DEFAULT_API_PROVIDER;
+
+  const providerError = validateProvider(apiProvider);
+  if (providerError) {
+    return res.status(400).json({
+      success: false,
+      error: providerError
+    });
+  }
+
+  const quotaError = useDailyQuota(req.apiKey && req.apiKey.id, 'generations');
+  if (quotaError) {
+    return res.status(quotaError.status).json({
+      success: false,
+      error: quotaError.error
+    });
+  }
+
+  console.log(`Refining project ${job.id}: ${instruction}`);
+
+  const previousStatus = job.status;
+  updateJob(job, { status: 'refining', completed: false });
+
+  try {
+    const refinement = await refineProject(job, instruction, apiProvider);
+
+    // Refresh the file list now that files may have been added
+    const projectFiles = listFilesRecursively(outputDir, outputDir, ['node_modules', '.git', '.vercel']);
+    job.fileContents = readProjectFileContents(outputDir, projectFiles);
+
+    const refinements = job.refinements || [];
+    refinements.push({
+      instruction,
+      apiProvider,
+      changedFiles: refinement.changedFiles,
+      commit: refinement.commit,
+      created: Date.now()
+    });
+
+    const response = {
+      success: true,
+      jobId: job.id,
+      changedFiles: refinement.changedFiles,
+      unchangedFiles: refinement.unchangedFiles,
+      rejectedFiles: refinement.rejectedFiles,
+      diffs: refinement.diffs,
+      addedDependencies: refinement.addedDependencies,
+      commit: refinement.commit
+    };
+
+    let status = previousStatus;
+
+    if (redeploy) {
+      const targetName = job.deployTarget || DEFAULT_DEPLOY_TARGET;
+      let targetError = targetName === 'none' ? 'Job has no deploy target' : validateDeployTarget(targetName);
+      if (!targetError) {
+        const quotaError = useDailyQuota(req.apiKey && req.apiKey.id, 'deploys');
+        targetError = quotaError && quotaError.error;
+      }
+
+      if (targetError) {
+        response.deployment = {
+          success: false,
+          error: targetError
+        };
+      } else {
+        console.log('Redeploying refined project...');
+        updateJob(job, { status: 'deploying' });
+        const deployment = await deployProject(job, outputDir, targetName);
+
+        if (deployment.success) {
+          status = 'completed';
+          job.deploymentUrl = deployment.url;
+          job.error = undefined;
+        } else {
+          status = 'deployment_failed';
+          job.error = deployment.error;
+        }
+        response.deployment = deployment;
+      }
+    }
+
+    updateJob(job, {
+      status,
+      files: projectFiles,
+      refinements,
+      completed: true
+    });
+
+    return res.json(response);
+  } catch (error) {
+    console.error(`Refinement failed: ${error.message}`);
+    updateJob(job, { status: previousStatus, completed: true });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /jobs/:id
+ *
+ * Cancels a queued or running generation job. A running job's provider request (and OpenAI
+ * Run) is aborted and its child processes are killed. The job is kept with the status
+ * `cancelled`, along with any files it already wrote.
+ *
+ * With `?purge=true` a job that has finished is deleted instead: its project directory,
+ * preview, command log and record are removed, and the response reports the space
+ * reclaimed. With `?removeDeployments=true` its deployments (e.g. the Vercel project) are
+ * taken down too. Deleting needs `purge` so that a cancel racing the job's completion (or
+ * a retried cancel) can't wipe the project; without it a finished job gets a 409.
+ */
+app.delete('/jobs/:id', async (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const purge = req.query.purge === 'true';
+
+  if (purge && !job.completed) {
+    return res.status(409).json({
+      success: false,
+      error: `Job can't be deleted while ${job.status}; cancel it first`
+    });
+  }
+
+  if (purge) {
+    try {
+      const result = await deleteJob(job, { removeDeployments: req.query.removeDeployments === 'true' });
+      return res.json({
+        success: true,
+        deleted: true,
+        ...result
+      });
+    } catch (error) {
+      console.error(`Error deleting job ${job.id}: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  if (job.completed) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already finished as ${job.status}; add ?purge=true to delete it`
+    });
+  }
+
+  const cancelledState = cancelJob(job.id);
+  if (!cancelledState) {
+    return res.status(409).json({
+      success: false,
+      error: `Job can't be cancelled while ${job.status}`
+    });
+  }
+
+  console.log(`[job ${job.id}] Cancelled while ${cancelledState === 'queued' ? 'queued' : job.status}`);
+  updateJob(job, {
+    status: 'cancelled',
+    error: 'Job was cancelled',
+    completed: true
+  });
+
+  return res.json({
+    success: true,
+    jobId: job.id,
+    status: job.status
+  });
+});
+
+/**
+ * GET /queue
+ *
+ * Reports how many generation jobs are running and waiting
+ */
+app.get('/queue', (req, res) => {
+  return res.json({
+    success: true,
+    ...getQueueStats()
+  });
+});
+
+/**
+ * GET /jobs
+ *
+ * Lists jobs, newest first. `status` (comma-separated) filters by status and `limit`
+ * (default 50) caps the number returned. Keys only see the jobs they created.
+ */
+app.get('/jobs', (req, res) => {
+  const statuses = req.query.status ? req.query.status.split(',').map(status => status.trim()) : null;
+  const limit = parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 50;
+
+  const jobs = Array.from(deploymentJobs.values())
+    .filter(job => !req.apiKey || req.apiKey.admin || job.apiKeyId === req.apiKey.id)
+    .filter(job => !statuses || statuses.includes(job.status))
+    .sort((a, b) => b.created - a.created);
+
+  return res.json({
+    success: true,
+    total: jobs.length,
+    jobs: jobs.slice(0, limit).map(job => ({
+      jobId: job.id,
+      status: job.status,
+      prompt: job.prompt,
+      framework: (job.projectInfo && job.projectInfo.framework) || job.framework || null,
+      apiProvider: job.apiProvider,
+      deploymentUrl: job.deploymentUrl || null,
+      created: job.created,
+      lastUpdated: job.lastUpdated,
+      completed: Boolean(job.completed)
+    }))
+  });
+});
+
+/**
+ * GET /jobs/:id/events
+ *
+ * Streams live job progress as Server-Sent Events:
+ * - `stage` - status transitions
+ * - `file` - each file extracted from a model response
+ * - `warning` - response parser warnings
+ * - `log` - output lines from scaffolding, build and deploy commands
+ * - `result` - the final job status; the stream ends after it
+ *
+ * Clients that reconnect with a `Last-Event-ID` header (or `lastEventId` query parameter)
+ * get every event after that ID replayed first.
+ */
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const sendEvent = event => {
+    if (event.id) {
+      res.write(`id: ${event.id}\n`);
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay what the client missed, then stop if the job is already done
+  const missed = getJobEvents(job.id, lastEventId);
+  missed.forEach(sendEvent);
+
+  if (job.completed) {
+    if (!missed.some(event => event.type === 'result')) {
+      // The event log does not survive restarts, so describe the finished job directly
+      sendEvent({ type: 'result', data: buildStatusResponse(job) });
+    }
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), 15000);
+
+  const unsubscribe = subscribeToJobEvents(job.id, event => {
+    sendEvent(event);
+    if (event.type === 'result') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+/**
+ * GET /jobs/:id/logs
+ *
+ * Returns the commands a job ran with their exit codes, durations and (redacted) output.
+ * Query parameters:
+ * - `stage` - only commands run in these stages (comma-separated, e.g. `verifying,deploying`)
+ * - `limit` - only the last N commands
+ * - `tail` - only the last N lines of each command's stdout and stderr
+ */
+app.get('/jobs/:id/logs', (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  let logs = readCommandLog(COMMAND_LOG_DIR, job.id);
+
+  if (req.query.stage) {
+    const stages = req.query.stage.split(',').map(stage => stage.trim());
+    logs = logs.filter(entry => stages.includes(entry.stage));
+  }
+
+  const limit = parseInt(req.query.limit, 10);
+  if (limit > 0) {
+    logs = logs.slice(-limit);
+  }
+
+  const tail = parseInt(req.query.tail, 10);
+  if (tail > 0) {
+    const tailLines = text => (text ? text.split('\n').slice(-tail).join('\n') : text);
+    logs = logs.map(entry => ({
+      ...entry,
+      stdout: tailLines(entry.stdout),
+      stderr: tailLines(entry.stderr)
+    }));
+  }
+
+  return res.json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    logs
+  });
+});
+
+/**
+ * GET /jobs/:id/archive
+ *
+ * Downloads the generated project as a ZIP archive with a `gavin-manifest.json` describing
+ * the job (prompt, provider, detected project info) and a SHA-256 checksum for every file.
+ * node_modules, .vercel and build output are left out unless `includeBuildOutput=true`.
+ */
+app.get('/jobs/:id/archive', (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!job.completed) {
+    return res.status(409).json({
+      success: false,
+      error: `Job is still in progress (status: ${job.status})`
+    });
+  }
+
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  if (!fs.existsSync(outputDir)) {
+    return res.status(410).json({
+      success: false,
+      error: 'Project directory no longer exists'
+    });
+  }
+
+  try {
+    const archive = createProjectArchive(outputDir, {
+      includeBuildOutput: req.query.includeBuildOutput === 'true',
+      manifest: {
+        jobId: job.id,
+        prompt: job.prompt,
+        apiProvider: job.apiProvider,
+        projectInfo: job.projectInfo || null,
+        scaffold: job.scaffold || null,
+        usage: job.usage || null,
+        status: job.status,
+        deploymentUrl: job.deploymentUrl || null,
+        deployTarget: job.deployTarget || null,
+        created: new Date(job.created).toISOString()
+      }
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="ai-project-${job.id}.zip"`,
+      'Content-Length': archive.length
+    });
+    return res.end(archive);
+  } catch (error) {
+    console.error(`Error archiving project ${job.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /jobs/:id/history
+ *
+ * Lists the commits in the project's git repository, newest first: the scaffold (or
+ * imported base project), the model's output, build fixes, installs, refinements,
+ * deployments and restores. Each commit names its stage and, where a model wrote it, the
+ * provider; the prompt or instruction is in `body`. `limit` returns only the newest N.
+ */
+app.get('/jobs/:id/history', async (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  if (!fs.existsSync(outputDir)) {
+    return res.status(410).json({
+      success: false,
+      error: 'Project directory no longer exists'
+    });
+  }
+
+  try {
+    const history = await getProjectHistory(outputDir, { limit: parseInt(req.query.limit, 10) });
+    return res.json({
+      success: true,
+      jobId: job.id,
+      history
+    });
+  } catch (error) {
+    console.error(`Error reading history of ${job.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /jobs/:id/diff?from=<commit>&to=<commit>
+ *
+ * Compares two revisions of the project and returns the changed files with their status
+ * (A, M or D) and a unified diff. `to` defaults to the latest commit and `from` to the
+ * commit before `to`. Revisions are commit hashes (abbreviated or full) or `HEAD`,
+ * optionally followed by `~N`.
+ */
+app.get('/jobs/:id/diff', async (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  if (!hasProjectHistory(outputDir)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project has no history'
+    });
+  }
 
+  try {
+    const result = await diffProjectRevisions(outputDir, req.query.from, req.query.to || 'HEAD');
+    return res.json({
+      success: true,
+      jobId: job.id,
+      ...result
+    });
   } catch (error) {
-    console.error(`Job processing failed: ${error.message}`);
-    job.status = 'failed';
-    job.error = error.message;
-    job.lastUpdated = Date.now();
-    job.completed = true;
+    if (error.code === 'INVALID_REVISION') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error(`Error diffing ${job.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
 /**
- * POST /generateProject
- * 
- * Accepts a prompt and generates a complete project by:
- * 1. Getting code from the OpenAI Assistant
- * 2. Running scaffolding commands locally
- * 3. Combining the generated code with the scaffolded structure
- * 4. Deploying the project to Vercel
+ * POST /jobs/:id/restore
+ *
+ * Puts the project's files back the way they were at an earlier commit ({ "commit": "<hash>" })
+ * and records the restore as a new commit, so it can be undone by restoring again. Uncommitted
+ * changes are committed first. Deployments aren't touched; redeploy with POST /jobs/:id/deploy.
  */
-app.post('/generateProject', async (req, res) => {
-  const { prompt, apiProvider = 'openai' } = req.body;
+app.post('/jobs/:id/restore', async (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
 
-  // Validate request
-  if (!prompt) {
-    return res.status(400).json({
+  if (!job) {
+    return res.status(404).json({
       success: false,
-      error: 'Missing required field: prompt'
+      error: 'Job not found'
     });
   }
 
-  if (apiProvider === 'openai' && (!process.env.OPENAI_API_KEY || !ASSISTANT_ID)) {
+  if (!req.body.commit) {
     return res.status(400).json({
       success: false,
-      error: 'OpenAI configuration is missing'
+      error: 'Missing required field: commit'
+    });
+  }
+
+  if (!job.completed) {
+    return res.status(409).json({
+      success: false,
+      error: `Job is still in progress (status: ${job.status})`
+    });
+  }
+
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  if (!hasProjectHistory(outputDir)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project has no history'
+    });
+  }
+
+  try {
+    const result = await restoreProjectRevision(outputDir, String(req.body.commit), { jobId: job.id });
+    console.log(`[job ${job.id}] Restored ${result.restoredFrom.slice(0, 7)}`);
+
+    // The model's conversation no longer matches the files, so the next refinement sends them again
+    const projectFiles = listFilesRecursively(outputDir, outputDir, ['node_modules', '.git', '.vercel']);
+    job.fileContents = readProjectFileContents(outputDir, projectFiles);
+    updateJob(job, { files: projectFiles, conversation: undefined });
+
+    return res.json({
+      success: true,
+      jobId: job.id,
+      ...result,
+      files: projectFiles
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REVISION') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error(`Error restoring ${job.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /jobs/:id/deploy
+ *
+ * Deploys a finished project with any configured target, e.g. to add a Docker build
+ * context or a local preview next to an existing Vercel deployment. Responds once the
+ * deployment has finished, with the same result shape for every target.
+ */
+app.post('/jobs/:id/deploy', async (req, res) => {
+  const job = getJobForRequest(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!job.completed) {
+    return res.status(409).json({
+      success: false,
+      error: `Job is still in progress (status: ${job.status})`
     });
   }
 
-  if (apiProvider === 'gemini' && !process.env.GOOGLE_API_KEY) {
+  const targetName = req.body.target || (job.deployTarget !== 'none' && job.deployTarget) || DEFAULT_DEPLOY_TARGET;
+  const targetError = validateDeployTarget(targetName);
+  if (targetError) {
     return res.status(400).json({
       success: false,
-      error: 'Google API configuration is missing'
+      error: targetError
     });
   }
 
-  // Generate a unique ID for this request
-  const uniqueId = crypto.randomBytes(8).toString('hex');
-  const outputDir = path.join(OUTPUT_DIR_BASE, uniqueId);
+  const outputDir = path.join(OUTPUT_DIR_BASE, job.id);
+  if (!fs.existsSync(outputDir)) {
+    return res.status(410).json({
+      success: false,
+      error: 'Project directory no longer exists'
+    });
+  }
 
-  // Create the output directory
-  fs.mkdirSync(outputDir, { recursive: true });
+  const quotaError = useDailyQuota(req.apiKey && req.apiKey.id, 'deploys');
+  if (quotaError) {
+    return res.status(quotaError.status).json({
+      success: false,
+      error: quotaError.error
+    });
+  }
 
-  console.log(`Processing prompt: ${prompt}`);
-  console.log(`Using API provider: ${apiProvider}`);
-  console.log(`Output directory: ${outputDir}`);
+  updateJob(job, { status: 'deploying', completed: false });
 
-  // Create job entry
-  const job = {
-    id: uniqueId,
-    prompt,
-    outputDir: `generated_projects/${uniqueId}`,
-    status: 'pending', // pending, generating, scaffolding, deploying, completed, failed
-    created: Date.now(),
-    lastUpdated: Date.now(),
-    completed: false,
-    apiProvider
+  try {
+    const deployment = await deployProject(job, outputDir, targetName);
+
+    if (deployment.success) {
+      updateJob(job, {
+        status: 'completed',
+        completed: true,
+        deploymentUrl: deployment.url || job.deploymentUrl,
+        error: undefined
+      });
+    } else {
+      updateJob(job, { status: 'deployment_failed', completed: true, error: deployment.error });
+    }
+
+    return res.status(deployment.success ? 200 : 500).json({
+      success: deployment.success,
+      jobId: job.id,
+      status: job.status,
+      deployment
+    });
+  } catch (error) {
+    console.error(`Error deploying job ${job.id}: ${error.message}`);
+    updateJob(job, { status: 'deployment_failed', completed: true, error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * ALL /preview/:jobId/*
+ *
+ * Serves sites published with the `preview` deploy target. Only IDs of known jobs are
+ * served, so the ID can't point the static handler outside the preview directory.
+ * Previews of projects that need a server runtime are proxied to the project's own
+ * server, which is started again if it was stopped for being idle.
+ */
+app.use('/preview/:jobId', async (req, res, next) => {
+  const job = deploymentJobs.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Preview not found'
+    });
+  }
+
+  const artifact = getPreviewServerArtifact(job);
+  if (!artifact) {
+    return express.static(getPreviewDir(job.id))(req, res, next);
+  }
+
+  try {
+    const server = await startPreviewServer(job.id, {
+      projectDir: artifact.path,
+      command: artifact.command,
+      env: artifact.env,
+      basePath: getPreviewPath(job.id),
+      stripPrefix: artifact.stripPrefix
+    });
+    return proxyPreviewRequest(server, req, res);
+  } catch (error) {
+    console.error(`[job ${job.id}] Preview server failed to start: ${error.message}`);
+    return res.status(502).json({
+      success: false,
+      error: 'Preview server failed to start'
+    });
+  }
+});
+
+/**
+ * GET /api-keys/me
+ *
+ * Describes the API key used for the request: its limits and today's usage
+ */
+app.get('/api-keys/me', (req, res) => {
+  if (!req.apiKey) {
+    return res.json({
+      success: true,
+      authentication: false
+    });
+  }
+
+  return res.json({
+    success: true,
+    authentication: true,
+    key: {
+      id: req.apiKey.id,
+      name: req.apiKey.name,
+      prefix: req.apiKey.prefix,
+      admin: Boolean(req.apiKey.admin)
+    },
+    limits: getKeyLimits(req.apiKey),
+    usage: {
+      day: getQuotaDay(),
+      ...getQuotaUsage(QUOTA_USAGE_PATH, req.apiKey.id)
+    }
+  });
+});
+
+/**
+ * GET /usage
+ *
+ * Sums token usage and estimated cost per day, provider and API key. `from` and `to`
+ * (YYYY-MM-DD, UTC) limit the days. Keys only see their own usage; admin keys can pass
+ * `apiKeyId` to look at one key.
+ */
+app.get('/usage', (req, res) => {
+  const { from, to } = req.query;
+
+  for (const day of [from, to]) {
+    if (day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date: ${day}. Use YYYY-MM-DD`
+      });
+    }
+  }
+
+  const apiKeyId = req.apiKey && !req.apiKey.admin ? req.apiKey.id : req.query.apiKeyId;
+
+  try {
+    const { rows, totals } = summarizeUsage(USAGE_LOG_PATH, { from, to, apiKeyId });
+    return res.json({
+      success: true,
+      currency: pricing.currency,
+      from: from || null,
+      to: to || null,
+      rows,
+      totals
+    });
+  } catch (error) {
+    console.error(`Error reading usage log: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/gc
+ *
+ * Deletes the finished jobs the retention policy no longer keeps and reports the space
+ * reclaimed. `maxAgeHours`, `maxJobs` and `maxDiskMb` override the configured limits for
+ * this run, `dryRun` only reports what would be deleted, and `removeDeployments` takes
+ * the deleted jobs' deployments down too. Needs an admin key when authentication is on.
+ */
+app.post('/admin/gc', async (req, res) => {
+  if (req.apiKey && !req.apiKey.admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Garbage collection needs an admin API key'
+    });
+  }
+
+  const { maxAgeHours, maxJobs, maxDiskMb } = req.body;
+  for (const [name, value] of Object.entries({ maxAgeHours, maxJobs, maxDiskMb })) {
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) {
+      return res.status(400).json({
+        success: false,
+        error: `${name} must be a number of 0 or more`
+      });
+    }
+  }
+
+  const policy = {
+    maxAgeMs: maxAgeHours !== undefined ? maxAgeHours * 60 * 60 * 1000 : RETENTION_POLICY.maxAgeMs,
+    maxJobs: maxJobs !== undefined ? maxJobs : RETENTION_POLICY.maxJobs,
+    maxTotalBytes: maxDiskMb !== undefined ? maxDiskMb * 1024 * 1024 : RETENTION_POLICY.maxTotalBytes
   };
 
-  // Store the job
-  deploymentJobs.set(uniqueId, job);
+  if (!hasRetentionLimits(policy)) {
+    return res.status(400).json({
+      success: false,
+      error: 'No retention limits are set. Configure RETENTION_MAX_AGE_HOURS, RETENTION_MAX_JOBS or RETENTION_MAX_DISK_MB, or pass maxAgeHours, maxJobs or maxDiskMb'
+    });
+  }
 
-  // Start processing in the background
-  processGenerateAndDeploy(prompt, uniqueId, apiProvider).catch(error => {
-    console.error(`Background job error: ${error.message}`);
-    const job = deploymentJobs.get(uniqueId);
-    if (job) {
-      job.status = 'failed';
-      job.error = error.message;
-      job.lastUpdated = Date.now();
-      job.completed = true;
+  const removeDeployments = req.body.removeDeployments !== undefined
+    ? req.body.removeDeployments === true
+    : RETENTION_REMOVE_DEPLOYMENTS;
+
+  try {
+    const result = await runGarbageCollection({ policy, dryRun: req.body.dryRun === true, removeDeployments });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Garbage collection is already running'
+      });
     }
+
+    return res.json({
+      success: true,
+      dryRun: req.body.dryRun === true,
+      ...result
+    });
+  } catch (error) {
+    console.error(`Error collecting garbage: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /deploy-targets
+ *
+ * Lists the deploy targets and whether each one is configured
+ */
+app.get('/deploy-targets', (req, res) => {
+  return res.json({
+    success: true,
+    defaultTarget: DEFAULT_DEPLOY_TARGET,
+    targets: listDeployTargets().map(target => ({
+      name: target.name,
+      displayName: target.displayName,
+      configured: target.isConfigured()
+    }))
   });
+});
 
-  // Return immediate response with job ID
+/**
+ * GET /providers
+ *
+ * Lists the registered LLM providers and whether each one is configured
+ */
+app.get('/providers', (req, res) => {
   return res.json({
     success: true,
-    message: 'Project generation and deployment started',
-    jobId: uniqueId,
-    status: 'pending',
-    statusUrl: `/getDeploymentStatus?jobId=${uniqueId}`
+    defaultProvider: DEFAULT_API_PROVIDER,
+    providers: listProviders().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      configured: provider.isConfigured()
+    }))
+  });
+});
+
+/**
+ * GET /frameworks
+ *
+ * Lists the frameworks projects can be scaffolded with
+ */
+app.get('/frameworks', (req, res) => {
+  return res.json({
+    success: true,
+    defaultFramework: DEFAULT_SCAFFOLDER,
+    scaffoldMode: SCAFFOLD_MODE,
+    frameworks: listScaffolders().map(scaffolder => ({
+      name: scaffolder.name,
+      displayName: scaffolder.displayName,
+      aliases: scaffolder.aliases || [],
+      buildCommand: scaffolder.buildCommand,
+      outputDir: scaffolder.outputDir,
+      devCommand: scaffolder.devCommand,
+      templates: listTemplates()
+        .filter(template => template.framework === scaffolder.name)
+        .map(template => ({ name: template.name, language: template.language, version: template.version })),
+      npxCommand: Boolean(scaffolder.scaffoldCommand)
+    }))
+  });
+});
+
+/**
+ * GET /prompt-templates
+ *
+ * Lists the prompt templates new projects can be generated with
+ */
+app.get('/prompt-templates', (req, res) => {
+  return res.json({
+    success: true,
+    defaultTemplate: DEFAULT_PROMPT_TEMPLATE,
+    templates: listPromptTemplates(PROMPT_TEMPLATES_DIR).map(template => ({
+      name: template.name,
+      description: template.description,
+      variables: template.variables
+    }))
   });
 });
 
@@ -789,7 +3211,7 @@ app.get('/getDeploymentStatus', (req, res) => {
     });
   }
 
-  const job = deploymentJobs.get(jobId);
+  const job = getJobForRequest(req, jobId);
 
   if (!job) {
     return res.status(404).json({
@@ -798,33 +3220,16 @@ app.get('/getDeploymentStatus', (req, res) => {
     });
   }
 
-  // Return different fields based on status
-  const response = {
-    success: true,
-    jobId: job.id,
-    status: job.status,
-    created: job.created,
-    lastUpdated: job.lastUpdated
-  };
-
-  // Add additional fields based on status
-  if (job.completed) {
-    response.outputDir = job.outputDir;
-
-    if (job.error) {
-      response.error = job.error;
-    }
-
-    if (job.files) {
-      response.files = job.files;
-    }
+  const response = buildStatusResponse(job);
 
-    if (job.deploymentUrl) {
-      response.deploymentUrl = job.deploymentUrl;
+  // Only include fileContents if specifically requested
+  if (job.completed && req.query.includeFiles === 'true') {
+    // File contents are not persisted, so re-read them from disk after a restart
+    if (!job.fileContents && job.files) {
+      job.fileContents = readProjectFileContents(path.join(__dirname, job.outputDir), job.files);
     }
 
-    // Only include fileContents if specifically requested
-    if (req.query.includeFiles === 'true' && job.fileContents) {
+    if (job.fileContents) {
       response.fileContents = job.fileContents;
     }
   }
@@ -832,13 +3237,36 @@ app.get('/getDeploymentStatus', (req, res) => {
   return res.json(response);
 });
 
+// Reload jobs from previous runs before accepting requests
+recoverJobs();
+
+// Stop preview servers nobody has used for a while; they start again on the next request
+if (PREVIEW_IDLE_MS > 0) {
+  setInterval(() => {
+    for (const jobId of stopIdlePreviewServers(PREVIEW_IDLE_MS)) {
+      console.log(`[job ${jobId}] Stopped idle preview server`);
+    }
+  }, Math.min(PREVIEW_IDLE_MS, 60 * 1000)).unref();
+}
+
+// Preview servers run in their own process groups, so stop them with the server
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    stopAllPreviewServers();
+    process.exit(0);
+  });
+}
+
+// Delete finished jobs the retention policy no longer keeps, now and then periodically
+if (hasRetentionLimits(RETENTION_POLICY) && RETENTION_SWEEP_INTERVAL_MS > 0) {
+  sweepExpiredJobs();
+  setInterval(sweepExpiredJobs, RETENTION_SWEEP_INTERVAL_MS).unref();
+}
+
 // Start the server
 app.listen(port, () => {
   console.log(`Assistant Coder server listening on port ${port}`);
   console.log(`API endpoint: http://localhost:${port}/generateProject`);
-  if (VERCEL_TOKEN) {
-    console.log('Vercel deployment is enabled');
-  } else {
-    console.log('WARNING: Vercel deployment is disabled (VERCEL_TOKEN not set)');
-  }
+  const configuredTargets = listDeployTargets().filter(target => target.isConfigured()).map(target => target.name);
+  console.log(`Deploy targets available: ${configuredTargets.join(', ')} (default: ${DEFAULT_DEPLOY_TARGET})`);
 });
\ No newline at end of file
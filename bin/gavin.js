@@ -0,0 +1,814 @@
+#!/usr/bin/env node
+
+/**
+ * bin/gavin.js - Command-line client for the Gavin Coding Agent server
+ *
+ * Run `gavin help` for the commands. The server URL and API key come from --server and
+ * --api-key, or from GAVIN_SERVER_URL and GAVIN_API_KEY. With --json every command prints
+ * a single JSON document (the server's response) instead of text.
+ *
+ * Exit codes: 0 on success, 1 when a request or job fails, 2 for usage errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createClient } = require('../lib/gavin-client');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const DEFAULT_SERVER_URL = 'http://localhost:3001';
+const GENERATED_PROJECTS_DIR = path.join(__dirname, '..', 'generated_projects');
+
+// Job statuses that mean the job didn't produce what was asked for
+const FAILED_STATUSES = ['failed', 'build_failed', 'deployment_failed', 'cancelled', 'interrupted'];
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const GLOBAL_FLAGS = {
+  server: 'string',
+  'api-key': 'string',
+  json: 'boolean',
+  help: 'boolean'
+};
+
+const COMMANDS = {
+  generate: {
+    args: ['prompt...'],
+    summary: 'Generate a project and follow its progress',
+    flags: {
+      provider: 'string',
+      framework: 'string',
+      template: 'string',
+      typescript: 'boolean',
+      css: 'string',
+      tests: 'boolean',
+      conventions: 'string',
+      'deploy-target': 'string',
+      'scaffold-mode': 'string',
+      stream: 'boolean',
+      'base-zip': 'string',
+      'base-git': 'string',
+      ref: 'string',
+      detach: 'boolean'
+    },
+    help: `  --provider <name>       LLM provider (openai, gemini, openai-compatible, mock)
+  --framework <name>      Framework to build with (see GET /frameworks)
+  --template <name>       Prompt template (see GET /prompt-templates)
+  --typescript            Write TypeScript (--no-typescript for JavaScript)
+  --css <tailwind|css>    Styling
+  --tests                 Include unit tests
+  --conventions <text>    Coding conventions for the model
+  --deploy-target <name>  vercel, static, docker, preview or none
+  --scaffold-mode <mode>  template or npx
+  --no-stream             Don't stream the model's answer
+  --base-zip <file>       Start from a ZIP archive of an existing project
+  --base-git <path>       Start from a local git repository (with --ref <ref>)
+  --detach                Print the job ID and exit without following the job`,
+    run: generate
+  },
+  status: {
+    args: ['jobId'],
+    summary: "Show a job's status",
+    flags: { files: 'boolean' },
+    help: '  --files                 Include file contents (JSON output only)',
+    run: status
+  },
+  watch: {
+    args: ['jobId'],
+    summary: 'Follow a job until it finishes',
+    flags: {},
+    run: watch
+  },
+  list: {
+    args: [],
+    summary: 'List jobs, newest first',
+    flags: { status: 'string', limit: 'string' },
+    help: `  --status <list>         Only jobs with these statuses (comma-separated)
+  --limit <n>             Most jobs to list (default 50)`,
+    run: list
+  },
+  logs: {
+    args: ['jobId'],
+    summary: 'Show the commands a job ran and their output',
+    flags: { stage: 'string', limit: 'string', tail: 'string' },
+    help: `  --stage <list>          Only these stages (scaffolding, verifying, deploying, ...)
+  --limit <n>             Only the last n commands
+  --tail <n>              Only the last n lines of each command's output`,
+    run: logs
+  },
+  refine: {
+    args: ['jobId', 'instruction...'],
+    summary: 'Change a generated project with a follow-up instruction',
+    flags: { provider: 'string', redeploy: 'boolean', diff: 'boolean' },
+    help: `  --provider <name>       LLM provider (default: the job's)
+  --redeploy              Deploy again with the job's deploy target
+  --diff                  Print the diff of every changed file`,
+    run: refine
+  },
+  history: {
+    args: ['jobId'],
+    summary: "List the commits in a project's history",
+    flags: { limit: 'string' },
+    help: '  --limit <n>             Only the newest n commits',
+    run: history
+  },
+  diff: {
+    args: ['jobId'],
+    summary: 'Show the changes between two commits of a project',
+    flags: { from: 'string', to: 'string', stat: 'boolean' },
+    help: `  --from <commit>         Older commit (default: the one before --to)
+  --to <commit>           Newer commit (default: the latest)
+  --stat                  Only list the changed files`,
+    run: diff
+  },
+  restore: {
+    args: ['jobId', 'commit'],
+    summary: 'Put a project back the way it was at an earlier commit',
+    flags: {},
+    run: restore
+  },
+  download: {
+    args: ['jobId'],
+    summary: 'Download a project as a ZIP archive',
+    flags: { output: 'string', 'include-build-output': 'boolean' },
+    help: `  --output <file>         Where to save it (default ai-project-<jobId>.zip)
+  --include-build-output  Include dist/, build/, .next/ and similar directories`,
+    run: download
+  },
+  deploy: {
+    args: ['jobId'],
+    summary: 'Deploy a finished project',
+    flags: { target: 'string' },
+    help: "  --target <name>         Deploy target (default: the job's)",
+    run: deploy
+  },
+  start: {
+    args: ['jobId'],
+    summary: "Run a project's development server locally",
+    flags: { dir: 'string' },
+    help: `  --dir <path>            Project directory; downloaded there first if it doesn't exist
+                          (default: generated_projects/<jobId> when the server runs here,
+                          otherwise ./ai-project-<jobId>)`,
+    run: start
+  },
+  rm: {
+    args: ['jobId'],
+    summary: 'Cancel a running job, or delete a finished one with --purge',
+    flags: { purge: 'boolean', 'remove-deployments': 'boolean' },
+    help: `  --purge                 Delete a finished job: its project, preview, logs and record
+  --remove-deployments    Also take down the deployments of a deleted job (with --purge)`,
+    run: rm
+  }
+};
+
+/**
+ * Error for a command line the CLI can't run
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error with exitCode EXIT_USAGE
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+/**
+ * Build the help text
+ * @param {string} [commandName] - Command to describe; all commands when omitted
+ * @returns {string}
+ */
+function getUsage(commandName) {
+  const globalHelp = `Global options:
+  --server <url>          Server URL (default $GAVIN_SERVER_URL or ${DEFAULT_SERVER_URL})
+  --api-key <key>         API key (default $GAVIN_API_KEY)
+  --json                  Print the server's JSON response instead of text`;
+
+  const command = COMMANDS[commandName];
+  if (command) {
+    const args = command.args.map(arg => `<${arg}>`).join(' ');
+    return `Usage: gavin ${commandName} ${args} [options]\n\n${command.summary}\n` +
+      (command.help ? `\nOptions:\n${command.help}\n` : '') +
+      `\n${globalHelp}`;
+  }
+
+  const list = Object.entries(COMMANDS)
+    .map(([name, { args, summary }]) => `  ${`${name} ${args.map(arg => `<${arg}>`).join(' ')}`.padEnd(34)}${summary}`)
+    .join('\n');
+  return `Usage: gavin <command> [options]\n\nCommands:\n${list}\n\n${globalHelp}\n\nRun gavin help <command> for a command's options.`;
+}
+
+/**
+ * Parse the arguments of a command
+ *
+ * Flags are `--name value`, `--name=value`, or for booleans `--name` and `--no-name`.
+ * @param {Array<string>} argv - Arguments after the command name
+ * @param {Object} command - Command definition
+ * @returns {Object} - { args: { [name]: value }, flags: { [name]: value } }
+ */
+function parseCommandLine(argv, command) {
+  const flagTypes = { ...GLOBAL_FLAGS, ...command.flags };
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const negated = rawName.startsWith('no-') && flagTypes[rawName.slice(3)] === 'boolean';
+    const name = negated ? rawName.slice(3) : rawName;
+    const type = flagTypes[name];
+
+    if (!type) {
+      throw usageError(`Unknown option: --${rawName}`);
+    }
+
+    if (type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw usageError(`--${name} doesn't take a value`);
+      }
+      flags[name] = !negated;
+    } else if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined) {
+      flags[name] = argv[++i];
+    } else {
+      throw usageError(`--${name} needs a value`);
+    }
+  }
+
+  if (flags.help) {
+    return { args: {}, flags };
+  }
+
+  const args = {};
+  command.args.forEach((name, index) => {
+    if (name.endsWith('...')) {
+      args[name.slice(0, -3)] = positional.slice(index).join(' ');
+    } else {
+      args[name] = positional[index];
+    }
+  });
+
+  const missing = command.args.find(name => !args[name.replace(/\.\.\.$/, '')]);
+  if (missing) {
+    throw usageError(`Missing <${missing}>`);
+  }
+  const variadic = command.args.some(name => name.endsWith('...'));
+  if (!variadic && positional.length > command.args.length) {
+    throw usageError(`Unexpected argument: ${positional[command.args.length]}`);
+  }
+
+  return { args, flags };
+}
+
+/**
+ * Read a whole-number option
+ * @param {Object} flags - Parsed flags
+ * @param {string} name - Flag name
+ * @returns {number|undefined}
+ */
+function readNumberFlag(flags, name) {
+  if (flags[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(flags[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw usageError(`--${name} must be a whole number above 0`);
+  }
+  return value;
+}
+
+/**
+ * Get an emoji for a job status
+ * @param {string} status - Job status
+ * @returns {string}
+ */
+function getStatusEmoji(status) {
+  const statusMap = {
+    'queued': '⏳',
+    'generating': '🧠',
+    'scaffolding': '🏗️',
+    'verifying': '🔍',
+    'refining': '✏️',
+    'deploying': '🚀',
+    'completed': '✅',
+    'completed_without_deployment': '⚠️',
+    'deployment_failed': '❌',
+    'build_failed': '❌',
+    'failed': '❌',
+    'cancelled': '🛑',
+    'interrupted': '⛔',
+    'recovered': '♻️'
+  };
+  return statusMap[status] || '🔄';
+}
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Print a job's status for people
+ * @param {Object} job - Status response
+ */
+function printJob(job) {
+  console.log(`${getStatusEmoji(job.status)} ${job.jobId}: ${job.status}`);
+
+  if (job.queuePosition) {
+    console.log(`   Queue position: ${job.queuePosition}`);
+  }
+  if (job.error) {
+    console.log(`   Error: ${job.error}`);
+  }
+  if (job.deploymentUrl) {
+    console.log(`   URL: ${job.deploymentUrl}`);
+  }
+  if (job.outputDir) {
+    console.log(`   Output directory: ${job.outputDir}`);
+  }
+  if (job.usage && job.usage.totalTokens) {
+    const cost = job.usage.cost ? ` (~$${job.usage.cost.toFixed(4)})` : '';
+    console.log(`   Tokens: ${job.usage.totalTokens}${cost}`);
+  }
+  if (job.files) {
+    console.log(`   Files (${job.files.length}):`);
+    job.files.slice().sort().forEach(file => console.log(`     ${file}`));
+  }
+}
+
+/**
+ * Print a live job event for people
+ * @param {Object} event - { event, data }
+ */
+function printEvent({ event, data }) {
+  if (event === 'stage') {
+    console.log(`${getStatusEmoji(data.status)} ${data.status}`);
+  } else if (event === 'file') {
+    console.log(`   📄 ${data.path} (${formatBytes(data.bytes)})`);
+  } else if (event === 'tool') {
+    console.log(`   🔧 ${data.name}${data.path ? ` ${data.path}` : ''}`);
+  } else if (event === 'warning') {
+    console.log(`   ⚠️  ${data.message}`);
+  } else if (event === 'log') {
+    console.log(`   │ ${data.line}`);
+  }
+}
+
+/**
+ * Follow a job until it finishes and report the outcome
+ * @param {Object} client - API client
+ * @param {string} jobId - Job ID
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<number>} - Exit code
+ */
+async function followJob(client, jobId, flags) {
+  const result = await client.watchJob(
+    jobId,
+    flags.json ? null : printEvent,
+    flags.json ? null : error => console.error(`🔌 Connection lost (${error.message}), reconnecting...`)
+  );
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log('');
+    printJob(result);
+  }
+
+  return FAILED_STATUSES.includes(result.status) ? EXIT_FAILURE : 0;
+}
+
+/**
+ * gavin generate <prompt>
+ */
+async function generate(client, { prompt }, flags) {
+  const body = {
+    prompt,
+    apiProvider: flags.provider,
+    framework: flags.framework,
+    template: flags.template,
+    typescript: flags.typescript,
+    css: flags.css,
+    tests: flags.tests,
+    conventions: flags.conventions,
+    deployTarget: flags['deploy-target'],
+    scaffoldMode: flags['scaffold-mode'],
+    stream: flags.stream
+  };
+
+  if (flags['base-zip'] && flags['base-git']) {
+    throw usageError('Use either --base-zip or --base-git, not both');
+  }
+  if (flags['base-zip']) {
+    body.baseProject = { zip: fs.readFileSync(flags['base-zip']).toString('base64') };
+  } else if (flags['base-git']) {
+    body.baseProject = { gitPath: path.resolve(flags['base-git']), ref: flags.ref };
+  }
+
+  const started = await client.request('POST', '/generateProject', { body });
+
+  if (flags.detach) {
+    if (flags.json) {
+      console.log(JSON.stringify(started, null, 2));
+    } else {
+      console.log(started.jobId);
+    }
+    return 0;
+  }
+
+  if (!flags.json) {
+    console.log(`🆔 Job ${started.jobId}${started.queuePosition ? ` (queue position ${started.queuePosition})` : ''}`);
+  }
+  return followJob(client, started.jobId, flags);
+}
+
+/**
+ * gavin status <jobId>
+ */
+async function status(client, { jobId }, flags) {
+  const job = await client.request('GET', '/getDeploymentStatus', {
+    query: { jobId, includeFiles: flags.files ? 'true' : undefined }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(job, null, 2));
+  } else {
+    printJob(job);
+  }
+  return FAILED_STATUSES.includes(job.status) ? EXIT_FAILURE : 0;
+}
+
+/**
+ * gavin watch <jobId>
+ */
+async function watch(client, { jobId }, flags) {
+  return followJob(client, jobId, flags);
+}
+
+/**
+ * gavin list
+ */
+async function list(client, args, flags) {
+  const result = await client.request('GET', '/jobs', {
+    query: { status: flags.status, limit: readNumberFlag(flags, 'limit') }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  if (result.jobs.length === 0) {
+    console.log('No jobs');
+    return 0;
+  }
+
+  for (const job of result.jobs) {
+    const created = new Date(job.created).toISOString().replace('T', ' ').slice(0, 16);
+    const prompt = (job.prompt || '').replace(/\s+/g, ' ');
+    console.log(`${job.jobId}  ${created}  ${job.status.padEnd(28)} ${prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt}`);
+  }
+  if (result.total > result.jobs.length) {
+    console.log(`(${result.total - result.jobs.length} more; use --limit to see them)`);
+  }
+  return 0;
+}
+
+/**
+ * gavin logs <jobId>
+ */
+async function logs(client, { jobId }, flags) {
+  const result = await client.request('GET', `/jobs/${encodeURIComponent(jobId)}/logs`, {
+    query: { stage: flags.stage, limit: readNumberFlag(flags, 'limit'), tail: readNumberFlag(flags, 'tail') }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  if (result.logs.length === 0) {
+    console.log('No commands logged');
+  }
+  for (const entry of result.logs) {
+    const outcome = entry.exitCode === 0 ? '✅' : '❌';
+    console.log(`${outcome} [${entry.stage}] $ ${entry.command}  (${entry.cwd}, ${(entry.durationMs / 1000).toFixed(1)}s, exit ${entry.signal || entry.exitCode})`);
+    for (const text of [entry.stdout, entry.stderr]) {
+      if (text && text.trim()) {
+        console.log(text.trimEnd().split('\n').map(line => `   │ ${line}`).join('\n'));
+      }
+    }
+  }
+  return 0;
+}
+
+/**
+ * gavin refine <jobId> <instruction>
+ */
+async function refine(client, { jobId, instruction }, flags) {
+  const result = await client.request('POST', `/jobs/${encodeURIComponent(jobId)}/refine`, {
+    body: { instruction, apiProvider: flags.provider, redeploy: flags.redeploy }
+  });
+  const deploymentFailed = result.deployment && !result.deployment.success;
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return deploymentFailed ? EXIT_FAILURE : 0;
+  }
+
+  console.log(`✏️  Changed ${result.changedFiles.length} files`);
+  result.changedFiles.forEach(file => console.log(`   ${file}`));
+  if (result.rejectedFiles && result.rejectedFiles.length > 0) {
+    console.log(`⚠️  Rejected ${result.rejectedFiles.length} files`);
+    result.rejectedFiles.forEach(file => console.log(`   ${file.path}: ${file.reason}`));
+  }
+  if (flags.diff && result.diffs) {
+    Object.values(result.diffs).forEach(diff => console.log(`\n${diff}`));
+  }
+  if (result.deployment) {
+    console.log(result.deployment.success
+      ? `🚀 Redeployed${result.deployment.url ? `: ${result.deployment.url}` : ''}`
+      : `❌ Redeploy failed: ${result.deployment.error}`);
+  }
+  return deploymentFailed ? EXIT_FAILURE : 0;
+}
+
+/**
+ * gavin history <jobId>
+ */
+async function history(client, { jobId }, flags) {
+  const result = await client.request('GET', `/jobs/${encodeURIComponent(jobId)}/history`, {
+    query: { limit: readNumberFlag(flags, 'limit') }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  if (result.history.length === 0) {
+    console.log('No history');
+  }
+  for (const entry of result.history) {
+    const details = [entry.stage, entry.provider, `${entry.filesChanged} files`].filter(Boolean).join(', ');
+    console.log(`${entry.shortCommit}  ${new Date(entry.created).toLocaleString()}  ${entry.message}  (${details})`);
+    if (entry.body) {
+      console.log(entry.body.split('\n').map(line => `         │ ${line}`).join('\n'));
+    }
+  }
+  return 0;
+}
+
+/**
+ * gavin diff <jobId>
+ */
+async function diff(client, { jobId }, flags) {
+  const result = await client.request('GET', `/jobs/${encodeURIComponent(jobId)}/diff`, {
+    query: { from: flags.from, to: flags.to }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  console.log(`${result.from ? result.from.slice(0, 7) : '(empty)'}..${result.to.slice(0, 7)}: ${result.files.length} files changed`);
+  result.files.forEach(file => console.log(`   ${file.status} ${file.path}`));
+  if (!flags.stat && result.diff) {
+    console.log(`\n${result.diff.trimEnd()}`);
+  }
+  return 0;
+}
+
+/**
+ * gavin restore <jobId> <commit>
+ */
+async function restore(client, { jobId, commit }, flags) {
+  const result = await client.request('POST', `/jobs/${encodeURIComponent(jobId)}/restore`, {
+    body: { commit }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  console.log(result.commit
+    ? `⏪ Restored ${result.restoredFrom.slice(0, 7)} as ${result.commit.slice(0, 7)}`
+    : `⏪ Project already matches ${result.restoredFrom.slice(0, 7)}`);
+  return 0;
+}
+
+/**
+ * gavin download <jobId>
+ */
+async function download(client, { jobId }, flags) {
+  const archive = await client.download(`/jobs/${encodeURIComponent(jobId)}/archive`, {
+    includeBuildOutput: flags['include-build-output'] ? 'true' : undefined
+  });
+  const outputPath = path.resolve(flags.output || `ai-project-${jobId}.zip`);
+  fs.writeFileSync(outputPath, archive);
+
+  if (flags.json) {
+    console.log(JSON.stringify({ success: true, jobId, path: outputPath, bytes: archive.length }, null, 2));
+  } else {
+    console.log(`📦 Saved ${outputPath} (${formatBytes(archive.length)})`);
+  }
+  return 0;
+}
+
+/**
+ * gavin deploy <jobId>
+ */
+async function deploy(client, { jobId }, flags) {
+  let result;
+  try {
+    result = await client.request('POST', `/jobs/${encodeURIComponent(jobId)}/deploy`, {
+      body: { target: flags.target }
+    });
+  } catch (error) {
+    // A failed deployment still reports its result and logs
+    if (!error.body || !error.body.deployment) {
+      throw error;
+    }
+    result = error.body;
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    const { deployment } = result;
+    deployment.logs.forEach(line => console.log(`   │ ${line}`));
+    console.log(deployment.success
+      ? `🚀 Deployed with ${deployment.target}${deployment.url ? `: ${deployment.url}` : ''}`
+      : `❌ Deployment with ${deployment.target} failed: ${deployment.error}`);
+  }
+  return result.deployment.success ? 0 : EXIT_FAILURE;
+}
+
+/**
+ * Run a command with the terminal attached
+ * @param {string} command - Shell command
+ * @param {string} cwd - Working directory
+ * @returns {Promise<number>} - Exit code
+ */
+function runInteractive(command, cwd) {
+  return new Promise(resolve => {
+    const child = spawn(command, { cwd, stdio: 'inherit', shell: true });
+    child.on('close', code => resolve(code === null ? EXIT_FAILURE : code));
+  });
+}
+
+/**
+ * gavin start <jobId>
+ *
+ * Uses the project directory directly when the server runs on this machine, and
+ * downloads the project otherwise.
+ */
+async function start(client, { jobId }, flags) {
+  // Only load what the server-side modules need when the command runs
+  const AdmZip = require('adm-zip');
+  const { getScaffolder, DEFAULT_SCAFFOLDER } = require('../lib/scaffolders');
+  const { detectImportedProjectInfo } = require('../lib/project-import');
+
+  const localDir = path.join(GENERATED_PROJECTS_DIR, jobId);
+  let projectDir = flags.dir ? path.resolve(flags.dir) : null;
+  if (!projectDir) {
+    projectDir = fs.existsSync(localDir) ? localDir : path.resolve(`ai-project-${jobId}`);
+  }
+
+  if (!fs.existsSync(projectDir)) {
+    console.log(`📦 Downloading project ${jobId}...`);
+    const archive = await client.download(`/jobs/${encodeURIComponent(jobId)}/archive`);
+    new AdmZip(archive).extractAllTo(projectDir, true);
+  }
+
+  const scaffolder = getScaffolder(detectImportedProjectInfo(projectDir).framework) || getScaffolder(DEFAULT_SCAFFOLDER);
+  const hasPackageJson = fs.existsSync(path.join(projectDir, 'package.json'));
+  if (!hasPackageJson && scaffolder.name !== 'static') {
+    throw new Error(`package.json not found in ${projectDir}`);
+  }
+
+  console.log(`🚀 Starting project: ${jobId}`);
+  console.log(`📂 Project path: ${projectDir}`);
+  console.log(`🧩 Framework: ${scaffolder.displayName}`);
+
+  if (hasPackageJson && !fs.existsSync(path.join(projectDir, 'node_modules'))) {
+    console.log('📦 Installing dependencies...');
+    const installCode = await runInteractive('npm install', projectDir);
+    if (installCode !== 0) {
+      throw new Error(`npm install failed with code ${installCode}`);
+    }
+  }
+
+  console.log(`🚀 Starting development server (${scaffolder.devCommand})...`);
+  return runInteractive(scaffolder.devCommand, projectDir);
+}
+
+/**
+ * gavin rm <jobId>
+ */
+async function rm(client, { jobId }, flags) {
+  if (flags['remove-deployments'] && !flags.purge) {
+    throw usageError('--remove-deployments only applies with --purge');
+  }
+
+  const result = await client.request('DELETE', `/jobs/${encodeURIComponent(jobId)}`, {
+    query: {
+      purge: flags.purge ? 'true' : undefined,
+      removeDeployments: flags['remove-deployments'] ? 'true' : undefined
+    }
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  if (result.deleted) {
+    console.log(`🗑️  Deleted ${jobId} (${formatBytes(result.reclaimedBytes)} reclaimed)`);
+    result.removedDeployments.forEach(removal => console.log(removal.success
+      ? `   Removed ${removal.target} deployment`
+      : `   Could not remove ${removal.target} deployment: ${removal.error}`));
+  } else {
+    console.log(`🛑 Cancelled ${jobId}`);
+  }
+  return 0;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after `gavin`
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || ['help', '--help', '-h'].includes(commandName)) {
+    console.log(getUsage(rest[0]));
+    return 0;
+  }
+
+  const command = COMMANDS[commandName];
+  const json = rest.includes('--json');
+
+  try {
+    if (!command) {
+      throw usageError(`Unknown command: ${commandName}`);
+    }
+
+    const { args, flags } = parseCommandLine(rest, command);
+    if (flags.help) {
+      console.log(getUsage(commandName));
+      return 0;
+    }
+
+    const client = createClient({
+      serverUrl: flags.server || process.env.GAVIN_SERVER_URL || DEFAULT_SERVER_URL,
+      apiKey: flags['api-key'] || process.env.GAVIN_API_KEY
+    });
+
+    return await command.run(client, args, flags);
+  } catch (error) {
+    if (json) {
+      console.log(JSON.stringify(error.body || { success: false, error: error.message }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}`);
+      if (error.exitCode === EXIT_USAGE) {
+        console.error(`\n${getUsage(command ? commandName : undefined)}`);
+      }
+    }
+    return error.exitCode || EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
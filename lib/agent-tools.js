@@ -0,0 +1,231 @@
+/**
+ * lib/agent-tools.js - Function tools a model can call while it works on a project
+ *
+ * Providers that support tool calling get the definitions from a tool runner and hand each
+ * call back to `execute`, so the model can look at the project, write files and check that
+ * it builds before giving its final answer. Every path is resolved inside the project
+ * directory, and writes go through the same write policy as files from a text answer.
+ *
+ * Tools never throw: problems are returned as text starting with "Error:" so the model
+ * can correct itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeProjectPath, checkWrite, staysInsideProject } = require('./write-policy');
+
+const MAX_READ_CHARS = 100000; // Longest file content returned by read_file
+const MAX_LISTED_FILES = 1000; // Most paths returned by list_files
+
+const TOOL_DEFINITIONS = {
+  list_files: {
+    type: 'function',
+    function: {
+      name: 'list_files',
+      description: 'List the files in the project, or in one of its directories. Dependencies and build output are left out.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Directory relative to the project root (default: the whole project)' }
+        }
+      }
+    }
+  },
+  read_file: {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a text file from the project.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project root' }
+        },
+        required: ['path']
+      }
+    }
+  },
+  write_file: {
+    type: 'function',
+    function: {
+      name: 'write_file',
+      description: 'Create or replace a file in the project. Files written this way are part of your answer and do not need to be repeated in it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project root' },
+          content: { type: 'string', description: 'Complete new content of the file' }
+        },
+        required: ['path', 'content']
+      }
+    }
+  },
+  run_build: {
+    type: 'function',
+    function: {
+      name: 'run_build',
+      description: 'Install dependencies and build the project as it is now, and report the result with the end of the output.',
+      parameters: { type: 'object', properties: {} }
+    }
+  }
+};
+
+/**
+ * Resolve a path given to a tool inside the project
+ * @param {string} projectDir - Path to the project directory
+ * @param {string} filename - Path as given by the model
+ * @returns {Object} - { path } relative to the project, or { error }
+ */
+function resolveToolPath(projectDir, filename) {
+  const normalized = normalizeProjectPath(filename);
+  if (normalized.reason) {
+    return { error: normalized.reason };
+  }
+  if (!staysInsideProject(projectDir, normalized.path)) {
+    return { error: 'Path resolves outside the project root' };
+  }
+  return { path: normalized.path };
+}
+
+/**
+ * Create a tool runner for one project
+ * @param {Object} options
+ * @param {string} options.projectDir - Directory the tools work in
+ * @param {Object} options.policy - Write policy from loadWritePolicy
+ * @param {Function} options.listFiles - Returns the project's file paths for a directory
+ * @param {Function} [options.runBuild] - Installs and builds the project, resolving to { success, step, output };
+ *   without it the run_build tool isn't offered
+ * @param {Function} [options.onCall] - Called with (name, args) before each tool call
+ * @param {Function} [options.onWrite] - Called with (path, content) after a file is written
+ * @param {number} [options.maxCalls] - Tool calls allowed before every call is refused
+ * @returns {Object} - { definitions, execute(name, args), written, previousContents }
+ */
+function createToolRunner(options) {
+  const { projectDir, policy, listFiles, runBuild, onCall, onWrite } = options;
+  const maxCalls = options.maxCalls || Infinity;
+  const written = {};
+  const previousContents = {};
+  let calls = 0;
+
+  const handlers = {
+    list_files(args) {
+      let dir = '';
+      if (args.path && args.path !== '.' && args.path !== '/') {
+        const resolved = resolveToolPath(projectDir, args.path);
+        if (resolved.error) {
+          return `Error: ${resolved.error}`;
+        }
+        dir = resolved.path;
+      }
+
+      const absoluteDir = path.join(projectDir, dir);
+      if (!fs.existsSync(absoluteDir)) {
+        return dir ? `Error: ${dir} does not exist` : '(the project has no files yet)';
+      }
+      if (!fs.statSync(absoluteDir).isDirectory()) {
+        return `Error: ${dir} is not a directory`;
+      }
+
+      const files = listFiles(absoluteDir).map(file => path.posix.join(dir, file)).sort();
+      if (files.length === 0) {
+        return '(no files)';
+      }
+      const listed = files.slice(0, MAX_LISTED_FILES).join('\n');
+      return files.length > MAX_LISTED_FILES
+        ? `${listed}\n(${files.length - MAX_LISTED_FILES} more files not listed)`
+        : listed;
+    },
+
+    read_file(args) {
+      const resolved = resolveToolPath(projectDir, args.path);
+      if (resolved.error) {
+        return `Error: ${resolved.error}`;
+      }
+
+      const filePath = path.join(projectDir, resolved.path);
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        return `Error: ${resolved.path} does not exist`;
+      }
+
+      const content = fs.readFileSync(filePath, 'utf8');
+      return content.length > MAX_READ_CHARS
+        ? `${content.slice(0, MAX_READ_CHARS)}\n(truncated: the file has ${content.length} characters)`
+        : content;
+    },
+
+    write_file(args) {
+      if (typeof args.content !== 'string') {
+        return 'Error: content must be a string';
+      }
+
+      // The directory may not exist yet for a project that is still being generated
+      fs.mkdirSync(projectDir, { recursive: true });
+      const check = checkWrite(projectDir, args.path, args.content, policy);
+      if (!check.allowed) {
+        return `Error: Writing ${check.path} is not allowed: ${check.reason}`;
+      }
+
+      const filePath = path.join(projectDir, check.path);
+      if (!Object.prototype.hasOwnProperty.call(previousContents, check.path)) {
+        previousContents[check.path] = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+      }
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, args.content);
+      written[check.path] = args.content;
+
+      if (onWrite) {
+        onWrite(check.path, args.content);
+      }
+      return `Wrote ${check.path} (${Buffer.byteLength(args.content, 'utf8')} bytes)`;
+    },
+
+    async run_build() {
+      const result = await runBuild();
+      return result.success
+        ? `Build succeeded.\n${result.output || ''}`.trim()
+        : `Error: ${result.step} failed.\n${result.output || ''}`.trim();
+    }
+  };
+
+  const names = Object.keys(handlers).filter(name => name !== 'run_build' || runBuild);
+
+  /**
+   * Run one tool call
+   * @param {string} name - Tool name
+   * @param {Object} args - Parsed arguments
+   * @returns {Promise<string>} - Output to send back to the model
+   */
+  async function execute(name, args) {
+    if (!names.includes(name)) {
+      return `Error: Unknown tool ${name}`;
+    }
+
+    calls++;
+    if (calls > maxCalls) {
+      return `Error: The limit of ${maxCalls} tool calls has been reached. Finish your answer without calling more tools.`;
+    }
+
+    if (onCall) {
+      onCall(name, args || {});
+    }
+
+    try {
+      return await handlers[name](args || {});
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+  }
+
+  return {
+    definitions: names.map(name => TOOL_DEFINITIONS[name]),
+    execute,
+    written,
+    previousContents
+  };
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  createToolRunner
+};
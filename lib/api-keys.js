@@ -0,0 +1,169 @@
+/**
+ * lib/api-keys.js - API keys for clients of the server
+ *
+ * Keys are kept in a JSON store (`{ "keys": [...] }`). Only a SHA-256 hash of each key is
+ * stored, together with a short prefix so people can tell their keys apart. A record can
+ * override the default rate limit and daily quotas, and `admin` keys can see every job.
+ *
+ * The store is re-read when the file changes, so keys added with
+ * `scripts/create-api-key.js` work without restarting the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'gvn_';
+const DISPLAY_PREFIX_LENGTH = 12; // Characters of the key kept in the store to identify it
+
+let cache = { storePath: null, mtimeMs: null, keys: [] };
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read the key records from the store
+ * @param {string} storePath - Path to the JSON store
+ * @returns {Array<Object>} - Key records (empty if the store doesn't exist)
+ */
+function readApiKeys(storePath) {
+  if (!fs.existsSync(storePath)) {
+    return [];
+  }
+
+  const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  return Array.isArray(store.keys) ? store.keys : [];
+}
+
+/**
+ * Write key records to the store
+ * @param {string} storePath - Path to the JSON store
+ * @param {Array<Object>} keys - Key records
+ */
+function writeApiKeys(storePath, keys) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  const tempPath = `${storePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ keys }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tempPath, storePath);
+}
+
+/**
+ * Get the key records, re-reading the store only when it has changed
+ * @param {string} storePath - Path to the JSON store
+ * @returns {Array<Object>} - Key records
+ */
+function loadApiKeys(storePath) {
+  const mtimeMs = fs.existsSync(storePath) ? fs.statSync(storePath).mtimeMs : null;
+
+  if (cache.storePath !== storePath || cache.mtimeMs !== mtimeMs) {
+    cache = { storePath, mtimeMs, keys: readApiKeys(storePath) };
+  }
+
+  return cache.keys;
+}
+
+/**
+ * Find the record for an API key
+ * @param {Array<Object>} keys - Key records
+ * @param {string} key - API key sent by the client
+ * @returns {Object|null} - Matching record that isn't revoked, or null
+ */
+function findApiKey(keys, key) {
+  if (!key) {
+    return null;
+  }
+
+  const hash = Buffer.from(hashApiKey(key), 'hex');
+  const record = keys.find(candidate => {
+    const candidateHash = Buffer.from(candidate.hash || '', 'hex');
+    return candidateHash.length === hash.length && crypto.timingSafeEqual(candidateHash, hash);
+  });
+
+  return record && !record.revoked ? record : null;
+}
+
+/**
+ * Read the API key from a request
+ *
+ * Accepts `Authorization: Bearer <key>`, an `X-API-Key` header, or an `apiKey` query
+ * parameter (for clients such as EventSource that can't set headers).
+ * @param {Object} req - Express request
+ * @returns {string|null} - API key, or null if the request has none
+ */
+function getRequestApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+
+  return req.get('x-api-key') || (typeof req.query.apiKey === 'string' ? req.query.apiKey : null);
+}
+
+/**
+ * Create a new API key and add it to the store
+ * @param {string} storePath - Path to the JSON store
+ * @param {Object} options
+ * @param {string} options.name - Who or what the key is for
+ * @param {boolean} [options.admin] - Whether the key can see and manage every job
+ * @param {number} [options.rateLimitPerMinute] - Overrides the default request rate limit
+ * @param {number} [options.dailyGenerations] - Overrides the default daily generation quota
+ * @param {number} [options.dailyDeploys] - Overrides the default daily deploy quota
+ * @returns {Object} - { key, record }; the key itself is not stored and can't be shown again
+ */
+function createApiKey(storePath, options) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const record = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name: options.name,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    hash: hashApiKey(key),
+    admin: Boolean(options.admin),
+    created: new Date().toISOString()
+  };
+
+  for (const limit of ['rateLimitPerMinute', 'dailyGenerations', 'dailyDeploys']) {
+    if (options[limit] !== undefined) {
+      record[limit] = options[limit];
+    }
+  }
+
+  writeApiKeys(storePath, readApiKeys(storePath).concat(record));
+
+  return { key, record };
+}
+
+/**
+ * Revoke an API key; its record is kept so jobs created with it stay attributed
+ * @param {string} storePath - Path to the JSON store
+ * @param {string} id - Key ID (or the key's display prefix)
+ * @returns {Object|null} - The revoked record, or null if no key matched
+ */
+function revokeApiKey(storePath, id) {
+  const keys = readApiKeys(storePath);
+  const record = keys.find(candidate => candidate.id === id || candidate.prefix === id);
+
+  if (!record) {
+    return null;
+  }
+
+  record.revoked = new Date().toISOString();
+  writeApiKeys(storePath, keys);
+
+  return record;
+}
+
+module.exports = {
+  hashApiKey,
+  loadApiKeys,
+  findApiKey,
+  getRequestApiKey,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,97 @@
+/**
+ * lib/base-path.js - Rewrite root-relative URLs for sites served under a URL prefix
+ *
+ * A site built to live at `/` refers to its own files as `/assets/app.js`. Served under a
+ * prefix like `/preview/<jobId>/`, those URLs need the prefix too, so HTML attributes and
+ * CSS `url()`s that start with a single `/` are rewritten. Protocol-relative URLs
+ * (`//cdn.example.com/...`) and URLs that already start with the prefix are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const CSS_EXTENSIONS = ['.css'];
+
+/**
+ * Add the prefix to a root-relative URL
+ * @param {string} url - URL starting with a single /
+ * @param {string} basePath - Prefix with leading and trailing slashes
+ * @returns {string} - Prefixed URL
+ */
+function prefixUrl(url, basePath) {
+  if (url === basePath.slice(0, -1) || url.startsWith(basePath)) {
+    return url;
+  }
+  return `${basePath}${url.slice(1)}`;
+}
+
+/**
+ * Prefix the root-relative `url()`s in CSS
+ * @param {string} css - Stylesheet (or HTML with inline styles)
+ * @param {string} basePath - Prefix with leading and trailing slashes
+ * @returns {string} - Rewritten text
+ */
+function rewriteCss(css, basePath) {
+  return css.replace(/url\(\s*(["']?)(\/(?!\/)[^"')]*)\1\s*\)/g, (match, quote, url) => (
+    `url(${quote}${prefixUrl(url, basePath)}${quote})`
+  ));
+}
+
+/**
+ * Prefix the root-relative URLs in HTML attributes and inline styles
+ * @param {string} html - HTML document
+ * @param {string} basePath - Prefix with leading and trailing slashes
+ * @returns {string} - Rewritten text
+ */
+function rewriteHtml(html, basePath) {
+  const rewritten = html.replace(/(\s(?:src|href|action|poster)\s*=\s*)(["'])(\/(?!\/)[^"']*)\2/gi, (match, attribute, quote, url) => (
+    `${attribute}${quote}${prefixUrl(url, basePath)}${quote}`
+  ));
+  return rewriteCss(rewritten, basePath);
+}
+
+/**
+ * Rewrite the HTML and CSS files of a published site in place
+ * @param {string} dir - Directory holding the site
+ * @param {string} basePath - Prefix with leading and trailing slashes
+ * @returns {number} - Number of files that changed
+ */
+function rewriteSiteDirectory(dir, basePath) {
+  let changed = 0;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      changed += rewriteSiteDirectory(filePath, basePath);
+      continue;
+    }
+
+    const extension = path.extname(entry.name).toLowerCase();
+    let rewrite;
+    if (HTML_EXTENSIONS.includes(extension)) {
+      rewrite = rewriteHtml;
+    } else if (CSS_EXTENSIONS.includes(extension)) {
+      rewrite = rewriteCss;
+    } else {
+      continue;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const rewritten = rewrite(content, basePath);
+    if (rewritten !== content) {
+      fs.writeFileSync(filePath, rewritten);
+      changed++;
+    }
+  }
+
+  return changed;
+}
+
+module.exports = {
+  prefixUrl,
+  rewriteHtml,
+  rewriteCss,
+  rewriteSiteDirectory
+};
@@ -0,0 +1,154 @@
+/**
+ * lib/command-log.js - Per-job log of the shell commands a job ran
+ *
+ * Each job gets a JSON-lines file with one entry per command: the command, working
+ * directory, exit code, duration, stdout and stderr. Secrets are redacted before anything
+ * is written, and long output is trimmed to its end (where errors usually are).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_OUTPUT_CHARS = 100000; // Per stream, per command
+const REDACTED = '[REDACTED]';
+
+// Environment variables whose values are treated as secrets
+const SECRET_ENV_REGEX = /(KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL)/i;
+
+// Secret-looking values that may not come from our own environment
+const SECRET_PATTERNS = [
+  /(--token[=\s]+)\S+/gi,
+  /(Bearer\s+)[A-Za-z0-9._\-]+/g,
+  /(_authToken=)\S+/g,
+  /()\bsk-[A-Za-z0-9_\-]{16,}/g,
+  /()\bAIza[0-9A-Za-z_\-]{30,}/g
+];
+
+/**
+ * Collect the values of secret environment variables
+ * @returns {Array<string>} - Secret values, longest first
+ */
+function getSecretValues() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV_REGEX.test(name) && value && value.length >= 8)
+    .map(([, value]) => value)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replace secrets in text with a placeholder
+ * @param {string} text - Text that may contain secrets
+ * @returns {string} - Redacted text
+ */
+function redactSecrets(text) {
+  if (!text) {
+    return text;
+  }
+
+  let redacted = String(text);
+
+  for (const secret of getSecretValues()) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+
+  for (const pattern of SECRET_PATTERNS) {
+    redacted = redacted.replace(pattern, `$1${REDACTED}`);
+  }
+
+  return redacted;
+}
+
+/**
+ * Keep only the end of a long output
+ * @param {string} output - Command output
+ * @returns {Object} - { text, truncated }
+ */
+function trimOutput(output) {
+  const text = output || '';
+  if (text.length <= MAX_OUTPUT_CHARS) {
+    return { text, truncated: false };
+  }
+  return { text: text.slice(-MAX_OUTPUT_CHARS), truncated: true };
+}
+
+/**
+ * Get the log file path for a job
+ * @param {string} logDir - Directory holding command logs
+ * @param {string} jobId - Job ID
+ * @returns {string} - Path to the job's JSON-lines log
+ */
+function getLogPath(logDir, jobId) {
+  return path.join(logDir, `${jobId}.jsonl`);
+}
+
+/**
+ * Append a command to a job's log
+ * @param {string} logDir - Directory holding command logs
+ * @param {string} jobId - Job ID
+ * @param {Object} entry - { stage, command, cwd, exitCode, signal, startedAt, durationMs, stdout, stderr }
+ * @returns {Object} - The entry as written (redacted and trimmed)
+ */
+function appendCommandLog(logDir, jobId, entry) {
+  const stdout = trimOutput(redactSecrets(entry.stdout));
+  const stderr = trimOutput(redactSecrets(entry.stderr));
+
+  const record = {
+    stage: entry.stage,
+    command: redactSecrets(entry.command),
+    cwd: entry.cwd,
+    exitCode: entry.exitCode,
+    signal: entry.signal || null,
+    startedAt: entry.startedAt,
+    durationMs: entry.durationMs,
+    stdout: stdout.text,
+    stderr: stderr.text,
+    truncated: stdout.truncated || stderr.truncated
+  };
+
+  fs.mkdirSync(logDir, { recursive: true });
+  fs.appendFileSync(getLogPath(logDir, jobId), JSON.stringify(record) + '\n');
+
+  return record;
+}
+
+/**
+ * Read a job's command log
+ * @param {string} logDir - Directory holding command logs
+ * @param {string} jobId - Job ID
+ * @returns {Array<Object>} - Entries in the order the commands ran
+ */
+function readCommandLog(logDir, jobId) {
+  const logPath = getLogPath(logDir, jobId);
+  if (!fs.existsSync(logPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Delete a job's command log
+ * @param {string} logDir - Directory holding command logs
+ * @param {string} jobId - Job ID
+ */
+function removeCommandLog(logDir, jobId) {
+  fs.rmSync(getLogPath(logDir, jobId), { force: true });
+}
+
+module.exports = {
+  redactSecrets,
+  getLogPath,
+  appendCommandLog,
+  readCommandLog,
+  removeCommandLog
+};
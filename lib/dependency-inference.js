@@ -0,0 +1,315 @@
+/**
+ * lib/dependency-inference.js - Add the packages a project imports to its package.json
+ *
+ * Models often import packages like `react-router-dom` or `axios` without listing them in
+ * package.json, and the build fails. Every JavaScript and TypeScript file (including Vue,
+ * Svelte and Astro components) is scanned for `import`, `export ... from`, `import()` and
+ * `require()` specifiers. Relative paths, Node builtins and path aliases (`@/`, `~/`, `$lib`,
+ * tsconfig `paths`, ...) are set aside; the remaining bare specifiers name packages.
+ *
+ * In browser projects a bare builtin name like `events` or `buffer` is the npm package of that
+ * name, so there only `node:` imports are builtins, except in build configs and tests, which
+ * run on Node.
+ *
+ * Packages that aren't in package.json are added with a version from a pinned version table
+ * or, failing that, the latest version on a local registry mirror, so no public registry is
+ * needed. Packages without a known version are reported as unresolved instead. Runtime
+ * dependencies that nothing imports are reported as unused, but left in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const { BUILD_OUTPUT_DIRS } = require('./project-archive');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte', '.astro'];
+const STYLE_EXTENSIONS = ['.css', '.scss', '.sass', '.less'];
+const IGNORED_DIRS = ['.git'].concat(BUILD_OUTPUT_DIRS);
+const PACKAGE_NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+const ALIAS_PREFIXES = ['@/', '~', '#', '$'];
+const TEST_FILE_PATTERN = /(^|\/)(__tests__|tests?)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+const CONFIG_FILE_PATTERN = /^[^/]+\.config\.[cm]?[jt]s$/;
+const REGISTRY_TIMEOUT_MS = 5000;
+const MAX_IMPORTED_BY = 5; // Files listed per package in the report
+
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+  /\bexport\s+(?:type\s+)?(?:\*|\{[^}]*\})(?:\s+as\s+\w+)?\s+from\s+['"]([^'"\n]+)['"]/g,
+  /\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+  /\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g
+];
+
+// Latest versions already looked up on the registry mirror, by registry URL and package
+const registryCache = new Map();
+
+/**
+ * Load the pinned version table
+ * @param {string} [configPath] - Path to a JSON file like `{ "packages": { "axios": "^1.7.7" } }`
+ * @returns {Object} - Versions by package name
+ */
+function loadDependencyVersions(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return {};
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { ...(config.packages || {}) };
+}
+
+/**
+ * Find the module specifiers a source file imports
+ * @param {string} source - JavaScript or TypeScript source (or a component containing it)
+ * @returns {Array<string>} - Specifiers, in order of first appearance
+ */
+function findImports(source) {
+  // Drop block comments and whole-line comments, so commented-out imports don't count
+  const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+  const specifiers = new Set();
+
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      specifiers.add(match[1]);
+    }
+  }
+
+  return Array.from(specifiers);
+}
+
+/**
+ * Check whether a file only runs on Node, whatever the project's runtime
+ * @param {string} file - Path relative to the project, using forward slashes
+ * @returns {boolean}
+ */
+function isDevOnlyFile(file) {
+  return TEST_FILE_PATTERN.test(file) || CONFIG_FILE_PATTERN.test(file);
+}
+
+/**
+ * Work out what an import specifier refers to
+ * @param {string} specifier - Specifier from an import
+ * @param {Array<string>} [aliases] - Extra alias prefixes, e.g. from tsconfig `paths`
+ * @param {boolean} [bareBuiltins] - Whether builtin names without `node:` are builtins (code that runs on Node)
+ * @returns {Object} - { kind: 'relative'|'builtin'|'alias'|'package', packageName? }
+ */
+function classifyImport(specifier, aliases = [], bareBuiltins = true) {
+  if (/^[./]/.test(specifier)) {
+    return { kind: 'relative' };
+  }
+  if (specifier.startsWith('node:')) {
+    return { kind: 'builtin' };
+  }
+  if (bareBuiltins && (builtinModules.includes(specifier) || builtinModules.includes(specifier.split('/')[0]))) {
+    return { kind: 'builtin' };
+  }
+  if (ALIAS_PREFIXES.concat(aliases).some(prefix => specifier.startsWith(prefix)) || specifier.includes(':')) {
+    return { kind: 'alias' };
+  }
+
+  const parts = specifier.split('/');
+  const packageName = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  if (!PACKAGE_NAME_PATTERN.test(packageName)) {
+    // Capitalized or otherwise invalid names are unresolved local paths, not packages
+    return { kind: 'alias' };
+  }
+  return { kind: 'package', packageName };
+}
+
+/**
+ * Find the packages a source file imports
+ * @param {string} source - JavaScript or TypeScript source
+ * @param {Array<string>} [aliases] - Extra alias prefixes
+ * @param {boolean} [bareBuiltins] - Whether the file runs on Node (see classifyImport)
+ * @returns {Array<string>} - Package names
+ */
+function findPackageImports(source, aliases, bareBuiltins = true) {
+  const packages = findImports(source)
+    .map(specifier => classifyImport(specifier, aliases, bareBuiltins))
+    .filter(target => target.kind === 'package')
+    .map(target => target.packageName);
+  return Array.from(new Set(packages));
+}
+
+/**
+ * Read the path alias prefixes of a project's tsconfig.json or jsconfig.json
+ * @param {string} projectDir - Project directory
+ * @returns {Array<string>} - Prefixes such as `@components/`
+ */
+function readPathAliases(projectDir) {
+  const aliases = [];
+
+  for (const name of ['tsconfig.json', 'jsconfig.json']) {
+    const configPath = path.join(projectDir, name);
+    if (!fs.existsSync(configPath)) {
+      continue;
+    }
+    try {
+      // Comments are common in these files; aliases are only a hint, so a crude strip is enough
+      const text = fs.readFileSync(configPath, 'utf8').replace(/^\s*\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1');
+      const paths = (JSON.parse(text).compilerOptions || {}).paths || {};
+      Object.keys(paths).forEach(key => aliases.push(key.replace(/\*$/, '')));
+    } catch (err) {
+      // An unreadable config just means no extra aliases
+    }
+  }
+
+  return aliases.filter(Boolean);
+}
+
+/**
+ * List a project's source and style files
+ * @param {string} dir - Directory to scan
+ * @param {string} baseDir - Project root
+ * @returns {Array<string>} - Paths relative to baseDir, using forward slashes
+ */
+function listSourceFiles(dir, baseDir = dir) {
+  let results = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) {
+        results = results.concat(listSourceFiles(fullPath, baseDir));
+      }
+    } else if (entry.isFile() && SOURCE_EXTENSIONS.concat(STYLE_EXTENSIONS).includes(path.extname(entry.name))) {
+      results.push(path.relative(baseDir, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Find the packages a project's files use
+ *
+ * In CSS `@import "theme.css"` is relative, so a stylesheet's bare references only show that
+ * a listed package (like `normalize.css`) is used; they never make a package missing.
+ * @param {string} projectDir - Project directory
+ * @param {boolean} nodeBuiltins - Whether the project's own code runs on Node
+ * @returns {Object} - { imports: importing files by package name, styleReferences: Set of names }
+ */
+function collectPackageUsage(projectDir, nodeBuiltins) {
+  const aliases = readPathAliases(projectDir);
+  const imports = new Map();
+  const styleReferences = new Set();
+
+  for (const file of listSourceFiles(projectDir)) {
+    const source = fs.readFileSync(path.join(projectDir, ...file.split('/')), 'utf8');
+
+    if (STYLE_EXTENSIONS.includes(path.extname(file))) {
+      const pattern = /@(?:import|use|forward)\s+(?:url\()?\s*['"]~?([^'"]+)['"]/g;
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        const target = classifyImport(match[1], aliases);
+        if (target.kind === 'package') {
+          styleReferences.add(target.packageName);
+        }
+      }
+      continue;
+    }
+
+    const bareBuiltins = nodeBuiltins || isDevOnlyFile(file);
+    findPackageImports(source, aliases, bareBuiltins).forEach(name => imports.set(name, (imports.get(name) || []).concat(file)));
+  }
+
+  return { imports, styleReferences };
+}
+
+/**
+ * Look up a package's latest version on a registry mirror
+ * @param {string} registryUrl - Registry base URL, e.g. http://localhost:4873
+ * @param {string} name - Package name
+ * @returns {Promise<string|null>} - Version range (^x.y.z), or null if the registry doesn't have it
+ */
+async function lookUpRegistryVersion(registryUrl, name) {
+  const cacheKey = `${registryUrl} ${name}`;
+  if (registryCache.has(cacheKey)) {
+    return registryCache.get(cacheKey);
+  }
+
+  let version = null;
+  try {
+    const response = await fetch(`${registryUrl.replace(/\/$/, '')}/${name.replace('/', '%2f')}`, {
+      headers: { Accept: 'application/vnd.npm.install-v1+json' },
+      signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS)
+    });
+    if (response.ok) {
+      const metadata = await response.json();
+      const latest = metadata['dist-tags'] && metadata['dist-tags'].latest;
+      version = latest ? `^${latest}` : null;
+    }
+  } catch (err) {
+    // An unreachable mirror leaves the package unresolved; it isn't cached so it's tried again
+    return null;
+  }
+
+  registryCache.set(cacheKey, version);
+  return version;
+}
+
+/**
+ * Add the packages a project imports but doesn't list to its package.json
+ * @param {string} projectDir - Project directory with a package.json
+ * @param {Object} [options]
+ * @param {Object} [options.versions] - Pinned versions by package name (see loadDependencyVersions)
+ * @param {string} [options.registryUrl] - Registry mirror for packages without a pinned version
+ * @param {boolean} [options.nodeBuiltins] - Whether the project's code runs on Node, so `fs` is a
+ *   builtin rather than a package (default true; false for browser projects)
+ * @returns {Promise<Object>} - { added: [{ name, version, section, source, importedBy }],
+ *   unresolved: [{ name, importedBy }], unused: [name] }
+ */
+async function inferDependencies(projectDir, options = {}) {
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const versions = options.versions || {};
+
+  const listed = new Set();
+  DEPENDENCY_FIELDS.forEach(field => Object.keys(packageJson[field] || {}).forEach(name => listed.add(name)));
+
+  const { imports, styleReferences } = collectPackageUsage(projectDir, options.nodeBuiltins !== false);
+  const added = [];
+  const unresolved = [];
+
+  for (const [name, files] of imports) {
+    if (listed.has(name) || name === packageJson.name) {
+      continue;
+    }
+
+    const importedBy = files.slice(0, MAX_IMPORTED_BY);
+    let version = versions[name];
+    let source = 'pinned';
+    if (!version && options.registryUrl) {
+      version = await lookUpRegistryVersion(options.registryUrl, name);
+      source = 'registry';
+    }
+
+    if (!version) {
+      unresolved.push({ name, importedBy });
+      continue;
+    }
+
+    // Packages only tests and build configs use are development dependencies
+    const section = files.every(isDevOnlyFile) ? 'devDependencies' : 'dependencies';
+    packageJson[section] = { ...packageJson[section], [name]: version };
+    added.push({ name, version, section, source, importedBy });
+  }
+
+  if (added.length > 0) {
+    fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+  }
+
+  // A CLI that a script runs isn't imported, but it is used
+  const scripts = Object.values(packageJson.scripts || {}).join(' ');
+  const unused = Object.keys(packageJson.dependencies || {}).filter(name => (
+    !imports.has(name) && !styleReferences.has(name) && !name.startsWith('@types/') && !scripts.includes(name)
+  ));
+
+  return { added, unresolved, unused };
+}
+
+module.exports = {
+  loadDependencyVersions,
+  findPackageImports,
+  inferDependencies
+};
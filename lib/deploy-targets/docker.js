@@ -0,0 +1,164 @@
+/**
+ * lib/deploy-targets/docker.js - Generate a Dockerfile and build context for a project
+ *
+ * Projects with a `start` script (Next.js, Express, Fastify) get a Node.js image that runs
+ * it; static sites are built in a Node.js stage and served by nginx; anything else with a
+ * `preview` script (such as SvelteKit) runs that. The project directory is the build context.
+ * The image itself is only built when DOCKER_BUILD=true, since it needs a Docker daemon.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasBuildScript } = require('./static-output');
+
+const NODE_IMAGE = 'node:20-alpine';
+const NGINX_IMAGE = 'nginx:1.27-alpine';
+const APP_PORT = 3000;
+
+const DOCKERIGNORE = [
+  'node_modules',
+  '.git',
+  '.vercel',
+  '.next',
+  '.svelte-kit',
+  '.astro',
+  'dist',
+  'build',
+  'npm-debug.log*',
+  'Dockerfile',
+  '.dockerignore'
+].join('\n') + '\n';
+
+/**
+ * Read a project's npm scripts
+ * @param {string} projectDir - Path to the project directory
+ * @returns {Object|null} - Scripts, or null if there is no package.json
+ */
+function readScripts(projectDir) {
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+    return packageJson.scripts || {};
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Write the Dockerfile for a project
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} scaffolder - The project's scaffolder
+ * @returns {string} - Dockerfile content
+ */
+function createDockerfile(projectDir, scaffolder) {
+  const scripts = readScripts(projectDir);
+
+  // Plain static site: nothing to build
+  if (!scripts && scaffolder.staticOutput) {
+    return [
+      `FROM ${NGINX_IMAGE}`,
+      'COPY . /usr/share/nginx/html',
+      'EXPOSE 80',
+      ''
+    ].join('\n');
+  }
+
+  if (!scripts) {
+    throw new Error('Project has no package.json');
+  }
+
+  const buildStep = hasBuildScript(projectDir) ? ['RUN npm run build'] : [];
+  const installSteps = [
+    'WORKDIR /app',
+    'COPY package*.json ./',
+    'RUN npm install',
+    'COPY . .',
+    ...buildStep
+  ];
+
+  if (!scripts.start && scaffolder.staticOutput) {
+    return [
+      `FROM ${NODE_IMAGE} AS build`,
+      ...installSteps,
+      '',
+      `FROM ${NGINX_IMAGE}`,
+      `COPY --from=build /app/${scaffolder.outputDir} /usr/share/nginx/html`,
+      'EXPOSE 80',
+      ''
+    ].join('\n');
+  }
+
+  let command;
+  if (scripts.start) {
+    command = '["npm", "start"]';
+  } else if (scripts.preview) {
+    command = `["npm", "run", "preview", "--", "--host", "0.0.0.0", "--port", "${APP_PORT}"]`;
+  } else {
+    throw new Error('Project has no start or preview script to run in a container');
+  }
+
+  return [
+    `FROM ${NODE_IMAGE}`,
+    ...installSteps,
+    'ENV NODE_ENV=production',
+    `ENV PORT=${APP_PORT}`,
+    `EXPOSE ${APP_PORT}`,
+    `CMD ${command}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Check whether the target has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Write the Dockerfile and .dockerignore, and build the image if enabled
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - Deploy context (see lib/deploy-targets/index.js)
+ * @returns {Promise<Object>} - { url, artifacts }
+ */
+async function deploy(projectDir, context) {
+  const dockerfile = createDockerfile(projectDir, context.scaffolder);
+
+  fs.writeFileSync(path.join(projectDir, 'Dockerfile'), dockerfile);
+  fs.writeFileSync(path.join(projectDir, '.dockerignore'), DOCKERIGNORE);
+  context.log('Wrote Dockerfile and .dockerignore');
+
+  const artifacts = [
+    { type: 'file', path: path.join(projectDir, 'Dockerfile') },
+    { type: 'file', path: path.join(projectDir, '.dockerignore') },
+    { type: 'docker-context', path: projectDir }
+  ];
+
+  if (process.env.DOCKER_BUILD === 'true') {
+    await context.run(`docker build -t ${context.projectName} .`);
+    artifacts.push({ type: 'docker-image', path: context.projectName });
+  } else {
+    context.log(`Set DOCKER_BUILD=true to build the image, or run: docker build -t ${context.projectName} .`);
+  }
+
+  return { url: null, artifacts };
+}
+
+/**
+ * Delete the image a deployment built; the Dockerfile goes with the project directory
+ * @param {Object} deployment - Deployment result
+ * @param {Object} context - Target context (see lib/deploy-targets/index.js)
+ */
+async function remove(deployment, context) {
+  for (const artifact of deployment.artifacts.filter(entry => entry.type === 'docker-image')) {
+    await context.run(`docker rmi ${artifact.path}`);
+  }
+}
+
+module.exports = {
+  name: 'docker',
+  displayName: 'Docker',
+  isConfigured,
+  deploy,
+  remove
+};
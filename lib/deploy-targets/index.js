@@ -0,0 +1,153 @@
+/**
+ * lib/deploy-targets/index.js - Registry of deployment targets
+ *
+ * Every target is a plain object with the same contract:
+ *
+ * - `name` - identifier used as `deployTarget` in requests
+ * - `displayName` - human readable name used in messages
+ * - `isConfigured()` - whether the environment has what the target needs
+ * - `deploy(projectDir, context)` - resolves to `{ url?, artifacts? }` or throws on failure
+ * - `remove(deployment, context)` - optional; takes down what a successful deployment published
+ *   outside the project directory, using the `artifacts` it reported
+ *
+ * `context` holds the `job`, a `projectName`, the project's `scaffolder`, the server's
+ * `publicUrl`, and `run(command)` / `log(message)` helpers that record what the target did.
+ * runDeployTarget() turns the outcome into the same result shape for every target.
+ */
+
+const { redactSecrets } = require('../command-log');
+
+const MAX_LOG_ENTRY_CHARS = 2000; // Command output kept per log entry
+
+const targets = new Map();
+
+/**
+ * Add a target to the registry, replacing any target with the same name
+ * @param {Object} target - Target implementing the contract above
+ */
+function registerDeployTarget(target) {
+  if (!target || !target.name || typeof target.deploy !== 'function') {
+    throw new Error('A deploy target needs a name and a deploy(projectDir, context) function');
+  }
+  targets.set(target.name, target);
+}
+
+/**
+ * Look up a target by name
+ * @param {string} name - Target name
+ * @returns {Object|undefined} - The target, if registered
+ */
+function getDeployTarget(name) {
+  return targets.get(name);
+}
+
+/**
+ * List all registered targets
+ * @returns {Array<Object>} - Registered targets
+ */
+function listDeployTargets() {
+  return Array.from(targets.values());
+}
+
+/**
+ * Create the helpers a target gets to run commands and record what it did
+ * @param {string} cwd - Default working directory for commands
+ * @param {Object} context - Context passed in by the server, with runCommand(command, cwd)
+ * @param {Array<string>} logs - Receives the log entries
+ * @returns {Object} - Target context with `log` and `run`
+ */
+function createTargetContext(cwd, context, logs) {
+  const addLog = text => {
+    const redacted = redactSecrets(text);
+    logs.push(redacted.length > MAX_LOG_ENTRY_CHARS ? `...${redacted.slice(-MAX_LOG_ENTRY_CHARS)}` : redacted);
+  };
+
+  return {
+    ...context,
+    log: addLog,
+    run: async (command, commandCwd = cwd) => {
+      addLog(`$ ${command}`);
+      try {
+        const output = await context.runCommand(command, commandCwd);
+        if (output && output.trim()) {
+          addLog(output.trim());
+        }
+        return output;
+      } catch (error) {
+        const output = `${error.stderr || ''}\n${error.stdout || ''}`.trim();
+        addLog(output || error.message);
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Run a target and report the outcome in a uniform shape
+ * @param {Object} target - Deploy target
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - { job, projectName, scaffolder, publicUrl, runCommand }
+ *   where runCommand(command, cwd) executes a shell command and resolves to its output
+ * @returns {Promise<Object>} - { target, success, url, artifacts, logs, error, created }
+ */
+async function runDeployTarget(target, projectDir, context) {
+  const logs = [];
+  const targetContext = createTargetContext(projectDir, context, logs);
+
+  try {
+    const result = await target.deploy(projectDir, targetContext) || {};
+    return {
+      target: target.name,
+      success: true,
+      url: result.url || null,
+      artifacts: result.artifacts || [],
+      logs,
+      error: null,
+      created: Date.now()
+    };
+  } catch (error) {
+    return {
+      target: target.name,
+      success: false,
+      url: null,
+      artifacts: [],
+      logs,
+      error: error.message,
+      created: Date.now()
+    };
+  }
+}
+
+/**
+ * Take down a deployment with the target that made it
+ * @param {Object} target - Deploy target
+ * @param {Object} deployment - Deployment result from runDeployTarget
+ * @param {Object} context - { job, cwd, runCommand } where cwd is the directory commands run in
+ * @returns {Promise<Object|null>} - { target, success, logs, error }, or null if the target has nothing to remove
+ */
+async function removeDeployment(target, deployment, context) {
+  if (typeof target.remove !== 'function' || !deployment.success) {
+    return null;
+  }
+
+  const logs = [];
+  try {
+    await target.remove(deployment, createTargetContext(context.cwd, context, logs));
+    return { target: target.name, success: true, logs, error: null };
+  } catch (error) {
+    return { target: target.name, success: false, logs, error: error.message };
+  }
+}
+
+registerDeployTarget(require('./vercel'));
+registerDeployTarget(require('./static'));
+registerDeployTarget(require('./docker'));
+registerDeployTarget(require('./preview'));
+
+module.exports = {
+  registerDeployTarget,
+  getDeployTarget,
+  listDeployTargets,
+  runDeployTarget,
+  removeDeployment
+};
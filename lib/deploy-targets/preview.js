@@ -0,0 +1,167 @@
+/**
+ * lib/deploy-targets/preview.js - Serve the built site from this server
+ *
+ * The site is built for the `/preview/<jobId>/` URL prefix where the framework supports it,
+ * then copied to `<PREVIEW_DIR>/<jobId>/`, which the server serves as static files. Sites
+ * built without the prefix get their root-relative URLs rewritten instead.
+ *
+ * Projects that need a server runtime (see `previewServer` in lib/scaffolders/index.js) are
+ * built in place and run by lib/preview-servers.js, which the server proxies the prefix to.
+ * The deployment's `preview-server` artifact records how to start the server again after it
+ * has been stopped for being idle.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { buildStaticOutput, publishStaticOutput } = require('./static-output');
+const { rewriteSiteDirectory } = require('../base-path');
+const { startPreviewServer, stopPreviewServer } = require('../preview-servers');
+
+const DEFAULT_PREVIEW_DIR = path.join(__dirname, '..', '..', 'data', 'previews');
+
+/**
+ * Get the directory a job's preview is served from
+ * @param {string} jobId - Job ID
+ * @returns {string} - Absolute path
+ */
+function getPreviewDir(jobId) {
+  const baseDir = process.env.PREVIEW_DIR
+    ? path.resolve(process.env.PREVIEW_DIR)
+    : DEFAULT_PREVIEW_DIR;
+  return path.join(baseDir, jobId);
+}
+
+/**
+ * Get the URL path a job's preview is served under
+ * @param {string} jobId - Job ID
+ * @returns {string} - Path with leading and trailing slashes
+ */
+function getPreviewPath(jobId) {
+  return `/preview/${jobId}/`;
+}
+
+/**
+ * Check whether the target has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Get the status code a local server answers a GET request with
+ * @param {number} port - Port the server listens on
+ * @param {string} urlPath - Path to request
+ * @returns {Promise<number>} - HTTP status code
+ */
+function getStatusCode(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Build a project that needs a server runtime and start its preview server
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - Deploy context (see lib/deploy-targets/index.js)
+ * @param {string} basePath - URL prefix of the preview
+ * @returns {Promise<Object>} - { url, artifacts }
+ */
+async function deployServer(projectDir, context, basePath) {
+  const { job, scaffolder } = context;
+  const { buildCommand, startCommand, basePathEnv } = scaffolder.previewServer;
+  const env = basePathEnv ? { [basePathEnv]: basePath.slice(0, -1) } : {};
+
+  await context.run('npm install');
+  if (buildCommand) {
+    const envPrefix = Object.entries(env).map(([name, value]) => `${name}=${value} `).join('');
+    await context.run(`${envPrefix}${buildCommand}`);
+  }
+
+  // Static files from an earlier preview would otherwise linger on disk
+  fs.rmSync(getPreviewDir(job.id), { recursive: true, force: true });
+
+  const options = { projectDir, command: startCommand, env, basePath, stripPrefix: !basePathEnv };
+  let server = await startPreviewServer(job.id, options);
+  context.log(`Started ${startCommand} on port ${server.port}`);
+
+  // The project may have replaced the config that applies the prefix
+  if (!options.stripPrefix && await getStatusCode(server.port, basePath) === 404) {
+    context.log(`The project doesn't serve ${basePath} (${basePathEnv} isn't applied), so requests are sent without the prefix and its HTML is rewritten`);
+    options.stripPrefix = true;
+    stopPreviewServer(job.id);
+    server = await startPreviewServer(job.id, options);
+  }
+
+  context.log(`Serving ${startCommand} at ${basePath}`);
+
+  return {
+    url: `${context.publicUrl}${basePath}`,
+    artifacts: [{ type: 'preview-server', path: projectDir, command: startCommand, env, stripPrefix: options.stripPrefix }]
+  };
+}
+
+/**
+ * Build a project for the preview prefix and copy it to the preview directory, or start
+ * a preview server for projects that need a server runtime
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - Deploy context (see lib/deploy-targets/index.js)
+ * @returns {Promise<Object>} - { url, artifacts }
+ */
+async function deploy(projectDir, context) {
+  const { job, scaffolder } = context;
+  const basePath = getPreviewPath(job.id);
+
+  // A new deployment replaces whatever the job's preview served before
+  stopPreviewServer(job.id);
+
+  if (!scaffolder.staticOutput && scaffolder.previewServer) {
+    return deployServer(projectDir, context, basePath);
+  }
+
+  const buildCommand = scaffolder.previewBuildCommand && scaffolder.previewBuildCommand(basePath);
+  const outputDir = await buildStaticOutput(projectDir, context, buildCommand);
+  const previewDir = getPreviewDir(job.id);
+
+  publishStaticOutput(outputDir, previewDir);
+  if (!buildCommand) {
+    const rewritten = rewriteSiteDirectory(previewDir, basePath);
+    if (rewritten > 0) {
+      context.log(`Rewrote root-relative URLs for ${basePath} in ${rewritten} files`);
+    }
+  }
+  context.log(`Serving ${path.relative(projectDir, outputDir) || '.'} at ${basePath}`);
+
+  return {
+    url: `${context.publicUrl}${basePath}`,
+    artifacts: [{ type: 'directory', path: previewDir }]
+  };
+}
+
+/**
+ * Find what a job's preview currently serves
+ * @param {Object} job - Job
+ * @returns {Object|null} - The `preview-server` artifact of the job's latest successful preview
+ *   deployment, or null if it serves static files (or has no preview)
+ */
+function getPreviewServerArtifact(job) {
+  const deployment = (job.deployments || [])
+    .filter(entry => entry.target === 'preview' && entry.success)
+    .pop();
+
+  return (deployment && deployment.artifacts.find(artifact => artifact.type === 'preview-server')) || null;
+}
+
+module.exports = {
+  name: 'preview',
+  displayName: 'Local preview',
+  isConfigured,
+  deploy,
+  getPreviewDir,
+  getPreviewPath,
+  getPreviewServerArtifact
+};
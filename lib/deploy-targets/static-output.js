@@ -0,0 +1,71 @@
+/**
+ * lib/deploy-targets/static-output.js - Helpers for targets that publish a static build
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Never copied when the project itself is the site
+const EXCLUDED_NAMES = ['node_modules', '.git', '.vercel', '.gitignore', '.vercelignore'];
+
+/**
+ * Check whether a project has a build script
+ * @param {string} projectDir - Path to the project directory
+ * @returns {boolean}
+ */
+function hasBuildScript(projectDir) {
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+    return Boolean(packageJson.scripts && packageJson.scripts.build);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Build a project and locate its static output
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - Deploy context (see lib/deploy-targets/index.js)
+ * @param {string} [buildCommand] - Command to build with instead of the scaffolder's
+ * @returns {Promise<string>} - Absolute path of the directory holding the site
+ */
+async function buildStaticOutput(projectDir, context, buildCommand) {
+  const { scaffolder } = context;
+
+  if (!scaffolder.staticOutput) {
+    throw new Error(`${scaffolder.displayName} projects don't produce a static site`);
+  }
+
+  const command = buildCommand || (hasBuildScript(projectDir) ? scaffolder.buildCommand : null);
+  if (command) {
+    await context.run('npm install');
+    await context.run(command);
+  }
+
+  const outputDir = path.join(projectDir, scaffolder.outputDir);
+  if (!fs.existsSync(path.join(outputDir, 'index.html'))) {
+    throw new Error(`Build output ${scaffolder.outputDir}/index.html not found`);
+  }
+
+  return outputDir;
+}
+
+/**
+ * Replace a directory with a copy of a static site
+ * @param {string} sourceDir - Directory holding the site
+ * @param {string} targetDir - Directory to publish to; its old contents are removed
+ */
+function publishStaticOutput(sourceDir, targetDir) {
+  fs.rmSync(targetDir, { recursive: true, force: true });
+  fs.mkdirSync(path.dirname(targetDir), { recursive: true });
+  fs.cpSync(sourceDir, targetDir, {
+    recursive: true,
+    filter: source => !EXCLUDED_NAMES.includes(path.basename(source))
+  });
+}
+
+module.exports = {
+  hasBuildScript,
+  buildStaticOutput,
+  publishStaticOutput
+};
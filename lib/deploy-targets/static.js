@@ -0,0 +1,72 @@
+/**
+ * lib/deploy-targets/static.js - Export the built site into a publish directory
+ *
+ * The static build output (such as `dist/`) is copied to `<STATIC_PUBLISH_DIR>/<project>/`,
+ * ready to be served by any web server or synced to object storage. If STATIC_PUBLISH_BASE_URL
+ * is set, the site's URL under it is reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildStaticOutput, publishStaticOutput } = require('./static-output');
+
+const DEFAULT_PUBLISH_DIR = path.join(__dirname, '..', '..', 'data', 'publish');
+
+/**
+ * Get the publish directory
+ * @returns {string} - Absolute path
+ */
+function getPublishDir() {
+  return process.env.STATIC_PUBLISH_DIR
+    ? path.resolve(process.env.STATIC_PUBLISH_DIR)
+    : DEFAULT_PUBLISH_DIR;
+}
+
+/**
+ * Check whether the target has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Build a project and copy its static output to the publish directory
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - Deploy context (see lib/deploy-targets/index.js)
+ * @returns {Promise<Object>} - { url, artifacts }
+ */
+async function deploy(projectDir, context) {
+  const outputDir = await buildStaticOutput(projectDir, context);
+  const publishDir = path.join(getPublishDir(), context.projectName);
+
+  publishStaticOutput(outputDir, publishDir);
+  context.log(`Published ${path.relative(projectDir, outputDir) || '.'} to ${publishDir}`);
+
+  const baseUrl = process.env.STATIC_PUBLISH_BASE_URL;
+
+  return {
+    url: baseUrl ? `${baseUrl.replace(/\/$/, '')}/${context.projectName}/` : null,
+    artifacts: [{ type: 'directory', path: publishDir }]
+  };
+}
+
+/**
+ * Delete a published site from the publish directory
+ * @param {Object} deployment - Deployment result
+ * @param {Object} context - Target context (see lib/deploy-targets/index.js)
+ */
+async function remove(deployment, context) {
+  for (const artifact of deployment.artifacts.filter(entry => entry.type === 'directory')) {
+    fs.rmSync(artifact.path, { recursive: true, force: true });
+    context.log(`Removed ${artifact.path}`);
+  }
+}
+
+module.exports = {
+  name: 'static',
+  displayName: 'Static export',
+  isConfigured,
+  deploy,
+  remove
+};
@@ -0,0 +1,98 @@
+/**
+ * lib/deploy-targets/vercel.js - Deploy to Vercel with the Vercel CLI
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Check whether the target has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.VERCEL_TOKEN);
+}
+
+/**
+ * Deploy a project to Vercel
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} context - Deploy context (see lib/deploy-targets/index.js)
+ * @returns {Promise<Object>} - { url, artifacts }
+ */
+async function deploy(projectDir, context) {
+  if (!isConfigured()) {
+    throw new Error('Vercel token not configured. Cannot deploy project.');
+  }
+
+  // Install dependencies if needed
+  await context.run('npm install');
+
+  // Remove any existing .vercel directory if it exists
+  // This is crucial for resolving the "Project Settings are invalid" error
+  const vercelConfigDir = path.join(projectDir, '.vercel');
+  if (fs.existsSync(vercelConfigDir)) {
+    try {
+      fs.rmSync(vercelConfigDir, { recursive: true, force: true });
+      context.log('Removed existing .vercel directory');
+    } catch (rmErr) {
+      context.log(`Error removing .vercel directory: ${rmErr.message}`);
+    }
+  }
+
+  // Create a .vercelignore file
+  fs.writeFileSync(
+    path.join(projectDir, '.vercelignore'),
+    'README.md\nnode_modules\n.git'
+  );
+
+  // Deploy to Vercel with proper flags:
+  // --confirm: Non-interactive equivalent of --yes in newer CLI, avoids prompting.
+  // --name: Specifies a unique project name, helps Vercel create a new project if needed.
+  // --prod: Ensures we deploy to production and get the production URL
+  const deployOutput = await context.run(
+    `npx vercel deploy --token=${process.env.VERCEL_TOKEN} --name=${context.projectName} --confirm --prod`
+  );
+
+  // Parse deployment URL from output and ensure it's the production URL
+  const urlMatch = deployOutput.match(/(https:\/\/[^\s]+)/);
+  let deploymentUrl = urlMatch ? urlMatch[0].trim() : null;
+
+  if (!deploymentUrl) {
+    throw new Error('Could not extract deployment URL from Vercel output');
+  }
+
+  // Remove any preview/temporary suffix (anything after '-' before .vercel.app)
+  deploymentUrl = deploymentUrl.replace(/-[a-z0-9]+\.vercel\.app/, '.vercel.app');
+  // Ensure trailing slash for consistency
+  if (!deploymentUrl.endsWith('/')) {
+    deploymentUrl += '/';
+  }
+
+  return {
+    url: deploymentUrl,
+    artifacts: [{ type: 'vercel-project', path: context.projectName }]
+  };
+}
+
+/**
+ * Remove the Vercel project a deployment created, with all of its deployments
+ * @param {Object} deployment - Deployment result
+ * @param {Object} context - Target context (see lib/deploy-targets/index.js)
+ */
+async function remove(deployment, context) {
+  if (!isConfigured()) {
+    throw new Error('Vercel token not configured. Cannot remove deployment.');
+  }
+
+  for (const artifact of deployment.artifacts.filter(entry => entry.type === 'vercel-project')) {
+    await context.run(`npx vercel remove ${artifact.path} --yes --token=${process.env.VERCEL_TOKEN}`);
+  }
+}
+
+module.exports = {
+  name: 'vercel',
+  displayName: 'Vercel',
+  isConfigured,
+  deploy,
+  remove
+};
@@ -0,0 +1,143 @@
+/**
+ * lib/diff.js - Minimal line-based unified diff
+ *
+ * Used to show what changed in a generated project without pulling in a diff dependency.
+ */
+
+const CONTEXT_LINES = 3;
+const MAX_DIFF_CELLS = 4000000; // Above this the LCS table gets too expensive, so we replace the whole file
+
+/**
+ * Split text into lines, ignoring a single trailing newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Lines of text
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute the edit script between two arrays of lines
+ * @param {Array<string>} oldLines - Original lines
+ * @param {Array<string>} newLines - Updated lines
+ * @returns {Array<Object>} - Operations of the form { type: ' ' | '-' | '+', line }
+ */
+function computeOperations(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      operations.push({ type: '-', line: oldLines[i] });
+      i++;
+    } else {
+      operations.push({ type: '+', line: newLines[j] });
+      j++;
+    }
+  }
+  while (i < n) {
+    operations.push({ type: '-', line: oldLines[i++] });
+  }
+  while (j < m) {
+    operations.push({ type: '+', line: newLines[j++] });
+  }
+
+  return operations;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} filename - File path shown in the diff header
+ * @param {string|null} oldText - Original content (null if the file is new)
+ * @param {string|null} newText - Updated content (null if the file was removed)
+ * @returns {string} - Unified diff, or an empty string if nothing changed
+ */
+function createUnifiedDiff(filename, oldText, newText) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const operations = computeOperations(splitLines(oldText), splitLines(newText));
+  const changeIndexes = [];
+  operations.forEach((op, index) => {
+    if (op.type !== ' ') {
+      changeIndexes.push(index);
+    }
+  });
+
+  if (changeIndexes.length === 0) {
+    return '';
+  }
+
+  // Group changes into hunks, merging ones whose context would overlap
+  const ranges = [];
+  for (const index of changeIndexes) {
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(operations.length, index + CONTEXT_LINES + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const output = [
+    `--- ${oldText === null ? '/dev/null' : `a/${filename}`}`,
+    `+++ ${newText === null ? '/dev/null' : `b/${filename}`}`
+  ];
+
+  for (const range of ranges) {
+    // Line numbers at the start of the hunk
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < range.start; k++) {
+      if (operations[k].type !== '+') oldLine++;
+      if (operations[k].type !== '-') newLine++;
+    }
+
+    const hunk = operations.slice(range.start, range.end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+
+    output.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    hunk.forEach(op => output.push(`${op.type}${op.line}`));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  createUnifiedDiff
+};
@@ -0,0 +1,432 @@
+/**
+ * lib/file-merge.js - Merge the model's files into a scaffolded project
+ *
+ * Writing the model's files straight over the scaffold throws away what the scaffold set up:
+ * a generated package.json loses the template's scripts and devDependencies, and a generated
+ * vite.config.js can drop the framework plugin. Files the project already has are therefore
+ * applied by type:
+ *
+ * - package.json is deep-merged. Dependencies are combined, a package listed with two
+ *   versions gets the one chosen by resolveVersionConflict, and scripts and other fields the
+ *   scaffold sets keep the scaffold's value.
+ * - tsconfig.json and jsconfig.json are deep-merged with the model's options winning, so its
+ *   code compiles with the settings it was written for. Arrays such as `include` are combined.
+ * - Build tool configs (vite.config.js, next.config.mjs, ...) keep the scaffold's version
+ *   unless the model's one is valid: it exports a config, only imports packages the project
+ *   depends on and, for JavaScript, parses.
+ * - Everything else is overwritten.
+ *
+ * Every file gets an entry in the merge report saying what happened to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { findPackageImports } = require('./dependency-inference');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+const JSON_CONFIG_PATTERN = /^(tsconfig(\.[\w-]+)?|jsconfig)\.json$/;
+const BUILD_CONFIG_PATTERN = /^(vite|vitest|next|nuxt|svelte|astro|tailwind|postcss)\.config\.(js|mjs|cjs|ts|mts|cts)$/;
+const SYNTAX_CHECK_TIMEOUT_MS = 10000;
+
+// Keys that would change a merged object's prototype instead of adding a field
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Remove comments from JSON text, leaving strings alone
+ * @param {string} text - JSON with comments, as tsconfig.json allows
+ * @returns {string} - Plain JSON text
+ */
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a JSON file, allowing the comments and trailing commas of tsconfig files
+ * @param {string} text - File content
+ * @returns {Object|null} - Parsed object, or null if it isn't a valid JSON object
+ */
+function parseJsonFile(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    try {
+      value = JSON.parse(stripJsonComments(text).replace(/,(\s*[}\]])/g, '$1'));
+    } catch (innerErr) {
+      return null;
+    }
+  }
+  return isPlainObject(value) ? value : null;
+}
+
+/**
+ * Read the lowest version a semver range allows
+ * @param {string} range - Range such as ^1.2.3, ~4.5, >=2 or 3.0.0
+ * @returns {Array<number>|null} - [major, minor, patch], or null for tags, URLs and other specifiers
+ */
+function parseVersionRange(range) {
+  const match = /^\s*(?:[\^~]|>=?|=)?\s*v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(range || '');
+  return match ? [match[1], match[2] || 0, match[3] || 0].map(Number) : null;
+}
+
+/**
+ * Choose between the scaffold's and the model's version of a dependency
+ *
+ * The scaffold's packages are known to work together, so a different major version (or a
+ * tag like `latest`) from the model doesn't replace them. Within the same major version the
+ * range with the higher minimum wins, since the model may use a newer feature.
+ * @param {string} scaffoldRange - Version in the scaffold's package.json
+ * @param {string} generatedRange - Version in the model's package.json
+ * @returns {string} - Version to use
+ */
+function resolveVersionConflict(scaffoldRange, generatedRange) {
+  const scaffoldVersion = parseVersionRange(scaffoldRange);
+  const generatedVersion = parseVersionRange(generatedRange);
+
+  if (!generatedVersion) {
+    return scaffoldRange;
+  }
+  if (!scaffoldVersion) {
+    return generatedRange;
+  }
+  if (scaffoldVersion[0] !== generatedVersion[0]) {
+    return scaffoldRange;
+  }
+
+  for (let i = 0; i < 3; i++) {
+    if (generatedVersion[i] !== scaffoldVersion[i]) {
+      return generatedVersion[i] > scaffoldVersion[i] ? generatedRange : scaffoldRange;
+    }
+  }
+  return scaffoldRange;
+}
+
+/**
+ * Combine two arrays, keeping the first one's order and dropping duplicates
+ * @param {Array} base
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+function unionArrays(base, incoming) {
+  const seen = new Set(base.map(item => JSON.stringify(item)));
+  return base.concat(incoming.filter(item => !seen.has(JSON.stringify(item))));
+}
+
+/**
+ * Deep-merge two objects, recording the values they disagree on
+ *
+ * The model's JSON may hold a `__proto__` key; keys like that are skipped.
+ * @param {Object} base - Scaffold's object
+ * @param {Object} incoming - Model's object
+ * @param {boolean} preferIncoming - Whether the model's value wins a conflict
+ * @param {Array<Object>} conflicts - Receives { field, scaffold, generated, resolved }
+ * @param {string} [prefix] - Path of the objects, for conflict field names
+ * @returns {Object} - Merged object
+ */
+function deepMerge(base, incoming, preferIncoming, conflicts, prefix = '') {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(incoming)) {
+    if (UNSAFE_KEYS.includes(key)) {
+      continue;
+    }
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    const baseValue = base[key];
+
+    if (!Object.prototype.hasOwnProperty.call(base, key)) {
+      merged[key] = value;
+    } else if (isPlainObject(baseValue) && isPlainObject(value)) {
+      merged[key] = deepMerge(baseValue, value, preferIncoming, conflicts, field);
+    } else if (Array.isArray(baseValue) && Array.isArray(value)) {
+      merged[key] = unionArrays(baseValue, value);
+    } else if (JSON.stringify(baseValue) !== JSON.stringify(value)) {
+      merged[key] = preferIncoming ? value : baseValue;
+      conflicts.push({ field, scaffold: baseValue, generated: value, resolved: merged[key] });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Merge the model's package.json into the scaffold's
+ * @param {Object} scaffold - Scaffold's package.json
+ * @param {Object} generated - Model's package.json
+ * @returns {Object} - { merged, conflicts }
+ */
+function mergePackageJson(scaffold, generated) {
+  const conflicts = [];
+  const otherFields = {};
+  for (const [field, value] of Object.entries(generated)) {
+    if (!DEPENDENCY_FIELDS.includes(field) && !UNSAFE_KEYS.includes(field)) {
+      otherFields[field] = value;
+    }
+  }
+
+  const merged = deepMerge(scaffold, otherFields, false, conflicts);
+
+  for (const field of DEPENDENCY_FIELDS) {
+    if (!isPlainObject(generated[field])) {
+      continue;
+    }
+
+    for (const [name, range] of Object.entries(generated[field])) {
+      // A package the scaffold lists in another section (e.g. devDependencies) stays there
+      const scaffoldField = [field].concat(DEPENDENCY_FIELDS)
+        .find(candidate => isPlainObject(scaffold[candidate]) && scaffold[candidate][name] !== undefined);
+
+      if (!scaffoldField) {
+        merged[field] = { ...merged[field], [name]: range };
+        continue;
+      }
+
+      const scaffoldRange = scaffold[scaffoldField][name];
+      if (scaffoldRange !== range) {
+        const resolved = resolveVersionConflict(scaffoldRange, range);
+        merged[scaffoldField] = { ...merged[scaffoldField], [name]: resolved };
+        conflicts.push({ field: `${scaffoldField}.${name}`, scaffold: scaffoldRange, generated: range, resolved });
+      }
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Check JavaScript syntax with `node --check`
+ * @param {string} source - Source code
+ * @param {string} inputType - 'module' or 'commonjs'
+ * @returns {Promise<string|null>} - The syntax error, or null if the source parses
+ */
+function checkSyntax(source, inputType) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [`--input-type=${inputType}`, '--check', '-'], {
+      timeout: SYNTAX_CHECK_TIMEOUT_MS
+    }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve(null);
+        return;
+      }
+      const message = (stderr || '').split('\n').find(line => /Error\b/.test(line));
+      resolve((message || error.message).trim());
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(source);
+  });
+}
+
+/**
+ * Check whether the model's version of a build tool config can replace the scaffold's
+ * @param {string} filename - Config file name
+ * @param {string} content - Model's version
+ * @param {Set<string>|null} dependencies - Packages in the project's package.json, or null if it has none
+ * @returns {Promise<string|null>} - Why the config can't be used, or null if it can
+ */
+async function checkBuildConfig(filename, content, dependencies) {
+  if (!/\bexport\s+default\b|\bmodule\.exports\b|\bexports\.default\b/.test(content)) {
+    return "doesn't export a config";
+  }
+
+  if (dependencies) {
+    const missing = findPackageImports(content).filter(name => !dependencies.has(name));
+    if (missing.length > 0) {
+      return `imports packages the project doesn't depend on: ${missing.join(', ')}`;
+    }
+  }
+
+  const extension = path.extname(filename);
+  if (['.js', '.mjs', '.cjs'].includes(extension)) {
+    // A .js config may be an ES module or CommonJS, depending on the package type
+    const error = await checkSyntax(content, extension === '.cjs' ? 'commonjs' : 'module');
+    if (error && (extension !== '.js' || await checkSyntax(content, 'commonjs'))) {
+      return `doesn't parse: ${error}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the packages a package.json depends on
+ * @param {Object|null} packageJson - Parsed package.json
+ * @returns {Set<string>|null} - Package names, or null without a package.json
+ */
+function listDependencies(packageJson) {
+  if (!packageJson) {
+    return null;
+  }
+  const names = new Set();
+  DEPENDENCY_FIELDS.forEach(field => Object.keys(packageJson[field] || {}).forEach(name => names.add(name)));
+  return names;
+}
+
+/**
+ * Find the versions of a build tool config the project already has, in any extension
+ * @param {string} projectDir - Project directory
+ * @param {string} file - Config path relative to the project, e.g. vite.config.ts
+ * @returns {Array<string>} - Existing config paths relative to the project
+ */
+function findExistingConfigs(projectDir, file) {
+  const dir = path.posix.dirname(file);
+  const stem = path.posix.basename(file).replace(BUILD_CONFIG_PATTERN, '$1.config.');
+  const absoluteDir = path.join(projectDir, dir);
+
+  if (!fs.existsSync(absoluteDir)) {
+    return [];
+  }
+  return fs.readdirSync(absoluteDir)
+    .filter(name => name.startsWith(stem) && BUILD_CONFIG_PATTERN.test(name))
+    .map(name => (dir === '.' ? name : `${dir}/${name}`));
+}
+
+/**
+ * Work out how to apply the model's files to a project
+ * @param {string} projectDir - Project directory holding the scaffold (or imported project)
+ * @param {Object} files - Normalized path:content pairs from the model
+ * @returns {Promise<Object>} - { files: path:content pairs to write, remove: paths to delete, report }
+ *   where report lists { path, action, reason?, conflicts?, replaced? } and action is
+ *   'added', 'overwritten', 'merged', 'kept' or 'unchanged'
+ */
+async function mergeGeneratedFiles(projectDir, files) {
+  const toWrite = {};
+  const remove = [];
+  const report = [];
+
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  let packageJson = fs.existsSync(packageJsonPath) ? parseJsonFile(fs.readFileSync(packageJsonPath, 'utf8')) : null;
+
+  // package.json goes first, so configs are checked against the merged dependencies
+  const ordered = Object.keys(files).sort((a, b) => (b === 'package.json') - (a === 'package.json'));
+
+  for (const file of ordered) {
+    const content = files[file];
+    const name = path.posix.basename(file);
+    const filePath = path.join(projectDir, file);
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+    if (BUILD_CONFIG_PATTERN.test(name)) {
+      const existingConfigs = findExistingConfigs(projectDir, file);
+      if (existingConfigs.length === 0) {
+        toWrite[file] = content;
+        report.push({ path: file, action: 'added' });
+        continue;
+      }
+      if (existing === content) {
+        report.push({ path: file, action: 'unchanged' });
+        continue;
+      }
+
+      const reason = await checkBuildConfig(name, content, listDependencies(packageJson));
+      if (reason) {
+        report.push({ path: file, action: 'kept', reason: `Generated config ${reason}` });
+        continue;
+      }
+
+      // Only one of vite.config.js and vite.config.ts may remain
+      const replaced = existingConfigs.filter(config => config !== file);
+      toWrite[file] = content;
+      remove.push(...replaced);
+      const entry = { path: file, action: existing === null ? 'added' : 'overwritten' };
+      if (replaced.length > 0) {
+        entry.action = 'overwritten';
+        entry.replaced = replaced;
+      }
+      report.push(entry);
+      continue;
+    }
+
+    if (existing === null) {
+      toWrite[file] = content;
+      report.push({ path: file, action: 'added' });
+      if (file === 'package.json') {
+        packageJson = parseJsonFile(content);
+      }
+      continue;
+    }
+
+    if (existing === content) {
+      report.push({ path: file, action: 'unchanged' });
+      continue;
+    }
+
+    const isPackageJson = name === 'package.json';
+    if (isPackageJson || JSON_CONFIG_PATTERN.test(name)) {
+      const scaffoldJson = parseJsonFile(existing);
+      const generatedJson = parseJsonFile(content);
+
+      if (!generatedJson) {
+        report.push({ path: file, action: 'kept', reason: 'Generated file is not valid JSON' });
+        continue;
+      }
+
+      if (scaffoldJson) {
+        let result;
+        if (isPackageJson) {
+          result = mergePackageJson(scaffoldJson, generatedJson);
+        } else {
+          const conflicts = [];
+          result = { merged: deepMerge(scaffoldJson, generatedJson, true, conflicts), conflicts };
+        }
+
+        toWrite[file] = JSON.stringify(result.merged, null, 2) + '\n';
+        report.push({ path: file, action: 'merged', conflicts: result.conflicts });
+        if (file === 'package.json') {
+          packageJson = result.merged;
+        }
+        continue;
+      }
+    }
+
+    toWrite[file] = content;
+    report.push({ path: file, action: 'overwritten' });
+    if (file === 'package.json') {
+      packageJson = parseJsonFile(content);
+    }
+  }
+
+  return { files: toWrite, remove, report };
+}
+
+module.exports = {
+  deepMerge,
+  mergePackageJson,
+  mergeGeneratedFiles
+};
@@ -0,0 +1,224 @@
+/**
+ * lib/gavin-client.js - HTTP client for the server's API, used by the `gavin` command
+ *
+ * Requests are authenticated with an API key when one is given. Every request resolves
+ * to the parsed JSON body; responses with `success: false` or an error status reject with
+ * an Error carrying the HTTP `status` and the response `body`.
+ */
+
+const RECONNECT_DELAY_MS = 3000;
+const MAX_RECONNECTS = 20;
+
+/**
+ * Parse a Server-Sent Events stream into events
+ * @param {AsyncIterable} body - Response body
+ * @param {Function} onEvent - Called with { id, event, data } for each event
+ */
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = { id: null, event: 'message', data: '' };
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith(':')) {
+          return; // Comment / keepalive
+        }
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'id') event.id = value;
+        if (field === 'event') event.event = value;
+        if (field === 'data') event.data += (event.data ? '\n' : '') + value;
+      });
+
+      if (event.data) {
+        onEvent(event);
+      }
+    }
+  }
+}
+
+/**
+ * Create a client for one server
+ * @param {Object} options
+ * @param {string} options.serverUrl - Base URL of the server, e.g. http://localhost:3001
+ * @param {string} [options.apiKey] - API key sent as a bearer token
+ * @returns {Object} - { request, download, watchJob }
+ */
+function createClient(options) {
+  const serverUrl = options.serverUrl.replace(/\/$/, '');
+  const authHeaders = options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {};
+
+  /**
+   * Build the URL of an API path
+   * @param {string} apiPath - Path starting with /
+   * @param {Object} [query] - Query parameters; undefined values are left out
+   * @returns {string} - Absolute URL
+   */
+  function buildUrl(apiPath, query = {}) {
+    const url = new URL(`${serverUrl}${apiPath}`);
+    for (const [name, value] of Object.entries(query)) {
+      if (value !== undefined) {
+        url.searchParams.set(name, String(value));
+      }
+    }
+    return url.toString();
+  }
+
+  /**
+   * Send a request and read its JSON response
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path starting with /
+   * @param {Object} [requestOptions]
+   * @param {Object} [requestOptions.body] - JSON body
+   * @param {Object} [requestOptions.query] - Query parameters
+   * @returns {Promise<Object>} - Response body
+   */
+  async function request(method, apiPath, requestOptions = {}) {
+    const headers = { ...authHeaders };
+    if (requestOptions.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(buildUrl(apiPath, requestOptions.query), {
+        method,
+        headers,
+        body: requestOptions.body !== undefined ? JSON.stringify(requestOptions.body) : undefined
+      });
+    } catch (err) {
+      throw new Error(`Could not reach ${serverUrl}: ${err.cause ? err.cause.message : err.message}`);
+    }
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = { success: false, error: `Unexpected response from the server (HTTP ${response.status})` };
+    }
+
+    if (!response.ok || body.success === false) {
+      const error = new Error(body.error || `Request failed with HTTP ${response.status}`);
+      error.status = response.status;
+      error.body = body;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Download a binary response
+   * @param {string} apiPath - Path starting with /
+   * @param {Object} [query] - Query parameters
+   * @returns {Promise<Buffer>} - Response body
+   */
+  async function download(apiPath, query) {
+    let response;
+    try {
+      response = await fetch(buildUrl(apiPath, query), { headers: authHeaders });
+    } catch (err) {
+      throw new Error(`Could not reach ${serverUrl}: ${err.cause ? err.cause.message : err.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `Download failed with HTTP ${response.status}`);
+      error.status = response.status;
+      error.body = body;
+      throw error;
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Follow a job's live event stream until it finishes, reconnecting if it drops
+   * @param {string} jobId - Job ID
+   * @param {Function} [onEvent] - Called with { id, event, data } for each event, data parsed
+   * @param {Function} [onReconnect] - Called with the error when the connection drops
+   * @returns {Promise<Object>} - The final job status
+   */
+  async function watchJob(jobId, onEvent, onReconnect) {
+    let lastEventId = null;
+    let result = null;
+    let reconnects = 0;
+
+    while (!result) {
+      const headers = lastEventId ? { ...authHeaders, 'Last-Event-ID': lastEventId } : { ...authHeaders };
+
+      let response;
+      try {
+        response = await fetch(buildUrl(`/jobs/${encodeURIComponent(jobId)}/events`), { headers });
+      } catch (err) {
+        response = null;
+        if (onReconnect) {
+          onReconnect(err);
+        }
+      }
+
+      if (response && !response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || `Event stream failed with HTTP ${response.status}`);
+        error.status = response.status;
+        error.body = body;
+        throw error;
+      }
+
+      if (response) {
+        try {
+          await readEventStream(response.body, event => {
+            if (event.id) {
+              lastEventId = event.id;
+            }
+
+            const data = JSON.parse(event.data);
+            if (onEvent) {
+              onEvent({ ...event, data });
+            }
+            if (event.event === 'result') {
+              result = data;
+            }
+          });
+        } catch (err) {
+          if (onReconnect) {
+            onReconnect(err);
+          }
+        }
+      }
+
+      // The stream closed before the result arrived; resume from the last event we saw
+      if (!result) {
+        reconnects++;
+        if (reconnects > MAX_RECONNECTS) {
+          throw new Error(`Event stream closed ${MAX_RECONNECTS} times without a result`);
+        }
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    request,
+    download,
+    watchJob
+  };
+}
+
+module.exports = {
+  readEventStream,
+  createClient
+};
@@ -0,0 +1,125 @@
+/**
+ * lib/job-events.js - In-memory event log for live job progress
+ *
+ * Each job gets an ordered list of events (stage transitions, extracted files, command
+ * output lines and the final result) with increasing numeric IDs, so Server-Sent Events
+ * clients can reconnect and replay everything after their `Last-Event-ID`.
+ *
+ * A finished job's log is dropped a while after its `result` event, once nobody is
+ * subscribed; clients that connect later get the job's status instead. Event IDs come from
+ * one counter shared by all jobs, so a job that runs again (a refinement) never reuses an ID.
+ */
+
+const { EventEmitter } = require('events');
+
+const MAX_EVENTS_PER_JOB = 2000; // Oldest events are dropped beyond this
+const FINISHED_LOG_RETENTION_MS = 5 * 60 * 1000; // Kept after the result for reconnecting clients
+
+const eventLogs = new Map();
+let nextEventId = 1;
+
+/**
+ * Get the event log for a job, creating it on first use
+ * @param {string} jobId - Job ID
+ * @returns {Object} - { events, emitter, expiryTimer }
+ */
+function getEventLog(jobId) {
+  let log = eventLogs.get(jobId);
+  if (!log) {
+    log = { events: [], emitter: new EventEmitter(), expiryTimer: null };
+    log.emitter.setMaxListeners(0);
+    eventLogs.set(jobId, log);
+  }
+  return log;
+}
+
+/**
+ * Drop a finished job's log after the retention period, or later if clients are still subscribed
+ * @param {string} jobId - Job ID
+ * @param {Object} log - The job's event log
+ */
+function scheduleLogExpiry(jobId, log) {
+  log.expiryTimer = setTimeout(() => {
+    if (log.emitter.listenerCount('event') > 0) {
+      scheduleLogExpiry(jobId, log);
+      return;
+    }
+    if (eventLogs.get(jobId) === log) {
+      eventLogs.delete(jobId);
+    }
+  }, FINISHED_LOG_RETENTION_MS);
+  log.expiryTimer.unref();
+}
+
+/**
+ * Record an event for a job and notify subscribers
+ * @param {string} jobId - Job ID
+ * @param {string} type - Event type ('stage', 'file', 'log', 'result', ...)
+ * @param {Object} data - Event payload
+ * @returns {Object} - The recorded event
+ */
+function publishJobEvent(jobId, type, data) {
+  const log = getEventLog(jobId);
+  const event = {
+    id: nextEventId++,
+    type,
+    data,
+    time: Date.now()
+  };
+
+  log.events.push(event);
+  if (log.events.length > MAX_EVENTS_PER_JOB) {
+    log.events.shift();
+  }
+
+  // A job that runs again keeps its log until the new run's result
+  clearTimeout(log.expiryTimer);
+  if (type === 'result') {
+    scheduleLogExpiry(jobId, log);
+  }
+
+  log.emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Get the recorded events for a job after a given event ID
+ * @param {string} jobId - Job ID
+ * @param {number} [afterId] - Only return events with a greater ID
+ * @returns {Array<Object>} - Events in order
+ */
+function getJobEvents(jobId, afterId = 0) {
+  const log = eventLogs.get(jobId);
+  return log ? log.events.filter(event => event.id > afterId) : [];
+}
+
+/**
+ * Subscribe to new events for a job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribeToJobEvents(jobId, listener) {
+  const log = getEventLog(jobId);
+  log.emitter.on('event', listener);
+  return () => log.emitter.off('event', listener);
+}
+
+/**
+ * Forget all events for a job
+ * @param {string} jobId - Job ID
+ */
+function clearJobEvents(jobId) {
+  const log = eventLogs.get(jobId);
+  if (log) {
+    clearTimeout(log.expiryTimer);
+  }
+  eventLogs.delete(jobId);
+}
+
+module.exports = {
+  publishJobEvent,
+  getJobEvents,
+  subscribeToJobEvents,
+  clearJobEvents
+};
@@ -0,0 +1,157 @@
+/**
+ * lib/job-queue.js - Bounded queue for background jobs, with cancellation
+ *
+ * Jobs wait in first-in, first-out order until one of the concurrency slots is free. A
+ * running job gets an AbortController whose signal is passed to provider calls, and the child
+ * processes it starts are tracked, so cancelling the job stops both.
+ */
+
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+
+const waiting = [];
+const running = new Map();
+let maxConcurrentJobs = DEFAULT_MAX_CONCURRENT_JOBS;
+
+/**
+ * Set how many jobs may run at the same time
+ * @param {number} limit - Maximum number of running jobs (at least 1)
+ */
+function setMaxConcurrentJobs(limit) {
+  maxConcurrentJobs = Math.max(1, Math.floor(limit) || DEFAULT_MAX_CONCURRENT_JOBS);
+  startWaitingJobs();
+}
+
+/**
+ * Start waiting jobs while there are free slots
+ */
+function startWaitingJobs() {
+  while (running.size < maxConcurrentJobs && waiting.length > 0) {
+    const { jobId, task } = waiting.shift();
+    const entry = { controller: new AbortController(), children: new Set() };
+    running.set(jobId, entry);
+
+    Promise.resolve()
+      .then(() => task(entry.controller.signal))
+      .catch(error => {
+        console.error(`[job ${jobId}] Queued task failed: ${error.message}`);
+      })
+      .finally(() => {
+        running.delete(jobId);
+        startWaitingJobs();
+      });
+  }
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} jobId - Job ID
+ * @param {Function} task - Called with an AbortSignal when the job starts; returns a promise
+ * @returns {number|null} - Position in the queue (1 = next to start), or null if it started right away
+ */
+function enqueueJob(jobId, task) {
+  waiting.push({ jobId, task });
+  startWaitingJobs();
+  return getQueuePosition(jobId);
+}
+
+/**
+ * Get a job's position in the queue
+ * @param {string} jobId - Job ID
+ * @returns {number|null} - 1-based position, or null if the job isn't waiting
+ */
+function getQueuePosition(jobId) {
+  const index = waiting.findIndex(entry => entry.jobId === jobId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Get the abort signal of a running job
+ * @param {string} jobId - Job ID
+ * @returns {AbortSignal|null} - Signal, or null if the job isn't running
+ */
+function getJobSignal(jobId) {
+  const entry = running.get(jobId);
+  return entry ? entry.controller.signal : null;
+}
+
+/**
+ * Kill a child process and everything it started
+ *
+ * Commands run through a shell in their own process group (spawned with `detached`), so
+ * signalling the group also stops processes such as npm's own children.
+ * @param {ChildProcess} child - Child process
+ * @param {string} [signal] - Signal to send (default SIGTERM)
+ */
+function killProcessTree(child, signal = 'SIGTERM') {
+  if (!child.pid || child.exitCode !== null) {
+    return;
+  }
+
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    // Not a group leader (or already gone): fall back to the process itself
+    child.kill(signal);
+  }
+}
+
+/**
+ * Remember a child process started by a running job, so cancelling the job kills it
+ * @param {string} jobId - Job ID
+ * @param {ChildProcess} child - Child process
+ */
+function trackChildProcess(jobId, child) {
+  const entry = running.get(jobId);
+  if (!entry) {
+    return;
+  }
+
+  entry.children.add(child);
+  child.on('exit', () => entry.children.delete(child));
+}
+
+/**
+ * Cancel a job: remove it from the queue, or abort it and kill its child processes
+ * @param {string} jobId - Job ID
+ * @returns {string|null} - 'queued' or 'running' for the state the job was cancelled in,
+ *   or null if the queue doesn't know the job
+ */
+function cancelJob(jobId) {
+  const index = waiting.findIndex(entry => entry.jobId === jobId);
+  if (index !== -1) {
+    waiting.splice(index, 1);
+    return 'queued';
+  }
+
+  const entry = running.get(jobId);
+  if (!entry) {
+    return null;
+  }
+
+  entry.controller.abort(new Error('Job was cancelled'));
+  entry.children.forEach(child => killProcessTree(child));
+  return 'running';
+}
+
+/**
+ * Describe the queue
+ * @returns {Object} - { running, waiting, maxConcurrentJobs }
+ */
+function getQueueStats() {
+  return {
+    running: running.size,
+    waiting: waiting.length,
+    maxConcurrentJobs
+  };
+}
+
+module.exports = {
+  setMaxConcurrentJobs,
+  enqueueJob,
+  getQueuePosition,
+  getJobSignal,
+  killProcessTree,
+  trackChildProcess,
+  cancelJob,
+  getQueueStats
+};
@@ -0,0 +1,115 @@
+/**
+ * lib/job-store.js - Durable JSON-lines store for deployment jobs
+ *
+ * Every change to a job is appended to the store as a full snapshot on its own line.
+ * When the store is loaded the last snapshot for each job wins, so a crash halfway
+ * through a write only loses that one update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fields that only live in memory; they can be rebuilt from the project directory
+const TRANSIENT_FIELDS = ['fileContents'];
+
+/**
+ * Convert a job into a single JSON line, dropping transient fields
+ * @param {Object} job - Job to serialize
+ * @returns {string} - JSON line (without trailing newline)
+ */
+function serializeJob(job) {
+  const record = {};
+  for (const [key, value] of Object.entries(job)) {
+    if (!TRANSIENT_FIELDS.includes(key)) {
+      record[key] = value;
+    }
+  }
+  return JSON.stringify(record);
+}
+
+/**
+ * Load all jobs from the store
+ * @param {string} storePath - Path to the JSON-lines file
+ * @returns {Map<string, Object>} - Jobs keyed by ID
+ */
+function loadJobs(storePath) {
+  const jobs = new Map();
+
+  if (!fs.existsSync(storePath)) {
+    return jobs;
+  }
+
+  const lines = fs.readFileSync(storePath, 'utf8').split('\n');
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      // A partially written last line is expected after a crash; anything else is worth a warning
+      if (index < lines.length - 1) {
+        console.warn(`Skipping malformed job record on line ${index + 1} of ${storePath}`);
+      }
+      return;
+    }
+
+    if (!record || !record.id) {
+      return;
+    }
+
+    if (record.deleted) {
+      jobs.delete(record.id);
+    } else {
+      jobs.set(record.id, record);
+    }
+  });
+
+  return jobs;
+}
+
+/**
+ * Append the current state of a job to the store
+ * @param {string} storePath - Path to the JSON-lines file
+ * @param {Object} job - Job to save
+ */
+function saveJob(storePath, job) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.appendFileSync(storePath, serializeJob(job) + '\n');
+}
+
+/**
+ * Record the removal of a job in the store
+ * @param {string} storePath - Path to the JSON-lines file
+ * @param {string} jobId - ID of the removed job
+ */
+function removeJob(storePath, jobId) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.appendFileSync(storePath, JSON.stringify({ id: jobId, deleted: true }) + '\n');
+}
+
+/**
+ * Rewrite the store so it holds exactly one line per job
+ * @param {string} storePath - Path to the JSON-lines file
+ * @param {Map<string, Object>} jobs - Current jobs keyed by ID
+ */
+function compactJobs(storePath, jobs) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+
+  const lines = Array.from(jobs.values()).map(serializeJob);
+  const tempPath = `${storePath}.tmp`;
+
+  // Write to a temporary file first so the store is never left half-written
+  fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+  fs.renameSync(tempPath, storePath);
+}
+
+module.exports = {
+  loadJobs,
+  saveJob,
+  removeJob,
+  compactJobs
+};
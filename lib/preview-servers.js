@@ -0,0 +1,335 @@
+/**
+ * lib/preview-servers.js - Child processes serving previews of projects that need a server runtime
+ *
+ * Next.js apps and API servers can't be published as static files, so their preview runs the
+ * project's own server on a free local port, and requests under `/preview/<jobId>/` are
+ * proxied to it. A server is started when its preview is first requested and stopped once it
+ * has been idle for a while. Like job commands, each server runs in its own process group so
+ * stopping it also stops everything it started.
+ *
+ * Servers that can't be told about the prefix (`stripPrefix`) get requests without it, and
+ * root-relative URLs in their HTML responses and redirects are rewritten to include it.
+ *
+ * The servers run model-generated code that anyone can reach without an API key, so they
+ * only get a minimal environment (none of this server's keys and tokens), and requests reach
+ * them without the caller's credentials.
+ */
+
+const http = require('http');
+const net = require('net');
+const { spawn } = require('child_process');
+const { killProcessTree } = require('./job-queue');
+const { prefixUrl, rewriteHtml } = require('./base-path');
+
+const PORT_POLL_INTERVAL_MS = 250;
+const OUTPUT_TAIL_CHARS = 4000; // Server output kept to explain a failed start
+const START_TIMEOUT_MS = parseInt(process.env.PREVIEW_START_TIMEOUT_MS || '60000', 10); // Time a server has to start listening
+
+// Environment variables passed on to preview servers; everything else stays with this server
+const PASSED_ENV_VARS = ['PATH', 'HOME', 'USER', 'SHELL', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR', 'NODE_ENV'];
+
+// Request headers that are not forwarded: the caller's credentials and hop-by-hop headers
+const DROPPED_REQUEST_HEADERS = [
+  'authorization',
+  'x-api-key',
+  'cookie',
+  'proxy-authorization',
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'upgrade'
+];
+
+// Servers by job ID
+const servers = new Map();
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} - Port number
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Check whether something accepts connections on a local port
+ * @param {number} port - Port number
+ * @returns {Promise<boolean>}
+ */
+function isPortOpen(port) {
+  return new Promise(resolve => {
+    const socket = net.connect(port, '127.0.0.1');
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Build the environment of a preview server
+ * @param {Object} [extraEnv] - Variables the project needs, such as its base path
+ * @param {number} port - Port the server must listen on
+ * @returns {Object} - Environment variables
+ */
+function buildServerEnv(extraEnv, port) {
+  const env = {};
+  PASSED_ENV_VARS
+    .filter(name => process.env[name] !== undefined)
+    .forEach(name => { env[name] = process.env[name]; });
+  return { ...env, ...extraEnv, PORT: String(port) };
+}
+
+/**
+ * Remove the `apiKey` query parameter (see getRequestApiKey in lib/api-keys.js) from a URL
+ * @param {string} url - Request URL path and query
+ * @returns {string} - URL without the parameter
+ */
+function stripApiKeyParam(url) {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) {
+    return url;
+  }
+
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  if (!params.has('apiKey')) {
+    return url;
+  }
+  params.delete('apiKey');
+
+  const query = params.toString();
+  return query ? `${url.slice(0, queryStart)}?${query}` : url.slice(0, queryStart);
+}
+
+/**
+ * Start a server process and wait until it accepts connections
+ * @param {Object} server - Server entry
+ * @param {Object} options - Options passed to startPreviewServer
+ * @returns {Promise<Object>} - The server entry, once it is ready
+ */
+async function launchServer(server, options) {
+  server.port = await getFreePort();
+  if (servers.get(server.jobId) !== server) {
+    throw new Error('Preview server was stopped while starting');
+  }
+
+  let output = '';
+  const child = spawn(options.command, {
+    cwd: options.projectDir,
+    shell: true,
+    detached: true,
+    env: buildServerEnv(options.env, server.port),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.child = child;
+
+  for (const stream of ['stdout', 'stderr']) {
+    child[stream].setEncoding('utf8');
+    child[stream].on('data', chunk => {
+      output = (output + chunk).slice(-OUTPUT_TAIL_CHARS);
+    });
+  }
+
+  child.on('exit', () => {
+    if (servers.get(server.jobId) === server) {
+      servers.delete(server.jobId);
+    }
+  });
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (!(await isPortOpen(server.port))) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      throw new Error(`Preview server exited before it was ready:\n${output.trim()}`);
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Preview server did not start listening within ${START_TIMEOUT_MS} ms:\n${output.trim()}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, PORT_POLL_INTERVAL_MS));
+  }
+
+  console.log(`[job ${server.jobId}] Preview server running on port ${server.port}`);
+  return server;
+}
+
+/**
+ * Get a job's preview server, starting it if it isn't running
+ * @param {string} jobId - Job ID
+ * @param {Object} options
+ * @param {string} options.projectDir - Directory the server runs in
+ * @param {string} options.command - Command that starts the server; it must listen on $PORT
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {string} options.basePath - URL prefix the preview is served under, with leading and trailing slashes
+ * @param {boolean} [options.stripPrefix] - Send requests without the prefix and rewrite URLs in HTML responses
+ * @returns {Promise<Object>} - Server entry ({ jobId, port, basePath, stripPrefix })
+ */
+function startPreviewServer(jobId, options) {
+  const existing = servers.get(jobId);
+  if (existing) {
+    return existing.ready;
+  }
+
+  const server = {
+    jobId,
+    port: null,
+    child: null,
+    basePath: options.basePath,
+    stripPrefix: Boolean(options.stripPrefix),
+    activeRequests: 0,
+    lastUsed: Date.now()
+  };
+  servers.set(jobId, server);
+
+  server.ready = launchServer(server, options).catch(error => {
+    if (servers.get(jobId) === server) {
+      stopPreviewServer(jobId);
+    }
+    throw error;
+  });
+  return server.ready;
+}
+
+/**
+ * Stop a job's preview server
+ * @param {string} jobId - Job ID
+ * @returns {boolean} - True if a server was running
+ */
+function stopPreviewServer(jobId) {
+  const server = servers.get(jobId);
+  if (!server) {
+    return false;
+  }
+
+  servers.delete(jobId);
+  if (server.child) {
+    killProcessTree(server.child);
+  }
+  return true;
+}
+
+/**
+ * Stop the preview servers that haven't served a request for a while
+ * @param {number} idleMs - Milliseconds without requests after which a server is stopped
+ * @returns {Array<string>} - IDs of the jobs whose servers were stopped
+ */
+function stopIdlePreviewServers(idleMs) {
+  const stopped = [];
+
+  for (const server of Array.from(servers.values())) {
+    if (server.child && server.activeRequests === 0 && Date.now() - server.lastUsed > idleMs) {
+      stopPreviewServer(server.jobId);
+      stopped.push(server.jobId);
+    }
+  }
+
+  return stopped;
+}
+
+/**
+ * Stop every preview server, e.g. when the server shuts down
+ */
+function stopAllPreviewServers() {
+  for (const jobId of Array.from(servers.keys())) {
+    stopPreviewServer(jobId);
+  }
+}
+
+/**
+ * Proxy a request to a preview server
+ * @param {Object} server - Server entry from startPreviewServer
+ * @param {Object} req - Express request mounted at the preview prefix
+ * @param {Object} res - Express response
+ */
+function proxyPreviewRequest(server, req, res) {
+  server.activeRequests++;
+  server.lastUsed = Date.now();
+
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) {
+      finished = true;
+      server.activeRequests--;
+      server.lastUsed = Date.now();
+    }
+  });
+
+  const headers = { ...req.headers };
+  // Connection can name more hop-by-hop headers
+  (req.headers.connection || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    .concat(DROPPED_REQUEST_HEADERS)
+    .forEach(name => delete headers[name]);
+
+  Object.assign(headers, {
+    host: `127.0.0.1:${server.port}`,
+    'x-forwarded-host': req.headers.host,
+    'x-forwarded-proto': req.protocol,
+    'x-forwarded-prefix': server.basePath.slice(0, -1)
+  });
+  if (server.stripPrefix) {
+    // HTML responses are rewritten, so they must arrive uncompressed
+    headers['accept-encoding'] = 'identity';
+  }
+
+  const upstream = http.request({
+    host: '127.0.0.1',
+    port: server.port,
+    method: req.method,
+    path: stripApiKeyParam(server.stripPrefix ? req.url : req.originalUrl),
+    headers
+  }, upstreamRes => {
+    const responseHeaders = { ...upstreamRes.headers };
+    const location = responseHeaders.location;
+    if (server.stripPrefix && location && /^\/(?!\/)/.test(location)) {
+      responseHeaders.location = prefixUrl(location, server.basePath);
+    }
+
+    if (!server.stripPrefix || !/text\/html/i.test(responseHeaders['content-type'] || '')) {
+      res.writeHead(upstreamRes.statusCode, responseHeaders);
+      upstreamRes.pipe(res);
+      return;
+    }
+
+    const chunks = [];
+    upstreamRes.on('data', chunk => chunks.push(chunk));
+    upstreamRes.on('end', () => {
+      const body = Buffer.from(rewriteHtml(Buffer.concat(chunks).toString('utf8'), server.basePath));
+      // The rewritten body is sent whole and uncompressed, so the upstream framing no longer applies
+      delete responseHeaders['transfer-encoding'];
+      delete responseHeaders['content-encoding'];
+      responseHeaders['content-length'] = body.length;
+      res.writeHead(upstreamRes.statusCode, responseHeaders);
+      res.end(body);
+    });
+  });
+
+  upstream.on('error', error => {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.status(502).json({
+      success: false,
+      error: `Preview server did not respond: ${error.message}`
+    });
+  });
+
+  req.pipe(upstream);
+}
+
+module.exports = {
+  startPreviewServer,
+  stopPreviewServer,
+  stopIdlePreviewServers,
+  stopAllPreviewServers,
+  proxyPreviewRequest
+};
@@ -0,0 +1,98 @@
+/**
+ * lib/project-archive.js - Package a generated project as a ZIP archive
+ *
+ * Dependencies and build output are left out by default, the project's git history always
+ * is, and a manifest describing the job and listing a checksum for every file is added at
+ * the root of the archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+const MANIFEST_NAME = 'gavin-manifest.json';
+
+// Directories holding installed dependencies, deployment state or build output
+const BUILD_OUTPUT_DIRS = [
+  'node_modules',
+  '.vercel',
+  'dist',
+  'build',
+  '.next',
+  'out',
+  '.svelte-kit',
+  '.astro',
+  '.output',
+  '.cache',
+  'coverage'
+];
+
+/**
+ * Collect the files to archive
+ * @param {string} dir - Directory to scan
+ * @param {string} baseDir - Project root
+ * @param {Array<string>} excludeDirs - Directory names to skip
+ * @returns {Array<string>} - File paths relative to baseDir, using forward slashes
+ */
+function collectFiles(dir, baseDir, excludeDirs) {
+  let results = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!excludeDirs.includes(entry.name)) {
+        results = results.concat(collectFiles(fullPath, baseDir, excludeDirs));
+      }
+    } else if (entry.isFile()) {
+      // Symlinks and other special files are skipped
+      results.push(path.relative(baseDir, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Create a ZIP archive of a project
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} [options]
+ * @param {boolean} [options.includeBuildOutput] - Keep node_modules, .vercel and build output directories
+ * @param {Object} [options.manifest] - Job details to put in the manifest (prompt, provider, projectInfo, ...)
+ * @returns {Buffer} - ZIP archive contents
+ */
+function createProjectArchive(projectDir, options = {}) {
+  const excludeDirs = ['.git'].concat(options.includeBuildOutput ? [] : BUILD_OUTPUT_DIRS);
+  const files = collectFiles(projectDir, projectDir, excludeDirs).sort();
+
+  const zip = new AdmZip();
+  const fileEntries = [];
+
+  for (const file of files) {
+    const content = fs.readFileSync(path.join(projectDir, ...file.split('/')));
+    zip.addFile(file, content);
+
+    fileEntries.push({
+      path: file,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    });
+  }
+
+  const manifest = {
+    ...(options.manifest || {}),
+    archivedAt: new Date().toISOString(),
+    includesBuildOutput: Boolean(options.includeBuildOutput),
+    files: fileEntries
+  };
+
+  zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2) + '\n'));
+
+  return zip.toBuffer();
+}
+
+module.exports = {
+  createProjectArchive,
+  BUILD_OUTPUT_DIRS
+};
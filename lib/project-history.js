@@ -0,0 +1,310 @@
+/**
+ * lib/project-history.js - Keep each generated project in its own git repository
+ *
+ * Every stage that changes a project (scaffold, model output, build fixes, refinements,
+ * deployments, restores) becomes a commit. The commit message starts with a one-line
+ * summary, may carry the prompt or instruction as its body, and ends with trailers naming
+ * the stage, provider and job:
+ *
+ *   Generate project
+ *
+ *   A todo app with dark mode
+ *
+ *   Gavin-Stage: generate
+ *   Gavin-Provider: openai
+ *   Gavin-Job: 1700000000000
+ *
+ * Git always runs with the project's own `.git` directory, so a project without one can't
+ * fall through to a repository further up the tree. Dependencies and build output are
+ * excluded through `.git/info/exclude`, on top of the project's own `.gitignore`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { BUILD_OUTPUT_DIRS } = require('./project-archive');
+
+const GIT_OUTPUT_MAX_BYTES = 20 * 1024 * 1024;
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904'; // What the first commit is compared with
+const REVISION_PATTERN = /^(HEAD|[0-9a-f]{4,64})([~^]\d*)*$/i;
+const TRAILER_PATTERN = /^Gavin-([A-Za-z-]+): (.*)$/;
+const TRAILER_FIELDS = { Stage: 'stage', Provider: 'provider', Job: 'jobId', 'Restored-From': 'restoredFrom' };
+
+// Author of every commit, whatever the server's own git configuration says
+const GIT_CONFIG = [
+  '-c', 'user.name=Gavin Coding Agent',
+  '-c', 'user.email=gavin@localhost',
+  '-c', 'commit.gpgsign=false',
+  '-c', 'core.autocrlf=false'
+];
+
+/**
+ * Run git in a project's repository
+ * @param {string} projectDir - Project directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} - stdout
+ */
+function runGit(projectDir, args) {
+  const repoArgs = [...GIT_CONFIG, `--git-dir=${path.join(projectDir, '.git')}`, `--work-tree=${projectDir}`];
+
+  return new Promise((resolve, reject) => {
+    execFile('git', repoArgs.concat(args), { cwd: projectDir, maxBuffer: GIT_OUTPUT_MAX_BYTES }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Check whether a project has a history
+ * @param {string} projectDir - Project directory
+ * @returns {boolean}
+ */
+function hasProjectHistory(projectDir) {
+  return fs.existsSync(path.join(projectDir, '.git', 'HEAD'));
+}
+
+/**
+ * Create a project's repository, if it doesn't have one yet
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<boolean>} - True if a repository was created
+ */
+async function initProjectHistory(projectDir) {
+  if (hasProjectHistory(projectDir)) {
+    return false;
+  }
+
+  await new Promise((resolve, reject) => {
+    execFile('git', ['init', '--quiet', '--initial-branch=main', projectDir], (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git init failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+      resolve();
+    });
+  });
+
+  const excludes = BUILD_OUTPUT_DIRS.map(dir => `${dir}/`).concat('.env', '.env.local');
+  fs.mkdirSync(path.join(projectDir, '.git', 'info'), { recursive: true });
+  fs.writeFileSync(path.join(projectDir, '.git', 'info', 'exclude'), excludes.join('\n') + '\n');
+
+  return true;
+}
+
+/**
+ * Build a commit message from a summary, an optional body and trailers
+ * @param {Object} entry
+ * @param {string} entry.summary - First line
+ * @param {string} [entry.body] - Prompt or instruction behind the change
+ * @param {string} entry.stage - Stage that made the change
+ * @param {string} [entry.provider] - Provider that wrote the change
+ * @param {string} [entry.jobId] - Job the project belongs to
+ * @param {string} [entry.restoredFrom] - Commit a restore went back to
+ * @returns {Array<string>} - Message paragraphs
+ */
+function buildCommitMessage(entry) {
+  const paragraphs = [entry.summary.split('\n')[0].trim()];
+
+  if (entry.body && entry.body.trim()) {
+    // A line that looks like a trailer would be read back as one
+    paragraphs.push(entry.body.trim().replace(/^Gavin-/gm, ' Gavin-'));
+  }
+
+  const trailers = Object.entries(TRAILER_FIELDS)
+    .filter(([, field]) => entry[field])
+    .map(([name, field]) => `Gavin-${name}: ${String(entry[field]).replace(/\s+/g, ' ')}`);
+  paragraphs.push(trailers.join('\n'));
+
+  return paragraphs;
+}
+
+/**
+ * Commit everything that changed in a project, creating its repository if needed
+ * @param {string} projectDir - Project directory
+ * @param {Object} entry - Commit details, see buildCommitMessage
+ * @returns {Promise<string|null>} - Hash of the new commit, or null if nothing changed
+ */
+async function commitProjectChanges(projectDir, entry) {
+  await initProjectHistory(projectDir);
+  await runGit(projectDir, ['add', '--all']);
+
+  const status = await runGit(projectDir, ['status', '--porcelain']);
+  if (!status.trim()) {
+    return null;
+  }
+
+  const messageArgs = [];
+  buildCommitMessage(entry).forEach(paragraph => messageArgs.push('-m', paragraph));
+  await runGit(projectDir, ['commit', '--quiet', '--no-verify', ...messageArgs]);
+
+  return (await runGit(projectDir, ['rev-parse', 'HEAD'])).trim();
+}
+
+/**
+ * Split a raw commit message into its summary, body and trailers
+ * @param {string} message - Full commit message
+ * @returns {Object} - { message, body, stage, provider, jobId, restoredFrom }
+ */
+function parseCommitMessage(message) {
+  const paragraphs = message.trim().split(/\n\s*\n/);
+  const parsed = { message: paragraphs.shift() || '' };
+
+  const lastParagraph = paragraphs[paragraphs.length - 1] || '';
+  const trailerLines = lastParagraph.split('\n');
+  if (trailerLines.every(line => TRAILER_PATTERN.test(line))) {
+    paragraphs.pop();
+    trailerLines.forEach(line => {
+      const [, name, value] = line.match(TRAILER_PATTERN);
+      if (TRAILER_FIELDS[name]) {
+        parsed[TRAILER_FIELDS[name]] = value;
+      }
+    });
+  }
+
+  parsed.body = paragraphs.join('\n\n').replace(/^ Gavin-/gm, 'Gavin-') || null;
+  return parsed;
+}
+
+/**
+ * List a project's commits, newest first
+ * @param {string} projectDir - Project directory
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Only the newest N commits
+ * @returns {Promise<Array<Object>>} - { commit, shortCommit, created, message, body, stage, provider, jobId, filesChanged }
+ */
+async function getProjectHistory(projectDir, options = {}) {
+  if (!hasProjectHistory(projectDir)) {
+    return [];
+  }
+
+  const args = ['log', '--format=%x1e%H%x1f%h%x1f%aI%x1f%B%x1f', '--name-only'];
+  if (options.limit > 0) {
+    args.push(`--max-count=${options.limit}`);
+  }
+
+  let output;
+  try {
+    output = await runGit(projectDir, args);
+  } catch (err) {
+    // A repository without commits has no log
+    return [];
+  }
+
+  return output.split('\x1e').filter(record => record.trim()).map(record => {
+    const [commit, shortCommit, created, message, files] = record.split('\x1f');
+    return {
+      commit,
+      shortCommit,
+      created,
+      ...parseCommitMessage(message),
+      filesChanged: files.split('\n').filter(Boolean).length
+    };
+  });
+}
+
+/**
+ * Resolve a revision given by a client to a commit hash
+ * @param {string} projectDir - Project directory
+ * @param {string} revision - Commit hash (full or abbreviated) or HEAD, optionally with ~N / ^N
+ * @returns {Promise<string>} - Full commit hash
+ * @throws {Error} - With `code` 'INVALID_REVISION' if the revision isn't a commit of the project
+ */
+async function resolveRevision(projectDir, revision) {
+  if (typeof revision !== 'string' || !REVISION_PATTERN.test(revision)) {
+    const error = new Error(`Invalid revision: ${revision}`);
+    error.code = 'INVALID_REVISION';
+    throw error;
+  }
+
+  try {
+    return (await runGit(projectDir, ['rev-parse', '--verify', '--quiet', `${revision}^{commit}`])).trim();
+  } catch (err) {
+    const error = new Error(`Unknown revision: ${revision}`);
+    error.code = 'INVALID_REVISION';
+    throw error;
+  }
+}
+
+/**
+ * Compare two revisions of a project
+ *
+ * Without `from`, the revision is compared with its parent (or with an empty project for
+ * the first commit).
+ * @param {string} projectDir - Project directory
+ * @param {string} [from] - Older revision
+ * @param {string} [to] - Newer revision (default HEAD)
+ * @returns {Promise<Object>} - { from, to, files: [{ path, status }], diff }
+ */
+async function diffProjectRevisions(projectDir, from, to = 'HEAD') {
+  const toCommit = await resolveRevision(projectDir, to);
+
+  let fromCommit;
+  if (from) {
+    fromCommit = await resolveRevision(projectDir, from);
+  } else {
+    try {
+      fromCommit = await resolveRevision(projectDir, `${toCommit}^`);
+    } catch (err) {
+      fromCommit = EMPTY_TREE;
+    }
+  }
+
+  const nameStatus = await runGit(projectDir, ['diff', '--name-status', '--no-renames', fromCommit, toCommit]);
+  const diff = await runGit(projectDir, ['diff', '--no-renames', '--no-color', fromCommit, toCommit]);
+
+  const files = nameStatus.split('\n').filter(Boolean).map(line => {
+    const [status, filePath] = line.split('\t');
+    return { path: filePath, status };
+  });
+
+  return {
+    from: fromCommit === EMPTY_TREE ? null : fromCommit,
+    to: toCommit,
+    files,
+    diff
+  };
+}
+
+/**
+ * Put a project's files back the way they were at an earlier commit
+ *
+ * Uncommitted changes are committed first so they stay in the history, then the files are
+ * replaced with the commit's tree (files added since are removed) and the result is
+ * committed. Ignored files such as node_modules are left alone.
+ * @param {string} projectDir - Project directory
+ * @param {string} revision - Commit to restore
+ * @param {Object} [entry] - Extra commit details (jobId, ...)
+ * @returns {Promise<Object>} - { restoredFrom, commit } (commit is null if nothing changed)
+ */
+async function restoreProjectRevision(projectDir, revision, entry = {}) {
+  const target = await resolveRevision(projectDir, revision);
+
+  await commitProjectChanges(projectDir, {
+    ...entry,
+    summary: 'Save changes before restore',
+    stage: 'edit'
+  });
+
+  await runGit(projectDir, ['read-tree', '--reset', '-u', target]);
+
+  const commit = await commitProjectChanges(projectDir, {
+    ...entry,
+    summary: `Restore ${target.slice(0, 7)}`,
+    stage: 'restore',
+    restoredFrom: target
+  });
+
+  return { restoredFrom: target, commit };
+}
+
+module.exports = {
+  hasProjectHistory,
+  initProjectHistory,
+  commitProjectChanges,
+  getProjectHistory,
+  diffProjectRevisions,
+  restoreProjectRevision
+};
@@ -0,0 +1,274 @@
+/**
+ * lib/project-import.js - Use an existing project as the starting point for generation
+ *
+ * A base project can be an uploaded ZIP archive or a local git repository. Either way it is
+ * copied into the job's output directory, and a summary of its file tree and key files is
+ * built so the model can extend it instead of starting from a fresh scaffold.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const AdmZip = require('adm-zip');
+const { normalizeProjectPath } = require('./write-policy');
+const { detectScaffolder } = require('./scaffolders');
+
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024; // Uncompressed size limit for uploaded archives
+const SKIPPED_DIRS = ['node_modules', '.git', '.vercel', '.next', 'dist', 'build', '.svelte-kit', '.astro', 'coverage'];
+const MAX_TREE_ENTRIES = 400;
+const MAX_KEY_FILE_CHARS = 8000;
+const MAX_SUMMARY_CHARS = 60000;
+
+// Files that tell the model the most about a project, in order of importance
+const KEY_FILE_PATTERNS = [
+  /^package\.json$/,
+  /^README(\.md)?$/i,
+  /^tsconfig\.json$/,
+  /^(vite|next|svelte|astro|nuxt|tailwind|postcss)\.config\.(js|cjs|mjs|ts)$/,
+  /^index\.html$/,
+  /^src\/(main|index|App)\.(js|jsx|ts|tsx|vue|svelte)$/,
+  /^src\/app\/(layout|page)\.(js|jsx|ts|tsx)$/,
+  /^app\/(layout|page)\.(js|jsx|ts|tsx)$/,
+  /^pages\/(index|_app)\.(js|jsx|ts|tsx)$/,
+  /^src\/routes\/\+page\.svelte$/,
+  /^src\/pages\/index\.astro$/,
+  /^(server|app|index)\.(js|ts)$/
+];
+
+/**
+ * Check whether a path lies inside one of the allowed roots
+ * @param {string} target - Absolute path
+ * @param {Array<string>} allowedRoots - Absolute root directories
+ * @returns {boolean}
+ */
+function isInsideAllowedRoot(target, allowedRoots) {
+  return allowedRoots.some(root => {
+    const resolvedRoot = fs.existsSync(root) ? fs.realpathSync(root) : path.resolve(root);
+    return target === resolvedRoot || target.startsWith(resolvedRoot + path.sep);
+  });
+}
+
+/**
+ * Extract an uploaded ZIP archive into a project directory
+ *
+ * Entry paths are normalized like model-generated paths, so an archive can't write outside
+ * the project. If every entry sits under one top-level directory (as in GitHub downloads),
+ * that directory is stripped.
+ * @param {Buffer} buffer - ZIP archive contents
+ * @param {string} projectDir - Directory to extract into
+ * @returns {number} - Number of files extracted
+ */
+function importZipProject(buffer, projectDir) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw new Error(`Base project is not a valid ZIP archive: ${err.message}`);
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_IMPORT_BYTES) {
+    throw new Error(`Base project is ${totalSize} bytes uncompressed, over the ${MAX_IMPORT_BYTES} byte limit`);
+  }
+
+  const names = entries.map(entry => {
+    const normalized = normalizeProjectPath(entry.entryName);
+    if (normalized.reason) {
+      throw new Error(`Base project contains an unsafe path (${entry.entryName}): ${normalized.reason}`);
+    }
+    return normalized.path;
+  });
+
+  const firstSegments = new Set(names.map(name => name.split('/')[0]));
+  const stripPrefix = firstSegments.size === 1 && names.every(name => name.includes('/'))
+    ? `${[...firstSegments][0]}/`
+    : '';
+
+  let count = 0;
+  let writtenBytes = 0;
+
+  entries.forEach((entry, index) => {
+    const relativePath = names[index].slice(stripPrefix.length);
+    if (relativePath.split('/').some(segment => SKIPPED_DIRS.includes(segment))) {
+      return;
+    }
+
+    // Headers can understate sizes, so count what is actually extracted too
+    const data = entry.getData();
+    writtenBytes += data.length;
+    if (writtenBytes > MAX_IMPORT_BYTES) {
+      throw new Error(`Base project is over the ${MAX_IMPORT_BYTES} byte limit uncompressed`);
+    }
+
+    const filePath = path.join(projectDir, ...relativePath.split('/'));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+    count++;
+  });
+
+  if (count === 0) {
+    throw new Error('Base project archive contains no files');
+  }
+
+  return count;
+}
+
+/**
+ * Clone a local git repository into a project directory
+ *
+ * Only repositories under one of the allowed roots can be imported. The clone's own history
+ * is removed so the project starts clean.
+ * @param {string} sourcePath - Path to the local repository
+ * @param {string} projectDir - Empty directory to clone into
+ * @param {Object} options
+ * @param {Array<string>} options.allowedRoots - Directories local imports may come from
+ * @param {string} [options.ref] - Branch or tag to check out
+ * @returns {Promise<string>} - Resolved repository path
+ */
+function importGitProject(sourcePath, projectDir, options) {
+  return new Promise((resolve, reject) => {
+    if (!options.allowedRoots || options.allowedRoots.length === 0) {
+      reject(new Error('Importing local git projects is disabled. Set IMPORT_ALLOWED_ROOTS to enable it.'));
+      return;
+    }
+
+    const absolutePath = path.resolve(sourcePath);
+    if (!fs.existsSync(absolutePath)) {
+      reject(new Error(`Base project path does not exist: ${sourcePath}`));
+      return;
+    }
+
+    const resolvedPath = fs.realpathSync(absolutePath);
+    if (!isInsideAllowedRoot(resolvedPath, options.allowedRoots)) {
+      reject(new Error(`Base project path is not inside an allowed import root: ${sourcePath}`));
+      return;
+    }
+
+    const args = ['clone', '--depth', '1'];
+    if (options.ref) {
+      args.push('--branch', options.ref);
+    }
+    // "--" keeps a path starting with a dash from being read as an option
+    args.push('--', `file://${resolvedPath}`, '.');
+
+    execFile('git', args, { cwd: projectDir }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git clone failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+
+      fs.rmSync(path.join(projectDir, '.git'), { recursive: true, force: true });
+      resolve(resolvedPath);
+    });
+  });
+}
+
+/**
+ * List the files in an imported project, skipping dependencies and build output
+ * @param {string} dir - Directory to scan
+ * @param {string} baseDir - Project root
+ * @returns {Array<string>} - Relative paths using forward slashes
+ */
+function listProjectFiles(dir, baseDir = dir) {
+  let results = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.includes(entry.name)) {
+        results = results.concat(listProjectFiles(fullPath, baseDir));
+      }
+    } else if (entry.isFile()) {
+      results.push(path.relative(baseDir, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Summarize a project's file tree and key files for a prompt
+ * @param {string} projectDir - Path to the project directory
+ * @returns {string} - Summary text
+ */
+function summarizeProject(projectDir) {
+  const files = listProjectFiles(projectDir).sort();
+
+  const tree = files.slice(0, MAX_TREE_ENTRIES).map(file => `- ${file}`);
+  if (files.length > MAX_TREE_ENTRIES) {
+    tree.push(`- ... and ${files.length - MAX_TREE_ENTRIES} more files`);
+  }
+
+  let summary = `Existing project file tree (${files.length} files):\n${tree.join('\n')}\n\nKey files:\n`;
+  let remaining = MAX_SUMMARY_CHARS;
+
+  for (const pattern of KEY_FILE_PATTERNS) {
+    for (const file of files.filter(candidate => pattern.test(candidate))) {
+      let content = fs.readFileSync(path.join(projectDir, file), 'utf8');
+      if (content.length > MAX_KEY_FILE_CHARS) {
+        content = `${content.slice(0, MAX_KEY_FILE_CHARS)}\n... (truncated)`;
+      }
+      if (content.length > remaining) {
+        continue;
+      }
+      remaining -= content.length;
+
+      const lang = path.extname(file).slice(1) || 'txt';
+      summary += `\n\`\`\`${lang}\n// filename: ${file}\n${content}\n\`\`\`\n`;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Work out the project type of an imported project from its files and package.json
+ * @param {string} projectDir - Path to the project directory
+ * @returns {Object} - Project info
+ */
+function detectImportedProjectInfo(projectDir) {
+  const projectInfo = {
+    framework: 'react',
+    language: 'javascript',
+    cssFramework: null,
+    features: []
+  };
+
+  // Detection only needs file names, plus the content of package.json
+  const files = {};
+  listProjectFiles(projectDir).forEach(file => {
+    files[file] = '';
+  });
+
+  let dependencies = {};
+  if (files['package.json'] !== undefined) {
+    files['package.json'] = fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8');
+    try {
+      const packageJson = JSON.parse(files['package.json']);
+      dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    } catch (err) {
+      // Invalid package.json: keep the defaults
+    }
+  }
+
+  if (dependencies.typescript || files['tsconfig.json'] !== undefined) {
+    projectInfo.language = 'typescript';
+  }
+
+  if (dependencies.tailwindcss) {
+    projectInfo.cssFramework = 'tailwind';
+  }
+
+  projectInfo.framework = detectScaffolder('', files).name;
+
+  return projectInfo;
+}
+
+module.exports = {
+  importZipProject,
+  importGitProject,
+  summarizeProject,
+  detectImportedProjectInfo
+};
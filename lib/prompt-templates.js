@@ -0,0 +1,104 @@
+/**
+ * lib/prompt-templates.js - Named prompt templates for generating new projects
+ *
+ * Templates are markdown files in a config directory (`config/prompts/<name>.md`). A file
+ * may start with front matter holding a `description`. `{{name}}` placeholders in the body
+ * are filled in from the request, e.g. `{{prompt}}`, `{{framework}}`, `{{language}}`,
+ * `{{css}}`, `{{requirements}}` and `{{conventions}}`. Templates are read on every request,
+ * so they can be edited without restarting the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_EXTENSION = '.md';
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Split a template file into its front matter and body
+ * @param {string} text - File content
+ * @returns {Object} - { attributes: { [key]: value }, body }
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      attributes[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Read a prompt template
+ * @param {string} dir - Directory holding the templates
+ * @param {string} name - Template name (file name without .md)
+ * @returns {Object|null} - { name, description, variables, body }, or null if there is no such template
+ */
+function getPromptTemplate(dir, name) {
+  if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+    return null;
+  }
+
+  const filePath = path.join(dir, `${name}${TEMPLATE_EXTENSION}`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const { attributes, body } = parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+  const variables = Array.from(new Set(Array.from(body.matchAll(/\{\{(\w+)\}\}/g), match => match[1])));
+
+  return {
+    name,
+    description: attributes.description || null,
+    variables,
+    body
+  };
+}
+
+/**
+ * List the prompt templates in a directory
+ * @param {string} dir - Directory holding the templates
+ * @returns {Array<Object>} - Templates, sorted by name
+ */
+function listPromptTemplates(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+    .map(file => getPromptTemplate(dir, path.basename(file, TEMPLATE_EXTENSION)))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Fill in a template's placeholders
+ *
+ * Unknown placeholders are left as they are. Placeholders that are empty can leave blank
+ * lines behind, so runs of blank lines are collapsed into one.
+ * @param {Object} template - Template from getPromptTemplate
+ * @param {Object} variables - Placeholder values
+ * @returns {string} - Prompt text
+ */
+function renderPromptTemplate(template, variables) {
+  const text = template.body.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  ));
+
+  return `\n${text.replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+module.exports = {
+  getPromptTemplate,
+  listPromptTemplates,
+  renderPromptTemplate
+};
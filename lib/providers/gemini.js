@@ -0,0 +1,65 @@
+/**
+ * lib/providers/gemini.js - Google Gemini provider
+ *
+ * Gemini calls are stateless, so follow-up prompts must carry the project context themselves.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+let genAI = null;
+
+/**
+ * Check whether the provider has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.GOOGLE_API_KEY);
+}
+
+/**
+ * Send a prompt to Gemini
+ * @param {string} prompt - Prompt text
+ * @param {Object} [context] - Generation context
+ * @param {AbortSignal} [context.signal] - Cancels the request
+ * @param {Function} [context.onText] - Streams the answer; called with each piece of text as it arrives
+ * @returns {Promise<Object>} - { text, model, usage }
+ */
+async function generate(prompt, context = {}) {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+  }
+
+  const modelName = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+  const model = genAI.getGenerativeModel({ model: modelName });
+
+  let response;
+  if (context.onText) {
+    const result = await model.generateContentStream(prompt, { signal: context.signal });
+    for await (const chunk of result.stream) {
+      context.onText(chunk.text());
+    }
+    // Resolves to the whole answer, with usage, once the stream has ended
+    response = await result.response;
+  } else {
+    const result = await model.generateContent(prompt, { signal: context.signal });
+    response = await result.response;
+  }
+
+  const usage = response.usageMetadata && {
+    promptTokens: response.usageMetadata.promptTokenCount || 0,
+    completionTokens: response.usageMetadata.candidatesTokenCount || 0,
+    totalTokens: response.usageMetadata.totalTokenCount || 0
+  };
+
+  return { text: response.text(), model: modelName, usage };
+}
+
+module.exports = {
+  name: 'gemini',
+  displayName: 'Google API',
+  stateful: false,
+  isConfigured,
+  generate
+};
@@ -0,0 +1,69 @@
+/**
+ * lib/providers/index.js - Registry of LLM providers
+ *
+ * Every provider is a plain object with the same contract:
+ *
+ * - `name` - identifier used as `apiProvider` in requests
+ * - `displayName` - human readable name used in error messages
+ * - `stateful` - true if the provider keeps conversation state between calls
+ * - `supportsTools` - true if the provider can let the model call `context.tools`
+ * - `isConfigured()` - whether the environment has what the provider needs
+ * - `generate(prompt, context)` - resolves to `{ text, conversation?, model?, usage? }`
+ *
+ * `context.conversation` is the state returned by a previous call to the same provider,
+ * `context.kind` says what the prompt is for ('generate', 'refine' or 'fix'), and
+ * `context.signal` is an AbortSignal that fires when the job is cancelled or times out.
+ * Providers should pass it on to their requests and stop work when it aborts.
+ *
+ * When `context.onText` is set the caller wants the answer streamed: providers that can stream
+ * call it with each piece of text as it arrives, and still resolve to the whole `text`.
+ * Providers that can't stream simply ignore it.
+ *
+ * `context.tools` (only passed to providers with `supportsTools`) offers function tools for
+ * working on the project: `definitions` are OpenAI-style function definitions, and
+ * `execute(name, args)` runs a call and resolves to the text output to send back.
+ *
+ * `usage` reports the tokens the call used as `{ promptTokens, completionTokens, totalTokens }`,
+ * and `model` names the model that answered, so the call can be priced.
+ */
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry, replacing any provider with the same name
+ * @param {Object} provider - Provider implementing the contract above
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('A provider needs a name and a generate(prompt, context) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} - The provider, if registered
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * List all registered providers
+ * @returns {Array<Object>} - Registered providers
+ */
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+registerProvider(require('./openai-assistant'));
+registerProvider(require('./gemini'));
+registerProvider(require('./openai-compatible'));
+registerProvider(require('./mock'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,119 @@
+/**
+ * lib/providers/mock.js - Deterministic provider backed by fixture files
+ *
+ * Returns canned responses from markdown fixtures so the whole pipeline can run offline
+ * and in tests. Fixtures live in one directory per kind of prompt (`generate`, `refine`,
+ * `fix`); kinds without their own directory fall back to `generate`. The fixture is picked
+ * from a hash of the prompt, or explicitly with a `[fixture:<name>]` tag in the prompt.
+ * `MOCK_DELAY_MS` makes every answer take that long, to imitate a slow model; when streaming,
+ * the delay is spread over the chunks. Token usage is estimated at four characters per token.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'mock');
+const STREAM_CHUNKS = 20; // Pieces a streamed answer is split into
+
+/**
+ * Get the fixtures directory
+ * @returns {string} - Absolute path
+ */
+function getFixturesDir() {
+  return process.env.MOCK_FIXTURES_DIR
+    ? path.resolve(process.env.MOCK_FIXTURES_DIR)
+    : DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Check whether the provider has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return process.env.ENABLE_MOCK_PROVIDER === 'true' && fs.existsSync(path.join(getFixturesDir(), 'generate'));
+}
+
+/**
+ * List the fixture files available for a kind of prompt
+ * @param {string} kind - 'generate', 'refine' or 'fix'
+ * @returns {Array<string>} - Absolute fixture paths, sorted by name
+ */
+function listFixtures(kind) {
+  for (const dirName of [kind, 'generate']) {
+    const dir = path.join(getFixturesDir(), dirName);
+    if (fs.existsSync(dir)) {
+      const fixtures = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.md'))
+        .sort()
+        .map(file => path.join(dir, file));
+
+      if (fixtures.length > 0) {
+        return fixtures;
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Return the fixture response for a prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object} context - Generation context
+ * @param {string} [context.kind] - Kind of prompt ('generate', 'refine' or 'fix')
+ * @param {AbortSignal} [context.signal] - Cuts the simulated delay short
+ * @param {Function} [context.onText] - Streams the answer; called with each piece of text
+ * @returns {Promise<Object>} - { text, model, usage }
+ */
+async function generate(prompt, context = {}) {
+  const fixtures = listFixtures(context.kind || 'generate');
+
+  if (fixtures.length === 0) {
+    throw new Error(`No mock fixtures found in ${getFixturesDir()}`);
+  }
+
+  let fixture;
+  const tagMatch = prompt.match(/\[fixture:([a-zA-Z0-9_\-]+)\]/);
+  if (tagMatch) {
+    fixture = fixtures.find(file => path.basename(file, '.md') === tagMatch[1]);
+    if (!fixture) {
+      throw new Error(`Mock fixture not found: ${tagMatch[1]}`);
+    }
+  } else {
+    const hash = crypto.createHash('sha256').update(prompt).digest();
+    fixture = fixtures[hash.readUInt32BE(0) % fixtures.length];
+  }
+
+  const delay = parseInt(process.env.MOCK_DELAY_MS || '0', 10);
+  const text = fs.readFileSync(fixture, 'utf8');
+
+  if (context.onText) {
+    const chunkLength = Math.ceil(text.length / STREAM_CHUNKS);
+    for (let start = 0; start < text.length; start += chunkLength) {
+      if (delay > 0) {
+        await sleep(delay / STREAM_CHUNKS, undefined, { signal: context.signal });
+      }
+      context.onText(text.slice(start, start + chunkLength));
+    }
+  } else if (delay > 0) {
+    await sleep(delay, undefined, { signal: context.signal });
+  }
+
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const completionTokens = Math.ceil(text.length / 4);
+
+  return {
+    text,
+    model: 'mock',
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  displayName: 'Mock provider',
+  stateful: false,
+  isConfigured,
+  generate
+};
@@ -0,0 +1,306 @@
+/**
+ * lib/providers/openai-assistant.js - OpenAI Assistants API provider
+ *
+ * Runs prompts on an Assistant created in the OpenAI platform. The thread is returned as
+ * conversation state so follow-up prompts continue the same conversation. When the caller
+ * passes function tools, they are added to the Assistant's own tools for the Run, and every
+ * tool call the Run asks for is executed and its output submitted until the Run finishes.
+ */
+
+const { OpenAI } = require('openai');
+const { setTimeout: sleep } = require('timers/promises');
+
+const POLLING_INTERVAL_MS = 2000; // 2 seconds
+const MAX_POLLING_ATTEMPTS = 300; // 10 minutes (300 attempts * 2 seconds), if the caller sets no time limit
+
+let client = null;
+
+/**
+ * Get the shared OpenAI client, creating it on first use
+ * @returns {OpenAI} - OpenAI client
+ */
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return client;
+}
+
+/**
+ * Check whether the provider has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.OPENAI_API_KEY && process.env.ASSISTANT_ID);
+}
+
+/**
+ * Get the tools for a Run: the Assistant's own tools plus the caller's function tools
+ * @param {Object} tools - Tool runner ({ definitions })
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Array<Object>>} - Tool definitions; the caller's replace same-named functions
+ */
+async function getRunTools(tools, signal) {
+  const assistant = await getClient().beta.assistants.retrieve(process.env.ASSISTANT_ID, { signal });
+  const names = tools.definitions.map(tool => tool.function.name);
+  const ownTools = (assistant.tools || []).filter(tool => !(tool.type === 'function' && names.includes(tool.function.name)));
+
+  return ownTools.concat(tools.definitions);
+}
+
+/**
+ * Execute the tool calls a Run is waiting for
+ * @param {Object} run - Run with status requires_action
+ * @param {Object} tools - Tool runner ({ execute(name, args) })
+ * @returns {Promise<Array<Object>>} - Tool outputs to submit ({ tool_call_id, output })
+ */
+async function runToolCalls(run, tools) {
+  const outputs = [];
+
+  for (const call of run.required_action.submit_tool_outputs.tool_calls) {
+    let args;
+    try {
+      args = JSON.parse(call.function.arguments || '{}');
+    } catch (err) {
+      outputs.push({ tool_call_id: call.id, output: `Error: Arguments for ${call.function.name} are not valid JSON` });
+      continue;
+    }
+    outputs.push({ tool_call_id: call.id, output: await tools.execute(call.function.name, args) });
+  }
+
+  return outputs;
+}
+
+/**
+ * Check whether a Run is waiting for tool outputs that can be provided
+ * @param {Object} run - Run object
+ * @param {Object} [tools] - Tool runner, if the caller passed one
+ * @returns {boolean}
+ */
+function canSubmitToolOutputs(run, tools) {
+  return Boolean(tools && run.status === 'requires_action' &&
+    run.required_action && run.required_action.type === 'submit_tool_outputs');
+}
+
+/**
+ * Polls for a Run's status until it reaches a terminal state or exceeds max attempts
+ *
+ * If the signal aborts first, the Run is cancelled so it stops using tokens.
+ * @param {string} threadId - Thread ID
+ * @param {string} runId - Run ID
+ * @param {AbortSignal} [signal] - Aborts polling
+ * @param {Object} [tools] - Tool runner that executes the Run's tool calls
+ * @returns {Object} The final Run object
+ */
+async function pollForRunCompletion(threadId, runId, signal, tools) {
+  const openai = getClient();
+  let attempts = 0;
+
+  try {
+    while (attempts < MAX_POLLING_ATTEMPTS) {
+      attempts++;
+
+      const run = await openai.beta.threads.runs.retrieve(threadId, runId, { signal });
+
+      // Check if the Run reached a terminal state
+      if (['completed', 'failed', 'cancelled', 'expired'].includes(run.status)) {
+        return run;
+      }
+
+      // The Run is waiting for the outputs of the tools it called
+      if (canSubmitToolOutputs(run, tools)) {
+        const toolOutputs = await runToolCalls(run, tools);
+        await openai.beta.threads.runs.submitToolOutputs(threadId, runId, { tool_outputs: toolOutputs }, { signal });
+        continue;
+      }
+
+      if (run.status === 'requires_action') {
+        console.error('Run requires an action that is not supported');
+        await cancelRun(threadId, runId);
+        run.status = 'failed';
+        return run;
+      }
+
+      // Wait before checking again
+      await sleep(POLLING_INTERVAL_MS, undefined, { signal });
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      await cancelRun(threadId, runId);
+    }
+    throw error;
+  }
+
+  // If we reach here, the Run timed out
+  await cancelRun(threadId, runId);
+  throw new Error('Run polling timed out after maximum attempts');
+}
+
+/**
+ * Cancel a Run, ignoring errors (the Run may already have finished)
+ * @param {string} threadId - Thread ID
+ * @param {string} runId - Run ID
+ */
+async function cancelRun(threadId, runId) {
+  try {
+    await getClient().beta.threads.runs.cancel(threadId, runId);
+    console.log(`Cancelled Assistant Run ${runId}`);
+  } catch (err) {
+    console.warn(`Could not cancel Assistant Run ${runId}: ${err.message}`);
+  }
+}
+
+/**
+ * Run the Assistant on a thread with streaming, passing on text as it is written
+ *
+ * If the signal aborts first, the Run is cancelled so it stops using tokens. Tool outputs
+ * are submitted on a new stream that continues the same Run. A Run that calls tools writes
+ * several messages; a newline is passed on between them, as getRunAssistantText joins them.
+ * @param {string} threadId - Thread ID
+ * @param {Object} body - Run parameters ({ assistant_id, tools? })
+ * @param {Function} onText - Called with each piece of message text
+ * @param {AbortSignal} [signal] - Aborts the stream
+ * @param {Object} [tools] - Tool runner that executes the Run's tool calls
+ * @returns {Promise<Object>} - The final Run object
+ */
+async function streamRun(threadId, body, onText, signal, tools) {
+  const runs = getClient().beta.threads.runs;
+  let stream = runs.stream(threadId, body, { signal });
+  let wroteText = false;
+
+  try {
+    for (;;) {
+      stream.on('messageCreated', () => {
+        if (wroteText) {
+          onText('\n');
+        }
+      });
+      stream.on('textDelta', delta => {
+        if (delta.value) {
+          wroteText = true;
+          onText(delta.value);
+        }
+      });
+
+      const run = await stream.finalRun();
+
+      if (canSubmitToolOutputs(run, tools)) {
+        const toolOutputs = await runToolCalls(run, tools);
+        stream = runs.submitToolOutputsStream(threadId, run.id, { tool_outputs: toolOutputs }, { signal });
+        continue;
+      }
+
+      if (run.status === 'requires_action') {
+        console.error('Run requires an action that is not supported');
+        await cancelRun(threadId, run.id);
+        run.status = 'failed';
+      }
+      return run;
+    }
+  } catch (error) {
+    const run = stream.currentRun();
+    if (signal && signal.aborted && run) {
+      await cancelRun(threadId, run.id);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the text of every assistant message a Run wrote
+ *
+ * A Run that calls tools writes a message before each call and another after it, and files
+ * may be in any of them, so all of them are joined in order. The newline keeps a closing
+ * fence at the end of one message on a line of its own.
+ * @param {string} threadId - Thread ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<string>} - Message text
+ */
+async function getRunAssistantText(threadId, runId) {
+  const texts = [];
+
+  // Oldest first; iterating the list fetches every page
+  for await (const message of getClient().beta.threads.messages.list(threadId, { run_id: runId, order: 'asc' })) {
+    if (message.role !== 'assistant') {
+      continue;
+    }
+    texts.push(message.content
+      .filter(contentPart => contentPart.type === 'text')
+      .map(contentPart => contentPart.text.value)
+      .join(''));
+  }
+
+  if (texts.length === 0) {
+    throw new Error('No assistant message found in thread');
+  }
+
+  return texts.join('\n');
+}
+
+/**
+ * Post a prompt to a thread and run the Assistant on it
+ * @param {string} prompt - Prompt text
+ * @param {Object} context - Generation context
+ * @param {Object} [context.conversation] - Conversation state from an earlier call ({ threadId })
+ * @param {AbortSignal} [context.signal] - Cancels the request and the Run
+ * @param {Function} [context.onText] - Streams the Run; called with each piece of text as it arrives
+ * @param {Object} [context.tools] - Function tools the Run may call ({ definitions, execute(name, args) })
+ * @returns {Promise<Object>} - { text, conversation, model, usage }
+ */
+async function generate(prompt, context = {}) {
+  const openai = getClient();
+  const { signal, tools } = context;
+
+  let threadId = context.conversation && context.conversation.threadId;
+  if (!threadId) {
+    const thread = await openai.beta.threads.create({}, { signal });
+    threadId = thread.id;
+  }
+
+  await openai.beta.threads.messages.create(threadId, {
+    role: 'user',
+    content: prompt
+  }, { signal });
+
+  const body = { assistant_id: process.env.ASSISTANT_ID };
+  if (tools) {
+    body.tools = await getRunTools(tools, signal);
+  }
+
+  let completedRun;
+  if (context.onText) {
+    completedRun = await streamRun(threadId, body, context.onText, signal, tools);
+  } else {
+    const run = await openai.beta.threads.runs.create(threadId, body, { signal });
+    completedRun = await pollForRunCompletion(threadId, run.id, signal, tools);
+  }
+
+  if (completedRun.status !== 'completed') {
+    throw new Error(`Assistant Run failed: ${completedRun.status}`);
+  }
+
+  // The finished Run reports the tokens used by all of its steps
+  const usage = completedRun.usage && {
+    promptTokens: completedRun.usage.prompt_tokens,
+    completionTokens: completedRun.usage.completion_tokens,
+    totalTokens: completedRun.usage.total_tokens
+  };
+
+  return {
+    text: await getRunAssistantText(threadId, completedRun.id),
+    conversation: { threadId },
+    model: completedRun.model,
+    usage
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  displayName: 'OpenAI',
+  stateful: true,
+  supportsTools: true,
+  isConfigured,
+  generate
+};
@@ -0,0 +1,116 @@
+/**
+ * lib/providers/openai-compatible.js - Provider for any OpenAI-compatible chat completions endpoint
+ *
+ * Works with local servers such as llama.cpp (`llama-server`) or Ollama, as well as hosted
+ * services that implement the `/chat/completions` API. Calls are stateless.
+ */
+
+const { OpenAI } = require('openai');
+
+let client = null;
+
+/**
+ * Check whether the provider has the configuration it needs
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.OPENAI_COMPATIBLE_BASE_URL && process.env.OPENAI_COMPATIBLE_MODEL);
+}
+
+/**
+ * Stream a chat completion, passing on text as it arrives
+ * @param {Object} request - Chat completion request
+ * @param {Function} onText - Called with each piece of text
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object>} - Completion assembled from the chunks, shaped like a non-streamed one
+ */
+async function streamCompletion(request, onText, signal) {
+  const stream = await client.chat.completions.create({
+    ...request,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let content = '';
+  let model = null;
+  let usage = null;
+  let sawChoice = false;
+
+  for await (const chunk of stream) {
+    model = chunk.model || model;
+    // With include_usage the last chunk carries the usage and no choices
+    usage = chunk.usage || usage;
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (choice) {
+      sawChoice = true;
+      const delta = choice.delta && choice.delta.content;
+      if (delta) {
+        content += delta;
+        onText(delta);
+      }
+    }
+  }
+
+  return {
+    model,
+    usage,
+    choices: sawChoice ? [{ message: { role: 'assistant', content } }] : []
+  };
+}
+
+/**
+ * Send a prompt to the chat completions endpoint
+ * @param {string} prompt - Prompt text
+ * @param {Object} [context] - Generation context
+ * @param {AbortSignal} [context.signal] - Cancels the request
+ * @param {Function} [context.onText] - Streams the answer; called with each piece of text as it arrives
+ * @returns {Promise<Object>} - { text, model, usage }
+ */
+async function generate(prompt, context = {}) {
+  if (!client) {
+    client = new OpenAI({
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'
+    });
+  }
+
+  const request = {
+    model: process.env.OPENAI_COMPATIBLE_MODEL,
+    messages: [
+      { role: 'system', content: 'You are an expert web developer who generates complete project code files.' },
+      { role: 'user', content: prompt }
+    ]
+  };
+
+  const completion = context.onText
+    ? await streamCompletion(request, context.onText, context.signal)
+    : await client.chat.completions.create(request, { signal: context.signal });
+
+  const choice = completion.choices && completion.choices[0];
+  if (!choice || !choice.message) {
+    throw new Error('Chat completion returned no message');
+  }
+
+  // Not every server reports usage
+  const usage = completion.usage && {
+    promptTokens: completion.usage.prompt_tokens || 0,
+    completionTokens: completion.usage.completion_tokens || 0,
+    totalTokens: completion.usage.total_tokens || 0
+  };
+
+  return {
+    text: choice.message.content || '',
+    model: completion.model || process.env.OPENAI_COMPATIBLE_MODEL,
+    usage
+  };
+}
+
+module.exports = {
+  name: 'openai-compatible',
+  displayName: 'OpenAI-compatible endpoint',
+  stateful: false,
+  isConfigured,
+  generate
+};
@@ -0,0 +1,118 @@
+/**
+ * lib/rate-limits.js - Per-key request rate limits and daily quotas
+ *
+ * Request rates are counted in memory over a one-minute sliding window. Daily quotas (how
+ * many projects a key may generate or deploy per UTC day) are saved to a JSON file so a
+ * restart doesn't reset them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+const requestTimes = new Map();
+let quotaUsage = null;
+
+/**
+ * Record a request and check it against a per-minute limit
+ * @param {string} keyId - ID of the API key making the request
+ * @param {number} limit - Requests allowed per minute (0 or less means unlimited)
+ * @returns {Object} - { allowed, remaining, retryAfterSeconds }
+ */
+function checkRateLimit(keyId, limit) {
+  if (!limit || limit <= 0) {
+    return { allowed: true, remaining: null, retryAfterSeconds: 0 };
+  }
+
+  const now = Date.now();
+  const times = (requestTimes.get(keyId) || []).filter(time => now - time < RATE_WINDOW_MS);
+
+  if (times.length >= limit) {
+    requestTimes.set(keyId, times);
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterSeconds: Math.ceil((times[0] + RATE_WINDOW_MS - now) / 1000)
+    };
+  }
+
+  times.push(now);
+  requestTimes.set(keyId, times);
+
+  return { allowed: true, remaining: limit - times.length, retryAfterSeconds: 0 };
+}
+
+/**
+ * Get today's date as used for quota periods
+ * @returns {string} - UTC date, YYYY-MM-DD
+ */
+function getQuotaDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Load quota usage, starting a new day if the saved usage is from an earlier one
+ * @param {string} storePath - Path to the JSON usage file
+ * @returns {Object} - { day, keys: { [keyId]: { generations, deploys } } }
+ */
+function loadQuotaUsage(storePath) {
+  const day = getQuotaDay();
+
+  if (!quotaUsage && fs.existsSync(storePath)) {
+    try {
+      quotaUsage = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    } catch (err) {
+      console.warn(`Ignoring unreadable quota usage file ${storePath}: ${err.message}`);
+    }
+  }
+
+  if (!quotaUsage || quotaUsage.day !== day) {
+    quotaUsage = { day, keys: {} };
+  }
+
+  return quotaUsage;
+}
+
+/**
+ * Get a key's usage for today
+ * @param {string} storePath - Path to the JSON usage file
+ * @param {string} keyId - API key ID
+ * @returns {Object} - { generations, deploys }
+ */
+function getQuotaUsage(storePath, keyId) {
+  const usage = loadQuotaUsage(storePath);
+  return { generations: 0, deploys: 0, ...usage.keys[keyId] };
+}
+
+/**
+ * Use one unit of a daily quota if any is left
+ * @param {string} storePath - Path to the JSON usage file
+ * @param {string} keyId - API key ID
+ * @param {string} kind - 'generations' or 'deploys'
+ * @param {number} limit - Allowed per day (0 or less means unlimited)
+ * @returns {Object} - { allowed, used, limit }
+ */
+function consumeQuota(storePath, keyId, kind, limit) {
+  const usage = loadQuotaUsage(storePath);
+  const keyUsage = { generations: 0, deploys: 0, ...usage.keys[keyId] };
+
+  if (limit > 0 && keyUsage[kind] >= limit) {
+    return { allowed: false, used: keyUsage[kind], limit };
+  }
+
+  keyUsage[kind]++;
+  usage.keys[keyId] = keyUsage;
+
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify(usage, null, 2) + '\n');
+
+  return { allowed: true, used: keyUsage[kind], limit };
+}
+
+module.exports = {
+  checkRateLimit,
+  getQuotaDay,
+  getQuotaUsage,
+  consumeQuota
+};
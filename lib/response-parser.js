@@ -0,0 +1,454 @@
+/**
+ * lib/response-parser.js - Extract code files from LLM responses
+ *
+ * Understands three ways of naming files:
+ * - Fenced code blocks (``` or ~~~) with a filename comment on the first line, a
+ *   `filename="..."` attribute in the info string, or a filename heading just above the fence
+ * - XML manifests made of `<file path="...">...</file>` blocks
+ * - JSON manifests of the form `{ "files": [{ "path": "...", "content": "..." }] }`
+ *
+ * Fences are matched line by line, so backticks inside template literals don't end a block,
+ * and fences nested inside a block (such as code samples in a README) are kept as content.
+ * Problems are reported as warnings instead of being dropped silently.
+ */
+
+const { detectScaffolder } = require('./scaffolders');
+
+// Fence line: indentation, fence characters and the info string
+const FENCE_REGEX = /^\s{0,3}(`{3,}|~{3,})(.*)$/;
+
+// Filename comment on the first line of a block, e.g. "// filename: src/App.jsx" or "<!-- file: index.html -->"
+const FILENAME_COMMENT_REGEX = /^\s*(?:\/\/|#|\/\*|<!--|--|;)\s*(?:filename|file|path)\s*:\s*([^\s*]+?)\s*(?:\*\/|-->)?\s*$/i;
+
+// Filename given in the info string, e.g. ```jsx filename="src/App.jsx" or ```jsx title=src/App.jsx
+const INFO_FILENAME_REGEX = /(?:filename|file|title|path)=["']?([^"'\s]+)["']?/i;
+
+// Filename heading just above a fence, e.g. "**src/App.jsx**", "### `src/App.jsx`" or "File: src/App.jsx"
+const HEADING_FILENAME_REGEX = /^\s*(?:#{1,6}\s*)?(?:\d+\.\s*)?(?:\*\*|__)?(?:(?:file(?:name)?|path)\s*:\s*)?(?:\*\*|__)?`?([A-Za-z0-9_@.\-\/\[\]()]+\.[A-Za-z0-9]+)`?(?:\*\*|__)?:?\s*$/i;
+
+// XML manifest tags
+const XML_FILE_OPEN_REGEX = /^\s*<file\s+(?:path|name|filename)=["']([^"']+)["'][^>]*>(.*)$/i;
+const XML_FILE_CLOSE_REGEX = /^(.*)<\/file>\s*$/i;
+
+/**
+ * Helper function to determine file extension from code language
+ * @param {string} language - Programming language identifier
+ * @returns {string} - File extension including the dot
+ */
+function getExtensionFromLanguage(language) {
+  const langMap = {
+    'javascript': '.js',
+    'js': '.js',
+    'typescript': '.ts',
+    'ts': '.ts',
+    'jsx': '.jsx',
+    'tsx': '.tsx',
+    'python': '.py',
+    'py': '.py',
+    'ruby': '.rb',
+    'java': '.java',
+    'c': '.c',
+    'cpp': '.cpp',
+    'csharp': '.cs',
+    'cs': '.cs',
+    'go': '.go',
+    'html': '.html',
+    'css': '.css',
+    'json': '.json',
+    'yaml': '.yml',
+    'shell': '.sh',
+    'bash': '.sh',
+    'php': '.php',
+    'swift': '.swift',
+    'rust': '.rs',
+    'kotlin': '.kt',
+    'sql': '.sql'
+  };
+
+  return langMap[language.toLowerCase()] || '.txt';
+}
+
+/**
+ * Clean up a filename emitted by the model
+ * @param {string} filename - Raw filename
+ * @returns {string} - Filename without quotes, backticks or a leading "./"
+ */
+function cleanFilename(filename) {
+  return filename.trim().replace(/^[`'"]+|[`'":]+$/g, '').replace(/^\.\//, '');
+}
+
+/**
+ * Turn the lines of a block into file content
+ * @param {Array<string>} lines - Block lines
+ * @returns {string} - Content with surrounding blank lines removed
+ */
+function joinContent(lines) {
+  return lines.join('\n').replace(/^\s*\n/, '').trimEnd();
+}
+
+/**
+ * Remove a single fence wrapped around content (models sometimes fence the body of a manifest entry)
+ * @param {string} content - Content to unwrap
+ * @returns {string} - Unwrapped content
+ */
+function unwrapFence(content) {
+  const lines = content.split('\n');
+  const open = lines[0] && lines[0].match(FENCE_REGEX);
+  const close = lines.length > 1 && lines[lines.length - 1].match(FENCE_REGEX);
+  if (open && close && close[2].trim() === '') {
+    return lines.slice(1, -1).join('\n');
+  }
+  return content;
+}
+
+/**
+ * Read the files out of a JSON manifest
+ * @param {string} text - Text that may be a JSON manifest
+ * @returns {Array<Object>|null} - [{ filename, content }], or null if the text is not a manifest
+ */
+function parseJsonManifest(text) {
+  let data;
+  try {
+    data = JSON.parse(text.trim());
+  } catch (err) {
+    return null;
+  }
+
+  if (!data || typeof data !== 'object' || !data.files) {
+    return null;
+  }
+
+  // { "files": { "path": "content" } }
+  if (!Array.isArray(data.files)) {
+    const entries = Object.entries(data.files);
+    if (entries.length === 0 || entries.some(([, content]) => typeof content !== 'string')) {
+      return null;
+    }
+    return entries.map(([filename, content]) => ({ filename, content }));
+  }
+
+  // { "files": [{ "path": "...", "content": "..." }] } - a package.json "files" array holds plain strings, so it is not a manifest
+  const entries = data.files.map(entry => {
+    if (!entry || typeof entry !== 'object' || typeof entry.content !== 'string') {
+      return null;
+    }
+    const filename = entry.path || entry.filename || entry.name;
+    return typeof filename === 'string' ? { filename, content: entry.content } : null;
+  });
+
+  if (entries.length === 0 || entries.some(entry => entry === null)) {
+    return null;
+  }
+  return entries;
+}
+
+/**
+ * Create an incremental response parser
+ *
+ * Text can be pushed in arbitrary chunks; each file is reported through `onFile` as soon
+ * as its block closes. Call `end()` once the response is complete to get the result.
+ * @param {Object} [options]
+ * @param {Function} [options.onFile] - Called with (filename, content) for every completed file
+ * @param {Function} [options.onWarning] - Called with each warning as it is found
+ * @returns {Object} - { push(chunk), end() }
+ */
+function createResponseParser(options = {}) {
+  const files = {};
+  const warnings = [];
+  let fullText = '';
+  let pending = '';
+
+  // Parser state
+  let block = null; // Open fenced block or XML file entry
+  let recentLines = []; // Last non-empty lines outside blocks, for filename headings
+  let blockCount = 0;
+
+  function warn(warning) {
+    warnings.push(warning);
+    if (options.onWarning) {
+      options.onWarning(warning);
+    }
+  }
+
+  function addFile(filename, content, source) {
+    filename = cleanFilename(filename);
+
+    if (Object.prototype.hasOwnProperty.call(files, filename)) {
+      warn({
+        type: 'duplicate',
+        file: filename,
+        message: `${filename} appears more than once in the response; the last version was kept`
+      });
+    }
+
+    files[filename] = content;
+    if (options.onFile) {
+      options.onFile(filename, content, source);
+    }
+  }
+
+  function finishBlock(truncated) {
+    const current = block;
+    block = null;
+    recentLines = [];
+
+    if (current.type === 'xml') {
+      const content = unwrapFence(joinContent(current.lines));
+      if (truncated) {
+        warn({
+          type: 'truncated',
+          file: cleanFilename(current.filename),
+          message: `${cleanFilename(current.filename)} has no closing </file> tag; the response may have been cut off`
+        });
+      }
+      addFile(current.filename, content, 'xml');
+      return;
+    }
+
+    let lines = current.lines;
+    let filename = current.filename;
+
+    // A filename comment on the first line wins over headings and is not part of the file
+    const firstLineIndex = lines.findIndex(line => line.trim() !== '');
+    if (firstLineIndex !== -1) {
+      const commentMatch = lines[firstLineIndex].match(FILENAME_COMMENT_REGEX);
+      if (commentMatch) {
+        filename = commentMatch[1];
+        lines = lines.slice(firstLineIndex + 1);
+      }
+    }
+
+    const content = joinContent(lines);
+
+    if (!filename) {
+      // An unnamed block may hold a whole manifest
+      const manifest = parseJsonManifest(content) || parseXmlManifest(content);
+      if (manifest) {
+        manifest.forEach(entry => addFile(entry.filename, entry.content, 'manifest'));
+        return;
+      }
+
+      const lang = current.lang || 'txt';
+      warn({
+        type: 'unnamed',
+        block: current.index,
+        language: lang,
+        message: `Code block ${current.index} (${lang}, ${lines.length} lines) has no filename and was not written`,
+        suggestedName: `file${current.index}${getExtensionFromLanguage(lang)}`,
+        preview: content.slice(0, 200)
+      });
+      return;
+    }
+
+    if (truncated) {
+      warn({
+        type: 'truncated',
+        file: cleanFilename(filename),
+        message: `${cleanFilename(filename)} has no closing fence; the response may have been cut off`
+      });
+    }
+
+    addFile(filename, content, 'fence');
+  }
+
+  function processLine(line) {
+    if (block && block.type === 'fence') {
+      const fenceMatch = line.match(FENCE_REGEX);
+      const sameFence = fenceMatch && fenceMatch[1][0] === block.fenceChar;
+
+      if (sameFence && fenceMatch[2].trim() === '' && fenceMatch[1].length >= block.fenceLength) {
+        if (block.depth > 0) {
+          // Closes a fence nested inside this block
+          block.depth--;
+          block.lines.push(line);
+          return;
+        }
+        finishBlock(false);
+        return;
+      }
+
+      if (sameFence && fenceMatch[2].trim() !== '' && fenceMatch[1].length === block.fenceLength) {
+        // Opens a fence nested inside this block, e.g. a code sample in a README
+        block.depth++;
+      }
+
+      block.lines.push(line);
+      return;
+    }
+
+    if (block && block.type === 'xml') {
+      const closeMatch = line.match(XML_FILE_CLOSE_REGEX);
+      if (closeMatch) {
+        if (closeMatch[1].trim() !== '') {
+          block.lines.push(closeMatch[1]);
+        }
+        finishBlock(false);
+        return;
+      }
+      block.lines.push(line);
+      return;
+    }
+
+    const xmlMatch = line.match(XML_FILE_OPEN_REGEX);
+    if (xmlMatch) {
+      block = { type: 'xml', filename: xmlMatch[1], lines: [] };
+
+      // The whole entry may be on one line
+      const rest = xmlMatch[2];
+      const closeMatch = rest.match(XML_FILE_CLOSE_REGEX);
+      if (closeMatch) {
+        block.lines.push(closeMatch[1]);
+        finishBlock(false);
+      } else if (rest.trim() !== '') {
+        block.lines.push(rest);
+      }
+      return;
+    }
+
+    const fenceMatch = line.match(FENCE_REGEX);
+    if (fenceMatch && !(fenceMatch[1][0] === '`' && fenceMatch[2].includes('`'))) {
+      blockCount++;
+      const info = fenceMatch[2].trim();
+      const lang = (info.split(/\s+/)[0] || '').split(':')[0];
+
+      // Filename from the info string, a "lang:path" info string, or a heading above the fence
+      let filename = null;
+      const infoMatch = info.match(INFO_FILENAME_REGEX);
+      const colonMatch = info.split(/\s+/)[0].match(/^[a-zA-Z0-9_+\-]+:(\S+\.\S+)$/);
+      if (infoMatch) {
+        filename = infoMatch[1];
+      } else if (colonMatch) {
+        filename = colonMatch[1];
+      } else if (/^[A-Za-z0-9_@.\-\/\[\]()]+\.[A-Za-z0-9]+$/.test(info)) {
+        // The info string is a path rather than a language, e.g. ```src/App.jsx
+        filename = info;
+      } else if (recentLines.length > 0) {
+        const headingMatch = recentLines[recentLines.length - 1].match(HEADING_FILENAME_REGEX);
+        if (headingMatch) {
+          filename = headingMatch[1];
+        }
+      }
+
+      block = {
+        type: 'fence',
+        index: blockCount,
+        fenceChar: fenceMatch[1][0],
+        fenceLength: fenceMatch[1].length,
+        lang: filename === info ? '' : lang,
+        filename,
+        depth: 0,
+        lines: []
+      };
+      return;
+    }
+
+    if (line.trim() !== '') {
+      recentLines.push(line);
+      if (recentLines.length > 2) {
+        recentLines.shift();
+      }
+    }
+  }
+
+  function push(chunk) {
+    fullText += chunk;
+    pending += chunk;
+
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    lines.forEach(line => processLine(line.replace(/\r$/, '')));
+  }
+
+  function end() {
+    if (pending !== '') {
+      processLine(pending.replace(/\r$/, ''));
+      pending = '';
+    }
+
+    if (block) {
+      finishBlock(true);
+    }
+
+    // A response that is nothing but a JSON manifest has no fences at all
+    if (Object.keys(files).length === 0) {
+      const manifest = parseJsonManifest(fullText);
+      if (manifest) {
+        manifest.forEach(entry => addFile(entry.filename, entry.content, 'manifest'));
+      }
+    }
+
+    return {
+      files,
+      projectInfo: detectProjectInfo(fullText, files),
+      warnings
+    };
+  }
+
+  return { push, end };
+}
+
+/**
+ * Read the files out of an XML manifest
+ * @param {string} text - Text that may hold <file path="..."> blocks
+ * @returns {Array<Object>|null} - [{ filename, content }], or null if there are no file blocks
+ */
+function parseXmlManifest(text) {
+  if (!/<file\s+(?:path|name|filename)=/i.test(text)) {
+    return null;
+  }
+
+  const entries = [];
+  const parser = createResponseParser({
+    onFile: (filename, content) => entries.push({ filename, content })
+  });
+  parser.push(text);
+  parser.end();
+
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Detect project type and features from the response and extracted files
+ * @param {string} response - Full response text
+ * @param {Object} files - Extracted filename:content pairs
+ * @returns {Object} - Project info
+ */
+function detectProjectInfo(response, files) {
+  const projectInfo = {
+    framework: 'react',
+    language: 'javascript',
+    cssFramework: null,
+    features: []
+  };
+
+  if (response.toLowerCase().includes('typescript') ||
+    Object.keys(files).some(file => file.endsWith('.ts') || file.endsWith('.tsx'))) {
+    projectInfo.language = 'typescript';
+  }
+
+  if (response.toLowerCase().includes('tailwind') ||
+    (files['package.json'] && files['package.json'].includes('tailwindcss'))) {
+    projectInfo.cssFramework = 'tailwind';
+  }
+
+  projectInfo.framework = detectScaffolder(response, files).name;
+
+  return projectInfo;
+}
+
+/**
+ * Extract code files and project info from a complete response
+ * @param {string} response - API response text
+ * @returns {Object} - { files, projectInfo, warnings }
+ */
+function parseResponse(response) {
+  const parser = createResponseParser();
+  parser.push(response);
+  return parser.end();
+}
+
+module.exports = {
+  parseResponse,
+  createResponseParser,
+  detectProjectInfo
+};
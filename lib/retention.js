@@ -0,0 +1,99 @@
+/**
+ * lib/retention.js - Retention policy for generated projects
+ *
+ * A policy limits how old finished jobs may get (`maxAgeMs`), how many jobs are kept
+ * (`maxJobs`) and how much disk their projects may use together (`maxTotalBytes`). A limit
+ * of 0 switches it off. Jobs that are still running are never selected; when a count or
+ * disk limit is exceeded, the finished jobs that were updated longest ago go first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Check whether a policy sets any limit
+ * @param {Object} policy - { maxAgeMs, maxJobs, maxTotalBytes }
+ * @returns {boolean}
+ */
+function hasRetentionLimits(policy) {
+  return policy.maxAgeMs > 0 || policy.maxJobs > 0 || policy.maxTotalBytes > 0;
+}
+
+/**
+ * Add up the size of everything in a directory, without following symlinks
+ * @param {string} dir - Directory (or file) path
+ * @returns {Promise<number>} - Size in bytes (0 if it doesn't exist)
+ */
+async function getDirectorySize(dir) {
+  let stats;
+  try {
+    stats = await fs.promises.lstat(dir);
+  } catch (err) {
+    return 0;
+  }
+
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  for (const entry of await fs.promises.readdir(dir)) {
+    total += await getDirectorySize(path.join(dir, entry));
+  }
+  return total;
+}
+
+/**
+ * Choose the jobs a retention policy removes
+ * @param {Array<Object>} jobs - Jobs
+ * @param {Object} policy - { maxAgeMs, maxJobs, maxTotalBytes }
+ * @param {Map<string, number>} [sizes] - Disk used by each job's files, by job ID (needed for maxTotalBytes)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} - [{ job, reason }] where reason is 'age', 'count' or 'disk'
+ */
+function selectExpiredJobs(jobs, policy, sizes = new Map(), now = Date.now()) {
+  const selected = [];
+  const oldestFirst = jobs
+    .filter(job => job.completed)
+    .sort((a, b) => (a.lastUpdated || a.created || 0) - (b.lastUpdated || b.created || 0));
+
+  const remove = (job, reason) => {
+    selected.push({ job, reason });
+    oldestFirst.splice(oldestFirst.indexOf(job), 1);
+  };
+
+  if (policy.maxAgeMs > 0) {
+    oldestFirst
+      .filter(job => now - (job.lastUpdated || job.created || 0) > policy.maxAgeMs)
+      .forEach(job => remove(job, 'age'));
+  }
+
+  if (policy.maxJobs > 0) {
+    let count = jobs.length - selected.length;
+    while (count > policy.maxJobs && oldestFirst.length > 0) {
+      remove(oldestFirst[0], 'count');
+      count--;
+    }
+  }
+
+  if (policy.maxTotalBytes > 0) {
+    const removed = new Set(selected.map(entry => entry.job));
+    let totalBytes = jobs
+      .filter(job => !removed.has(job))
+      .reduce((sum, job) => sum + (sizes.get(job.id) || 0), 0);
+
+    while (totalBytes > policy.maxTotalBytes && oldestFirst.length > 0) {
+      const job = oldestFirst[0];
+      totalBytes -= sizes.get(job.id) || 0;
+      remove(job, 'disk');
+    }
+  }
+
+  return selected;
+}
+
+module.exports = {
+  hasRetentionLimits,
+  getDirectorySize,
+  selectExpiredJobs
+};
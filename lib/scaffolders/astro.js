@@ -0,0 +1,26 @@
+/**
+ * lib/scaffolders/astro.js - Astro content site
+ */
+
+module.exports = {
+  name: 'astro',
+  displayName: 'Astro',
+  aliases: [],
+  detect: {
+    dependencies: ['astro'],
+    files: [/\.astro$/, /^astro\.config\.(js|mjs|ts)$/],
+    keywords: [/\bastro\b/i]
+  },
+  scaffoldCommand() {
+    return 'npx create-astro@latest . --template minimal --no-install --no-git --skip-houston --yes';
+  },
+  supportsTailwind: true,
+  nodeBuiltins: true,
+  buildCommand: 'npm run build',
+  outputDir: 'dist',
+  staticOutput: true,
+  previewBuildCommand(basePath) {
+    return `npx astro build --base ${basePath}`;
+  },
+  devCommand: 'npm run dev'
+};
@@ -0,0 +1,26 @@
+/**
+ * lib/scaffolders/express.js - Express API server
+ *
+ * There is no official generator worth running, so the project always starts from the
+ * built-in template, even when npx scaffolding is requested.
+ */
+
+module.exports = {
+  name: 'express',
+  displayName: 'Express API',
+  aliases: ['express-api'],
+  detect: {
+    dependencies: ['express'],
+    files: [/^(src\/)?(server|app|index)\.(js|cjs|mjs|ts)$/, /^(src\/)?routes\//],
+    keywords: [/express\.js|\bexpress\s+(server|api|app|backend)\b/i]
+  },
+  supportsTailwind: false,
+  nodeBuiltins: true,
+  buildCommand: null,
+  outputDir: null,
+  staticOutput: false,
+  previewServer: {
+    startCommand: 'npm start'
+  },
+  devCommand: 'npm run dev'
+};
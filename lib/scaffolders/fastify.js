@@ -0,0 +1,25 @@
+/**
+ * lib/scaffolders/fastify.js - Fastify API server
+ *
+ * Like the Express scaffolder, this always starts from the built-in template.
+ */
+
+module.exports = {
+  name: 'fastify',
+  displayName: 'Fastify API',
+  aliases: ['fastify-api'],
+  detect: {
+    dependencies: ['fastify'],
+    files: [],
+    keywords: [/\bfastify\b/i]
+  },
+  supportsTailwind: false,
+  nodeBuiltins: true,
+  buildCommand: null,
+  outputDir: null,
+  staticOutput: false,
+  previewServer: {
+    startCommand: 'npm start'
+  },
+  devCommand: 'npm run dev'
+};
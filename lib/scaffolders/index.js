@@ -0,0 +1,150 @@
+/**
+ * lib/scaffolders/index.js - Registry of project scaffolders
+ *
+ * Every scaffolder is a plain object describing one kind of project:
+ *
+ * - `name` - identifier used as `framework` in requests and in `projectInfo.framework`
+ * - `displayName` - human readable name used in prompts and error messages
+ * - `aliases` - other names accepted for `framework`
+ * - `detect` - rules for recognizing the framework in a model response:
+ *   `dependencies` (package names in package.json), `files` (regexes matched against file
+ *   paths), `keywords` (regexes matched against the response text) and `withoutPackageJson`
+ *   (only match when the response has no package.json)
+ * - `scaffoldCommand(projectInfo)` - npx command that creates the project skeleton, used only
+ *   in npx scaffolding mode; scaffolders without one always use their built-in template
+ * - `supportsTailwind` - whether the Tailwind CSS overlay can be added after scaffolding
+ * - `nodeBuiltins` - whether the project's code runs on Node, so imports like `fs` or `events` are
+ *   builtins rather than npm packages (browser projects only get builtins through `node:`)
+ * - `buildCommand` - command that builds the project, or null if there is no build
+ * - `outputDir` - directory holding the build output (or the site itself when there is no build)
+ * - `staticOutput` - whether `outputDir` is a complete static site that can be served as files
+ * - `previewBuildCommand(basePath)` - builds the site to be served under a URL prefix, if supported
+ * - `previewServer` - how to preview a project that needs a server runtime: `startCommand` (must
+ *   listen on $PORT), an optional `buildCommand`, and `basePathEnv`, the environment variable
+ *   that tells the project its URL prefix; without it the project is served as if at `/`
+ * - `devCommand` - command that starts a development server
+ *
+ * The built-in template for a scaffolder is `templates/<name>-<language>/` (see lib/templates.js).
+ */
+
+const DEFAULT_SCAFFOLDER = 'react';
+
+// Points a matching rule adds to a scaffolder's detection score
+const DEPENDENCY_SCORE = 4;
+const FILE_SCORE = 2;
+const KEYWORD_SCORE = 1;
+
+const scaffolders = new Map();
+
+/**
+ * Add a scaffolder to the registry, replacing any scaffolder with the same name
+ *
+ * Registration order matters for detection: when two scaffolders score the same, the one
+ * registered first wins, so more specific frameworks are registered before general ones.
+ * @param {Object} scaffolder - Scaffolder implementing the contract above
+ */
+function registerScaffolder(scaffolder) {
+  if (!scaffolder || !scaffolder.name) {
+    throw new Error('A scaffolder needs a name');
+  }
+  scaffolders.set(scaffolder.name, scaffolder);
+}
+
+/**
+ * Look up a scaffolder by name or alias
+ * @param {string} name - Scaffolder name or alias (case-insensitive)
+ * @returns {Object|undefined} - The scaffolder, if registered
+ */
+function getScaffolder(name) {
+  if (typeof name !== 'string') {
+    return undefined;
+  }
+
+  const key = name.toLowerCase();
+  return scaffolders.get(key) ||
+    listScaffolders().find(scaffolder => (scaffolder.aliases || []).includes(key));
+}
+
+/**
+ * List all registered scaffolders
+ * @returns {Array<Object>} - Registered scaffolders, in registration order
+ */
+function listScaffolders() {
+  return Array.from(scaffolders.values());
+}
+
+/**
+ * Read the dependency names from a package.json
+ * @param {string} [content] - package.json content
+ * @returns {Array<string>} - Dependency and devDependency names
+ */
+function getDependencyNames(content) {
+  if (typeof content !== 'string') {
+    return [];
+  }
+
+  try {
+    const packageJson = JSON.parse(content);
+    return Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies });
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Pick the scaffolder whose detection rules best match a model response
+ * @param {string} response - Full response text
+ * @param {Object} files - Extracted filename:content pairs
+ * @returns {Object} - Best matching scaffolder, or the default one if nothing matches
+ */
+function detectScaffolder(response, files) {
+  const dependencies = getDependencyNames(files['package.json']);
+  const filenames = Object.keys(files);
+  const hasPackageJson = files['package.json'] !== undefined;
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const scaffolder of scaffolders.values()) {
+    const rules = scaffolder.detect || {};
+    if (rules.withoutPackageJson && hasPackageJson) {
+      continue;
+    }
+
+    let score = 0;
+    if ((rules.dependencies || []).some(dependency => dependencies.includes(dependency))) {
+      score += DEPENDENCY_SCORE;
+    }
+    if ((rules.files || []).some(regex => filenames.some(filename => regex.test(filename)))) {
+      score += FILE_SCORE;
+    }
+    if ((rules.keywords || []).some(regex => regex.test(response))) {
+      score += KEYWORD_SCORE;
+    }
+
+    if (score > bestScore) {
+      best = scaffolder;
+      bestScore = score;
+    }
+  }
+
+  return best || scaffolders.get(DEFAULT_SCAFFOLDER);
+}
+
+registerScaffolder(require('./next'));
+registerScaffolder(require('./sveltekit'));
+registerScaffolder(require('./astro'));
+registerScaffolder(require('./vue'));
+registerScaffolder(require('./svelte'));
+registerScaffolder(require('./fastify'));
+registerScaffolder(require('./express'));
+registerScaffolder(require('./static'));
+registerScaffolder(require('./react-vite'));
+
+module.exports = {
+  DEFAULT_SCAFFOLDER,
+  registerScaffolder,
+  getScaffolder,
+  listScaffolders,
+  detectScaffolder
+};
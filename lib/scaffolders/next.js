@@ -0,0 +1,35 @@
+/**
+ * lib/scaffolders/next.js - Next.js app using the App Router
+ */
+
+module.exports = {
+  name: 'next',
+  displayName: 'Next.js',
+  aliases: ['nextjs', 'next.js'],
+  detect: {
+    dependencies: ['next'],
+    files: [
+      /^(src\/)?app\/(.*\/)?(page|layout)\.(js|jsx|ts|tsx)$/,
+      /^(src\/)?pages\/_app\.(js|jsx|ts|tsx)$/,
+      /^next\.config\.(js|mjs|ts)$/
+    ],
+    keywords: [/next\.js|\bnextjs\b/i]
+  },
+  scaffoldCommand(projectInfo) {
+    const template = projectInfo.language === 'typescript' ? '--typescript' : '--javascript';
+    // Tailwind is added from the template overlay, like for every other framework
+    return `npx create-next-app@latest . ${template} --no-tailwind --eslint --use-npm --src-dir --app --no-import-alias`;
+  },
+  supportsTailwind: true,
+  nodeBuiltins: true,
+  buildCommand: 'npm run build',
+  outputDir: '.next',
+  staticOutput: false,
+  // The built-in templates read the prefix in next.config
+  previewServer: {
+    buildCommand: 'npm run build',
+    startCommand: 'npx next start',
+    basePathEnv: 'NEXT_BASE_PATH'
+  },
+  devCommand: 'npm run dev'
+};
@@ -0,0 +1,26 @@
+/**
+ * lib/scaffolders/react-vite.js - React single-page app built with Vite
+ */
+
+module.exports = {
+  name: 'react',
+  displayName: 'React (Vite)',
+  aliases: ['react-vite', 'vite'],
+  detect: {
+    dependencies: ['react'],
+    files: [/\.(jsx|tsx)$/],
+    keywords: [/\breact\b/i]
+  },
+  scaffoldCommand(projectInfo) {
+    const template = projectInfo.language === 'typescript' ? 'react-ts' : 'react';
+    return `npx create-vite@latest . --template ${template}`;
+  },
+  supportsTailwind: true,
+  buildCommand: 'npm run build',
+  outputDir: 'dist',
+  staticOutput: true,
+  previewBuildCommand(basePath) {
+    return `npx vite build --base=${basePath}`;
+  },
+  devCommand: 'npm run dev'
+};
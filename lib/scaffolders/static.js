@@ -0,0 +1,22 @@
+/**
+ * lib/scaffolders/static.js - Plain HTML, CSS and JavaScript site with no build step
+ *
+ * Only detected when the response has no package.json. The built-in template is a single page
+ * that the model's files extend or replace.
+ */
+
+module.exports = {
+  name: 'static',
+  displayName: 'Static HTML site',
+  aliases: ['html', 'vanilla'],
+  detect: {
+    withoutPackageJson: true,
+    files: [/\.html$/],
+    keywords: [/\b(static|plain|vanilla)\s+(html|site|website|javascript|js)\b/i]
+  },
+  supportsTailwind: false,
+  buildCommand: null,
+  outputDir: '.',
+  staticOutput: true,
+  devCommand: 'npx serve .'
+};
@@ -0,0 +1,26 @@
+/**
+ * lib/scaffolders/svelte.js - Svelte single-page app built with Vite
+ */
+
+module.exports = {
+  name: 'svelte',
+  displayName: 'Svelte (Vite)',
+  aliases: ['svelte-vite'],
+  detect: {
+    dependencies: ['svelte'],
+    files: [/\.svelte$/],
+    keywords: [/\bsvelte\b/i]
+  },
+  scaffoldCommand(projectInfo) {
+    const template = projectInfo.language === 'typescript' ? 'svelte-ts' : 'svelte';
+    return `npx create-vite@latest . --template ${template}`;
+  },
+  supportsTailwind: true,
+  buildCommand: 'npm run build',
+  outputDir: 'dist',
+  staticOutput: true,
+  previewBuildCommand(basePath) {
+    return `npx vite build --base=${basePath}`;
+  },
+  devCommand: 'npm run dev'
+};
@@ -0,0 +1,30 @@
+/**
+ * lib/scaffolders/sveltekit.js - SvelteKit app with file-based routing
+ */
+
+module.exports = {
+  name: 'sveltekit',
+  displayName: 'SvelteKit',
+  aliases: ['svelte-kit'],
+  detect: {
+    dependencies: ['@sveltejs/kit'],
+    files: [/^src\/routes\/(.*\/)?\+(page|layout)\.svelte$/, /^svelte\.config\.(js|mjs)$/],
+    keywords: [/\bsvelte\s?kit\b/i]
+  },
+  scaffoldCommand(projectInfo) {
+    const types = projectInfo.language === 'typescript' ? '--types ts' : '--no-types';
+    return `npx sv@latest create . --template minimal ${types} --no-add-ons --no-install`;
+  },
+  supportsTailwind: true,
+  nodeBuiltins: true,
+  buildCommand: 'npm run build',
+  outputDir: '.svelte-kit',
+  staticOutput: false,
+  // The built-in templates read the prefix in svelte.config; `vite preview` serves the build
+  previewServer: {
+    buildCommand: 'npm run build',
+    startCommand: 'npx vite preview --port $PORT --strictPort --host 127.0.0.1',
+    basePathEnv: 'SVELTEKIT_BASE_PATH'
+  },
+  devCommand: 'npm run dev'
+};
@@ -0,0 +1,26 @@
+/**
+ * lib/scaffolders/vue.js - Vue single-page app built with Vite
+ */
+
+module.exports = {
+  name: 'vue',
+  displayName: 'Vue (Vite)',
+  aliases: ['vue3', 'vue-vite'],
+  detect: {
+    dependencies: ['vue'],
+    files: [/\.vue$/],
+    keywords: [/\bvue(\.js)?\b/i]
+  },
+  scaffoldCommand(projectInfo) {
+    const template = projectInfo.language === 'typescript' ? 'vue-ts' : 'vue';
+    return `npx create-vite@latest . --template ${template}`;
+  },
+  supportsTailwind: true,
+  buildCommand: 'npm run build',
+  outputDir: 'dist',
+  staticOutput: true,
+  previewBuildCommand(basePath) {
+    return `npx vite build --base=${basePath}`;
+  },
+  devCommand: 'npm run dev'
+};
@@ -0,0 +1,196 @@
+/**
+ * lib/templates.js - Built-in project templates used for offline scaffolding
+ *
+ * Templates live in `templates/<framework>-<language>/`. Each one has a `template.json`
+ * with its name and version, plus the files to copy into a new project. `{{name}}`
+ * placeholders in file contents are filled in from the variables passed when the template
+ * is applied. `_gitignore` is written as `.gitignore`, because npm leaves `.gitignore`
+ * files out of published packages.
+ *
+ * Overlays in `templates/_overlays/<name>/` add optional features on top of a project, such
+ * as Tailwind CSS. Their `template.json` can list dependencies and scripts to merge into
+ * package.json, and a `stylesheet` with `paths` (the first one that exists is the project's
+ * main stylesheet) and text to `prepend` to it, like Tailwind's `@tailwind` directives.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const OVERLAYS_DIR = path.join(TEMPLATES_DIR, '_overlays');
+const MANIFEST_NAME = 'template.json';
+const GITIGNORE_TEMPLATE_NAME = '_gitignore';
+
+/**
+ * Read a template directory
+ * @param {string} dir - Template directory
+ * @returns {Object|null} - { ...manifest, dir }, or null if it isn't a template
+ */
+function readTemplate(dir) {
+  const manifestPath = path.join(dir, MANIFEST_NAME);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  return { ...JSON.parse(fs.readFileSync(manifestPath, 'utf8')), dir };
+}
+
+/**
+ * List the built-in project templates
+ * @returns {Array<Object>} - Template manifests, sorted by name
+ */
+function listTemplates() {
+  if (!fs.existsSync(TEMPLATES_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('_'))
+    .map(entry => readTemplate(path.join(TEMPLATES_DIR, entry.name)))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the template for a framework and language
+ *
+ * Frameworks without a template for the requested language fall back to JavaScript.
+ * @param {string} framework - Framework name (scaffolder name)
+ * @param {string} [language] - 'javascript' or 'typescript'
+ * @returns {Object|null} - Template manifest, or null if the framework has no template
+ */
+function getTemplate(framework, language = 'javascript') {
+  for (const candidate of [`${framework}-${language}`, `${framework}-javascript`]) {
+    const template = readTemplate(path.join(TEMPLATES_DIR, candidate));
+    if (template) {
+      return template;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace `{{name}}` placeholders; unknown names are left untouched
+ * @param {string} text - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string} - Filled-in text
+ */
+function fillPlaceholders(text, variables) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  ));
+}
+
+/**
+ * Copy a template directory into a project, filling in placeholders
+ * @param {string} templateDir - Directory to copy from
+ * @param {string} projectDir - Project directory
+ * @param {Object} variables - Placeholder values
+ * @param {string} [relativeDir] - Subdirectory being copied (used when recursing)
+ * @returns {Array<string>} - Paths written, relative to the project
+ */
+function copyTemplateFiles(templateDir, projectDir, variables, relativeDir = '') {
+  let written = [];
+
+  for (const entry of fs.readdirSync(path.join(templateDir, relativeDir), { withFileTypes: true })) {
+    const sourceRelative = path.join(relativeDir, entry.name);
+
+    if (entry.isDirectory()) {
+      written = written.concat(copyTemplateFiles(templateDir, projectDir, variables, sourceRelative));
+      continue;
+    }
+
+    if (!relativeDir && entry.name === MANIFEST_NAME) {
+      continue;
+    }
+
+    const targetName = entry.name === GITIGNORE_TEMPLATE_NAME ? '.gitignore' : entry.name;
+    const targetRelative = path.join(relativeDir, targetName);
+    const targetPath = path.join(projectDir, targetRelative);
+
+    const content = fs.readFileSync(path.join(templateDir, sourceRelative), 'utf8');
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, fillPlaceholders(content, variables));
+
+    written.push(targetRelative.split(path.sep).join('/'));
+  }
+
+  return written;
+}
+
+/**
+ * Create a project from a template
+ * @param {Object} template - Template from getTemplate
+ * @param {string} projectDir - Project directory
+ * @param {Object} [variables] - Placeholder values, such as projectName
+ * @returns {Array<string>} - Paths written, relative to the project
+ */
+function applyTemplate(template, projectDir, variables = {}) {
+  return copyTemplateFiles(template.dir, projectDir, variables);
+}
+
+/**
+ * Prepend an overlay's text to the project's main stylesheet, unless it is already there
+ * @param {Object} stylesheet - Overlay `stylesheet` setting: { paths, prepend }
+ * @param {string} projectDir - Project directory
+ * @returns {string|null} - Path of the stylesheet changed, relative to the project
+ */
+function prependToStylesheet(stylesheet, projectDir) {
+  const relativePath = stylesheet.paths.find(candidate => fs.existsSync(path.join(projectDir, candidate)));
+  if (!relativePath) {
+    return null;
+  }
+
+  const stylesheetPath = path.join(projectDir, relativePath);
+  const content = fs.readFileSync(stylesheetPath, 'utf8');
+  if (content.includes(stylesheet.prepend.trim())) {
+    return null;
+  }
+
+  fs.writeFileSync(stylesheetPath, `${stylesheet.prepend}\n${content}`);
+  return relativePath;
+}
+
+/**
+ * Add an overlay to a project, merging its dependencies and scripts into package.json
+ * @param {string} name - Overlay name, e.g. 'tailwind'
+ * @param {string} projectDir - Project directory
+ * @param {Object} [variables] - Placeholder values
+ * @returns {Array<string>} - Paths written, relative to the project
+ */
+function applyOverlay(name, projectDir, variables = {}) {
+  const overlay = readTemplate(path.join(OVERLAYS_DIR, name));
+  if (!overlay) {
+    throw new Error(`Unknown template overlay: ${name}`);
+  }
+
+  const written = copyTemplateFiles(overlay.dir, projectDir, variables);
+
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  if ((overlay.dependencies || overlay.devDependencies || overlay.scripts) && fs.existsSync(packageJsonPath)) {
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    for (const field of ['dependencies', 'devDependencies', 'scripts']) {
+      if (overlay[field]) {
+        packageJson[field] = { ...packageJson[field], ...overlay[field] };
+      }
+    }
+    fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+  }
+
+  if (overlay.stylesheet) {
+    const stylesheetPath = prependToStylesheet(overlay.stylesheet, projectDir);
+    if (stylesheetPath) {
+      written.push(stylesheetPath);
+    }
+  }
+
+  return written;
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  listTemplates,
+  getTemplate,
+  applyTemplate,
+  applyOverlay
+};
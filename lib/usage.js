@@ -0,0 +1,202 @@
+/**
+ * lib/usage.js - Token usage and cost accounting
+ *
+ * Every provider call that reports token counts is priced with a per-model price table and
+ * appended to a JSON-lines usage log, which can be summed per day, provider and API key.
+ * The built-in prices (USD per million tokens) can be overridden or extended with a JSON
+ * file of the same shape, e.g. `{ "models": { "my-model": { "prompt": 1, "completion": 2 } } }`.
+ * Model names match exactly or by their longest listed prefix, so dated snapshots such as
+ * `gpt-4o-2024-08-06` use the `gpt-4o` price.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING = {
+  currency: 'USD',
+  models: {
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-4.1': { prompt: 2, completion: 8 },
+    'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+    'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+    'o3-mini': { prompt: 1.1, completion: 4.4 },
+    'o4-mini': { prompt: 1.1, completion: 4.4 },
+    'gemini-2.5-pro': { prompt: 1.25, completion: 10 },
+    'gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+    'gemini-2.0-flash': { prompt: 0.1, completion: 0.4 },
+    'gemini-2.0-flash-lite': { prompt: 0.075, completion: 0.3 },
+    'gemini-1.5-pro': { prompt: 1.25, completion: 5 },
+    'gemini-1.5-flash': { prompt: 0.075, completion: 0.3 },
+    mock: { prompt: 0, completion: 0 }
+  }
+};
+
+const TOKEN_FIELDS = ['promptTokens', 'completionTokens', 'totalTokens'];
+
+/**
+ * Load the price table, applying overrides from a config file if it exists
+ * @param {string} [configPath] - Path to a JSON price table
+ * @returns {Object} - { currency, models: { [model]: { prompt, completion } } }
+ */
+function loadPricing(configPath) {
+  const pricing = { ...DEFAULT_PRICING, models: { ...DEFAULT_PRICING.models } };
+
+  if (configPath && fs.existsSync(configPath)) {
+    const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (overrides.currency) {
+      pricing.currency = overrides.currency;
+    }
+    Object.assign(pricing.models, overrides.models);
+  }
+
+  return pricing;
+}
+
+/**
+ * Find the price entry for a model
+ * @param {Object} pricing - Price table from loadPricing
+ * @param {string} [model] - Model name reported by the provider
+ * @returns {Object|null} - { prompt, completion } per million tokens, or null if unknown
+ */
+function findModelPrice(pricing, model) {
+  if (!model) {
+    return null;
+  }
+
+  if (pricing.models[model]) {
+    return pricing.models[model];
+  }
+
+  const prefix = Object.keys(pricing.models)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? pricing.models[prefix] : null;
+}
+
+/**
+ * Round a cost to a millionth of the currency unit
+ * @param {number} cost - Cost
+ * @returns {number} - Rounded cost
+ */
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Estimate the cost of a provider call
+ * @param {Object} pricing - Price table from loadPricing
+ * @param {string} [model] - Model name
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} - Estimated cost, or null if the model has no price
+ */
+function estimateCost(pricing, model, usage) {
+  const price = findModelPrice(pricing, model);
+  if (!price) {
+    return null;
+  }
+
+  return roundCost(
+    (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1e6
+  );
+}
+
+/**
+ * Create empty usage totals
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens, cost, calls, unpricedCalls }
+ */
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, calls: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Add one call's usage to running totals
+ * @param {Object} [totals] - Totals from emptyUsage or an earlier addUsage
+ * @param {Object} call - Usage of the call ({ promptTokens, completionTokens, totalTokens, cost })
+ * @returns {Object} - New totals; calls without a price count towards unpricedCalls instead of cost
+ */
+function addUsage(totals, call) {
+  const sum = { ...emptyUsage(), ...totals };
+
+  for (const field of TOKEN_FIELDS) {
+    sum[field] += call[field] || 0;
+  }
+  if (typeof call.cost === 'number') {
+    sum.cost = roundCost(sum.cost + call.cost);
+  } else {
+    sum.unpricedCalls += 1;
+  }
+  sum.calls += 1;
+
+  return sum;
+}
+
+/**
+ * Append a priced provider call to the usage log
+ * @param {string} logPath - Path to the JSON-lines usage log
+ * @param {Object} entry - { created, jobId, apiKeyId, provider, model, kind, promptTokens, ... }
+ */
+function appendUsage(logPath, entry) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Sum the usage log per day, provider and API key
+ * @param {string} logPath - Path to the JSON-lines usage log
+ * @param {Object} [filter]
+ * @param {string} [filter.from] - First day to include (YYYY-MM-DD, UTC)
+ * @param {string} [filter.to] - Last day to include (YYYY-MM-DD, UTC)
+ * @param {string} [filter.apiKeyId] - Only count calls made for this API key
+ * @returns {Object} - { rows: [{ day, provider, apiKeyId, ...totals }], totals }
+ */
+function summarizeUsage(logPath, filter = {}) {
+  const groups = new Map();
+  let totals = emptyUsage();
+
+  if (fs.existsSync(logPath)) {
+    for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        continue; // Partially written line
+      }
+
+      const day = new Date(entry.created).toISOString().slice(0, 10);
+      if ((filter.from && day < filter.from) || (filter.to && day > filter.to)) {
+        continue;
+      }
+      if (filter.apiKeyId && entry.apiKeyId !== filter.apiKeyId) {
+        continue;
+      }
+
+      const group = { day, provider: entry.provider, apiKeyId: entry.apiKeyId || null };
+      const key = JSON.stringify(group);
+      const previous = groups.get(key);
+      groups.set(key, { ...group, ...addUsage(previous, entry) });
+      totals = addUsage(totals, entry);
+    }
+  }
+
+  const rows = Array.from(groups.values()).sort((a, b) => (
+    a.day.localeCompare(b.day) ||
+    a.provider.localeCompare(b.provider) ||
+    String(a.apiKeyId).localeCompare(String(b.apiKeyId))
+  ));
+
+  return { rows, totals };
+}
+
+module.exports = {
+  loadPricing,
+  estimateCost,
+  addUsage,
+  appendUsage,
+  summarizeUsage
+};
@@ -0,0 +1,260 @@
+/**
+ * lib/write-policy.js - Rules for which model-generated files may be written to a project
+ *
+ * Every path the model emits is normalized and must stay inside the project root. On top
+ * of that a configurable policy denies (or exclusively allows) paths and extensions and
+ * limits file sizes, so a response can't overwrite the server, plant git hooks or point
+ * npm at another registry.
+ *
+ * Path patterns are globs: `*` and `?` match within a path segment and `**` matches any
+ * number of segments. Patterns without a slash match the file name in any directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WRITE_POLICY = {
+  // Paths that may never be written
+  denyPaths: [
+    '**/.git/**',
+    '**/node_modules/**',
+    '.vercel/**',
+    '.npmrc',
+    '.yarnrc',
+    '.yarnrc.yml',
+    '.pnpmfile.cjs',
+    '.github/workflows/**'
+  ],
+  // If not empty, only paths matching one of these patterns may be written
+  allowPaths: [],
+  // Extensions that may never be written
+  denyExtensions: ['.exe', '.dll', '.so', '.dylib', '.bat', '.cmd', '.com', '.ps1', '.msi', '.jar'],
+  // If not empty, only files with one of these extensions may be written
+  allowExtensions: [],
+  maxFileBytes: 512 * 1024, // 512 KB per file
+  maxTotalBytes: 5 * 1024 * 1024, // 5 MB per batch of files
+  maxFiles: 300 // Files per batch
+};
+
+/**
+ * Load the write policy, merging a JSON config file over the defaults
+ * @param {string} [configPath] - Path to a JSON policy file; missing files are ignored
+ * @returns {Object} - Write policy
+ */
+function loadWritePolicy(configPath) {
+  const policy = { ...DEFAULT_WRITE_POLICY };
+
+  if (configPath && fs.existsSync(configPath)) {
+    const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    Object.assign(policy, overrides);
+  }
+
+  policy.compiledDenyPaths = policy.denyPaths.map(globToRegExp);
+  policy.compiledAllowPaths = policy.allowPaths.map(globToRegExp);
+  policy.denyExtensions = policy.denyExtensions.map(ext => ext.toLowerCase());
+  policy.allowExtensions = policy.allowExtensions.map(ext => ext.toLowerCase());
+
+  return policy;
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression matching relative POSIX paths
+ */
+function globToRegExp(pattern) {
+  // Patterns without a slash match the file name in any directory
+  const anchored = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+
+  let source = '';
+  for (let i = 0; i < anchored.length; i++) {
+    const char = anchored[i];
+
+    if (char === '*' && anchored[i + 1] === '*') {
+      if (anchored[i + 2] === '/') {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Normalize a model-generated path relative to the project root
+ * @param {string} filename - Path as emitted by the model
+ * @returns {Object} - { path } on success, or { reason } if the path is unusable
+ */
+function normalizeProjectPath(filename) {
+  if (typeof filename !== 'string' || filename.trim() === '') {
+    return { reason: 'Empty path' };
+  }
+
+  if (filename.includes('\0')) {
+    return { reason: 'Path contains a null byte' };
+  }
+
+  const posixPath = filename.trim().replace(/\\/g, '/');
+
+  if (posixPath.startsWith('/') || /^[a-zA-Z]:/.test(posixPath) || posixPath.startsWith('~')) {
+    return { reason: 'Absolute paths are not allowed' };
+  }
+
+  const normalized = path.posix.normalize(posixPath);
+
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return { reason: 'Path is outside the project root' };
+  }
+
+  if (normalized === '.' || normalized.endsWith('/')) {
+    return { reason: 'Path does not name a file' };
+  }
+
+  return { path: normalized };
+}
+
+/**
+ * Check that a path resolves inside the project, following any symlinks that already exist
+ *
+ * The path is walked one segment at a time with lstat, since existsSync follows symlinks
+ * and would take a dangling link for a missing file that writeFileSync then writes through.
+ * @param {string} projectDir - Path to the project directory
+ * @param {string} relativePath - Normalized relative path
+ * @returns {boolean}
+ */
+function staysInsideProject(projectDir, relativePath) {
+  const root = fs.existsSync(projectDir) ? fs.realpathSync(projectDir) : path.resolve(projectDir);
+  const isInside = target => target === root || target.startsWith(root + path.sep);
+  let current = root;
+
+  for (const segment of relativePath.split('/')) {
+    current = path.join(current, segment);
+
+    let stats;
+    try {
+      stats = fs.lstatSync(current);
+    } catch (err) {
+      // Nothing exists from here on, so the rest of the path is created inside `current`
+      return isInside(current);
+    }
+
+    if (stats.isSymbolicLink()) {
+      try {
+        current = fs.realpathSync(current);
+      } catch (err) {
+        // A dangling link would be followed by the write, wherever it points
+        return false;
+      }
+      if (!isInside(current)) {
+        return false;
+      }
+    }
+  }
+
+  return isInside(current);
+}
+
+/**
+ * Check a single file against the policy
+ * @param {string} projectDir - Path to the project directory
+ * @param {string} filename - Path as emitted by the model
+ * @param {string} content - File content
+ * @param {Object} policy - Write policy from loadWritePolicy
+ * @returns {Object} - { allowed: true, path } or { allowed: false, path, reason }
+ */
+function checkWrite(projectDir, filename, content, policy) {
+  const normalized = normalizeProjectPath(filename);
+  if (normalized.reason) {
+    return { allowed: false, path: filename, reason: normalized.reason };
+  }
+
+  const relativePath = normalized.path;
+  const reject = reason => ({ allowed: false, path: relativePath, reason });
+
+  if (!staysInsideProject(projectDir, relativePath)) {
+    return reject('Path resolves outside the project root');
+  }
+
+  const deniedBy = policy.denyPaths.find((pattern, index) => policy.compiledDenyPaths[index].test(relativePath));
+  if (deniedBy) {
+    return reject(`Path matches denied pattern ${deniedBy}`);
+  }
+
+  if (policy.compiledAllowPaths.length > 0 && !policy.compiledAllowPaths.some(regex => regex.test(relativePath))) {
+    return reject('Path does not match any allowed pattern');
+  }
+
+  const ext = path.posix.extname(relativePath).toLowerCase();
+  if (ext && policy.denyExtensions.includes(ext)) {
+    return reject(`Extension ${ext} is not allowed`);
+  }
+
+  if (policy.allowExtensions.length > 0 && !policy.allowExtensions.includes(ext)) {
+    return reject(`Extension ${ext || '(none)'} is not in the allowed list`);
+  }
+
+  const size = Buffer.byteLength(content || '', 'utf8');
+  if (size > policy.maxFileBytes) {
+    return reject(`File is ${size} bytes, over the ${policy.maxFileBytes} byte limit`);
+  }
+
+  return { allowed: true, path: relativePath };
+}
+
+/**
+ * Split a batch of generated files into the ones the policy allows and the ones it rejects
+ * @param {string} projectDir - Path to the project directory
+ * @param {Object} files - Object containing filename:content pairs
+ * @param {Object} policy - Write policy from loadWritePolicy
+ * @returns {Object} - { allowed: { path: content }, rejected: [{ path, reason }] }
+ */
+function applyWritePolicy(projectDir, files, policy) {
+  const allowed = {};
+  const rejected = [];
+  let totalBytes = 0;
+
+  for (const [filename, content] of Object.entries(files)) {
+    const result = checkWrite(projectDir, filename, content, policy);
+
+    if (!result.allowed) {
+      rejected.push({ path: result.path, reason: result.reason });
+      continue;
+    }
+
+    if (Object.keys(allowed).length >= policy.maxFiles) {
+      rejected.push({ path: result.path, reason: `More than ${policy.maxFiles} files in one response` });
+      continue;
+    }
+
+    const size = Buffer.byteLength(content || '', 'utf8');
+    if (totalBytes + size > policy.maxTotalBytes) {
+      rejected.push({ path: result.path, reason: `Response exceeds the ${policy.maxTotalBytes} byte total limit` });
+      continue;
+    }
+
+    totalBytes += size;
+    allowed[result.path] = content;
+  }
+
+  return { allowed, rejected };
+}
+
+module.exports = {
+  DEFAULT_WRITE_POLICY,
+  loadWritePolicy,
+  normalizeProjectPath,
+  staysInsideProject,
+  checkWrite,
+  applyWritePolicy
+};
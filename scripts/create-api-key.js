@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { loadApiKeys, createApiKey, revokeApiKey } = require('../lib/api-keys');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const storePath = process.env.API_KEYS_PATH
+    ? path.resolve(process.env.API_KEYS_PATH)
+    : path.join(__dirname, '..', 'data', 'api-keys.json');
+
+const usage = `Usage:
+  npm run create-api-key -- --name <name> [--admin] [--rate-limit <per minute>] [--daily-generations <n>] [--daily-deploys <n>]
+  npm run create-api-key -- --list
+  npm run create-api-key -- --revoke <key id or prefix>`;
+
+/**
+ * Parse command line flags into an object
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Flag values; flags without a value are true
+ */
+function parseArgs(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            console.error(`Error: Unexpected argument: ${args[i]}`);
+            console.log(usage);
+            process.exit(1);
+        }
+
+        const name = args[i].slice(2);
+        if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read a numeric limit flag
+ * @param {Object} options - Parsed flags
+ * @param {string} flag - Flag name
+ * @returns {number|undefined} - The limit, or undefined if the flag wasn't given
+ */
+function readLimit(options, flag) {
+    if (options[flag] === undefined) {
+        return undefined;
+    }
+
+    const value = Number(options[flag]);
+    if (!Number.isInteger(value) || value < 0) {
+        console.error(`Error: --${flag} must be a whole number (0 means unlimited)`);
+        process.exit(1);
+    }
+    return value;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (options.list) {
+    const keys = loadApiKeys(storePath);
+    if (keys.length === 0) {
+        console.log(`No API keys in ${storePath}`);
+    }
+    keys.forEach(key => {
+        const flags = [key.admin ? 'admin' : null, key.revoked ? `revoked ${key.revoked}` : null].filter(Boolean);
+        console.log(`${key.id}  ${key.prefix}...  ${key.name}${flags.length ? `  (${flags.join(', ')})` : ''}`);
+    });
+} else if (options.revoke) {
+    const record = revokeApiKey(storePath, options.revoke);
+    if (!record) {
+        console.error(`Error: No API key matches ${options.revoke}`);
+        process.exit(1);
+    }
+    console.log(`🔒 Revoked ${record.id} (${record.name})`);
+} else if (typeof options.name === 'string') {
+    const { key, record } = createApiKey(storePath, {
+        name: options.name,
+        admin: Boolean(options.admin),
+        rateLimitPerMinute: readLimit(options, 'rate-limit'),
+        dailyGenerations: readLimit(options, 'daily-generations'),
+        dailyDeploys: readLimit(options, 'daily-deploys')
+    });
+
+    console.log(`🔑 Created API key ${record.id} for ${record.name}${record.admin ? ' (admin)' : ''}`);
+    console.log(`\n${key}\n`);
+    console.log('Store it somewhere safe: only a hash is kept, so it cannot be shown again.');
+} else {
+    console.log(usage);
+    process.exit(1);
+}
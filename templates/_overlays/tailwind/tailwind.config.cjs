@@ -0,0 +1,8 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./index.html', './src/**/*.{html,js,jsx,ts,tsx,vue,svelte,astro}'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
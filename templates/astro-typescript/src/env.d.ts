@@ -0,0 +1 @@
+/// <reference path="../.astro/types.d.ts" />
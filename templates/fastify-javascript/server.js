@@ -0,0 +1,8 @@
+const fastify = require('fastify')({ logger: true });
+
+fastify.get('/health', async () => ({ status: 'ok' }));
+
+fastify.listen({ port: process.env.PORT || 3000, host: '0.0.0.0' }).catch(err => {
+  fastify.log.error(err);
+  process.exit(1);
+});
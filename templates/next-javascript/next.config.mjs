@@ -0,0 +1,7 @@
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  // Set when the project is served under a URL prefix, e.g. as a live preview
+  basePath: process.env.NEXT_BASE_PATH || ''
+};
+
+export default nextConfig;
@@ -0,0 +1,13 @@
+import './globals.css';
+
+export const metadata = {
+  title: '{{projectName}}',
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
@@ -0,0 +1,7 @@
+export default function Home() {
+  return (
+    <main className="app">
+      <h1>{{projectName}}</h1>
+    </main>
+  );
+}
@@ -0,0 +1,11 @@
+import './App.css'
+
+function App() {
+  return (
+    <main className="app">
+      <h1>{{projectName}}</h1>
+    </main>
+  )
+}
+
+export default App
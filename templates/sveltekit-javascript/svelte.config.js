@@ -0,0 +1,16 @@
+import adapter from '@sveltejs/adapter-auto';
+import { vitePreprocess } from '@sveltejs/vite-plugin-svelte';
+
+/** @type {import('@sveltejs/kit').Config} */
+const config = {
+  preprocess: vitePreprocess(),
+  kit: {
+    adapter: adapter(),
+    paths: {
+      // Set when the project is served under a URL prefix, e.g. as a live preview
+      base: process.env.SVELTEKIT_BASE_PATH || ''
+    }
+  }
+};
+
+export default config;
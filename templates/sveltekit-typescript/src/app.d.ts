@@ -0,0 +1,6 @@
+// See https://kit.svelte.dev/docs/types#app
+declare global {
+  namespace App {}
+}
+
+export {};
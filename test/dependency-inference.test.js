@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadDependencyVersions, findPackageImports, inferDependencies } = require('../lib/dependency-inference');
+
+const VERSIONS_PATH = path.join(__dirname, '..', 'config', 'dependency-versions.json');
+
+/**
+ * Create a project directory holding the given files
+ * @param {Object} files - path:content pairs; objects are written as JSON
+ * @returns {string} - Project directory
+ */
+function makeProject(files) {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-inference-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return projectDir;
+}
+
+test('finds packages in every import form', () => {
+  const source = [
+    "import React, { useState } from 'react';",
+    "import type { Store } from 'zustand';",
+    "import 'normalize.css';",
+    "export { format } from 'date-fns';",
+    "export * from 'clsx';",
+    "const lazy = import('react-router-dom');",
+    "const axios = require('axios');",
+    '/* import hidden from "commented-out"; */',
+    "// import alsoHidden from 'line-comment';"
+  ].join('\n');
+
+  assert.deepStrictEqual(findPackageImports(source).sort(), [
+    'axios', 'clsx', 'date-fns', 'normalize.css', 'react', 'react-router-dom', 'zustand'
+  ]);
+});
+
+test('reduces scoped packages and subpath imports to the package name', () => {
+  const source = [
+    "import { Button } from '@mui/material/Button';",
+    "import { create } from '@reduxjs/toolkit';",
+    "import debounce from 'lodash/debounce';",
+    "import 'react-toastify/dist/ReactToastify.css';"
+  ].join('\n');
+
+  assert.deepStrictEqual(findPackageImports(source), ['@mui/material', '@reduxjs/toolkit', 'lodash', 'react-toastify']);
+});
+
+test('skips relative imports, aliases and invalid names', () => {
+  const source = [
+    "import App from './App';",
+    "import utils from '../utils';",
+    "import Button from '@/components/Button';",
+    "import theme from '~/theme';",
+    "import { page } from '$app/stores';",
+    "import internal from '#internal';",
+    "import Icon from 'virtual:icons';",
+    "import Layout from 'Components/Layout';",
+    "import Card from '@components/Card';"
+  ].join('\n');
+
+  assert.deepStrictEqual(findPackageImports(source, ['@components/']), []);
+});
+
+test('treats bare builtin names as packages only in browser code', () => {
+  const source = "import fs from 'node:fs';\nimport { EventEmitter } from 'events';\nimport path from 'path';";
+
+  assert.deepStrictEqual(findPackageImports(source), []);
+  assert.deepStrictEqual(findPackageImports(source, [], false), ['events', 'path']);
+});
+
+test('the pinned version table loads and pins common packages', () => {
+  const versions = loadDependencyVersions(VERSIONS_PATH);
+
+  for (const name of ['axios', 'react-router-dom', 'zustand', 'clsx', 'events']) {
+    assert.match(versions[name], /^\^\d+\.\d+\.\d+/, name);
+  }
+  assert.deepStrictEqual(loadDependencyVersions(path.join(os.tmpdir(), 'missing-versions.json')), {});
+});
+
+test('adds missing packages with pinned versions and reports unresolved and unused ones', async () => {
+  const projectDir = makeProject({
+    'package.json': {
+      name: 'app',
+      scripts: { build: 'vite build' },
+      dependencies: { react: '^18.2.0', lodash: '^4.17.21', 'normalize.css': '^8.0.1' },
+      devDependencies: { vite: '^5.4.0' }
+    },
+    'src/App.jsx': "import React from 'react';\nimport axios from 'axios';\nimport pad from 'left-pad-unknown';",
+    'src/App.test.jsx': "import { test } from 'vitest';\nimport fs from 'fs';",
+    'src/index.css': "@import 'normalize.css';",
+    'vite.config.js': "import path from 'path';\nimport { defineConfig } from 'vite';\nexport default defineConfig({});"
+  });
+
+  const result = await inferDependencies(projectDir, {
+    versions: loadDependencyVersions(VERSIONS_PATH),
+    nodeBuiltins: false
+  });
+
+  assert.deepStrictEqual(result.added.map(entry => [entry.name, entry.section, entry.source]), [
+    ['axios', 'dependencies', 'pinned'],
+    ['vitest', 'devDependencies', 'pinned']
+  ]);
+  assert.deepStrictEqual(result.added[0].importedBy, ['src/App.jsx']);
+  assert.deepStrictEqual(result.unresolved, [{ name: 'left-pad-unknown', importedBy: ['src/App.jsx'] }]);
+  assert.deepStrictEqual(result.unused, ['lodash']);
+
+  const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+  assert.strictEqual(packageJson.dependencies.axios, result.added[0].version);
+  assert.strictEqual(packageJson.devDependencies.vitest, result.added[1].version);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('adds bare builtin names as packages in browser projects only', async () => {
+  const files = {
+    'package.json': { name: 'app', dependencies: {} },
+    'src/bus.js': "import { EventEmitter } from 'events';\nexport default new EventEmitter();"
+  };
+  const versions = loadDependencyVersions(VERSIONS_PATH);
+
+  const browserDir = makeProject(files);
+  const browser = await inferDependencies(browserDir, { versions, nodeBuiltins: false });
+  assert.deepStrictEqual(browser.added.map(entry => entry.name), ['events']);
+
+  const serverDir = makeProject(files);
+  const server = await inferDependencies(serverDir, { versions });
+  assert.deepStrictEqual(server.added, []);
+  assert.deepStrictEqual(server.unresolved, []);
+
+  fs.rmSync(browserDir, { recursive: true, force: true });
+  fs.rmSync(serverDir, { recursive: true, force: true });
+});
@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deepMerge, mergePackageJson, mergeGeneratedFiles } = require('../lib/file-merge');
+
+/**
+ * Create a project directory holding the given files
+ * @param {Object} files - path:content pairs
+ * @returns {string} - Project directory
+ */
+function makeProject(files) {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-merge-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  }
+  return projectDir;
+}
+
+const SCAFFOLD_PACKAGE = {
+  name: 'app',
+  type: 'module',
+  scripts: { dev: 'vite', build: 'vite build' },
+  dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' },
+  devDependencies: { vite: '^5.4.0', '@vitejs/plugin-react': '^4.3.1' }
+};
+
+const SCAFFOLD_VITE_CONFIG = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({ plugins: [react()] });
+`;
+
+test('deepMerge prefers the chosen side and records conflicts', () => {
+  const conflicts = [];
+  const merged = deepMerge(
+    { compilerOptions: { strict: true, target: 'ES2020' }, include: ['src'] },
+    { compilerOptions: { target: 'ESNext', jsx: 'react-jsx' }, include: ['src', 'tests'] },
+    true,
+    conflicts
+  );
+
+  assert.deepStrictEqual(merged, {
+    compilerOptions: { strict: true, target: 'ESNext', jsx: 'react-jsx' },
+    include: ['src', 'tests']
+  });
+  assert.deepStrictEqual(conflicts, [
+    { field: 'compilerOptions.target', scaffold: 'ES2020', generated: 'ESNext', resolved: 'ESNext' }
+  ]);
+});
+
+test('deepMerge skips keys that would change the prototype', () => {
+  const generated = JSON.parse('{ "__proto__": { "polluted": true }, "compilerOptions": { "constructor": { "x": 1 } } }');
+  const merged = deepMerge({ compilerOptions: { strict: true } }, generated, true, []);
+
+  assert.strictEqual(Object.getPrototypeOf(merged), Object.prototype);
+  assert.strictEqual(merged.polluted, undefined);
+  assert.strictEqual(Object.getPrototypeOf(merged.compilerOptions), Object.prototype);
+  assert.deepStrictEqual(merged, { compilerOptions: { strict: true } });
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('mergePackageJson keeps the scaffold scripts and combines dependencies', () => {
+  const { merged, conflicts } = mergePackageJson(SCAFFOLD_PACKAGE, {
+    name: 'counter',
+    scripts: { build: 'webpack', test: 'vitest run' },
+    dependencies: { react: '^18.3.1', axios: '^1.7.7' },
+    devDependencies: { vite: '^4.0.0' }
+  });
+
+  assert.strictEqual(merged.name, 'app');
+  assert.deepStrictEqual(merged.scripts, { dev: 'vite', build: 'vite build', test: 'vitest run' });
+  assert.deepStrictEqual(merged.dependencies, { react: '^18.3.1', 'react-dom': '^18.2.0', axios: '^1.7.7' });
+  // A different major version doesn't replace the scaffold's
+  assert.strictEqual(merged.devDependencies.vite, '^5.4.0');
+  assert.deepStrictEqual(conflicts.map(conflict => conflict.field).sort(), [
+    'dependencies.react',
+    'devDependencies.vite',
+    'name',
+    'scripts.build'
+  ]);
+});
+
+test('mergePackageJson keeps a package in the section the scaffold lists it in', () => {
+  const { merged } = mergePackageJson(SCAFFOLD_PACKAGE, { dependencies: { vite: '^5.4.8', latest: 'latest' } });
+
+  assert.strictEqual(merged.devDependencies.vite, '^5.4.8');
+  assert.strictEqual(merged.dependencies.vite, undefined);
+  assert.strictEqual(merged.dependencies.latest, 'latest');
+});
+
+test('mergePackageJson ignores a __proto__ field', () => {
+  const { merged } = mergePackageJson(SCAFFOLD_PACKAGE, JSON.parse('{ "__proto__": { "polluted": true } }'));
+
+  assert.strictEqual(Object.getPrototypeOf(merged), Object.prototype);
+  assert.strictEqual(merged.polluted, undefined);
+});
+
+test('mergeGeneratedFiles merges package.json and tsconfig and overwrites other files', async () => {
+  const projectDir = makeProject({
+    'package.json': JSON.stringify(SCAFFOLD_PACKAGE),
+    'tsconfig.json': '{\n  // Comments are allowed\n  "compilerOptions": { "strict": true, },\n}',
+    'src/App.jsx': 'old'
+  });
+
+  const { files, remove, report } = await mergeGeneratedFiles(projectDir, {
+    'package.json': JSON.stringify({ dependencies: { zustand: '^4.5.5' } }),
+    'tsconfig.json': JSON.stringify({ compilerOptions: { strict: false } }),
+    'src/App.jsx': 'new',
+    'src/store.js': 'store'
+  });
+
+  assert.deepStrictEqual(JSON.parse(files['package.json']).dependencies.zustand, '^4.5.5');
+  assert.deepStrictEqual(JSON.parse(files['tsconfig.json']), { compilerOptions: { strict: false } });
+  assert.strictEqual(files['src/App.jsx'], 'new');
+  assert.deepStrictEqual(remove, []);
+  assert.deepStrictEqual(report.map(entry => [entry.path, entry.action]), [
+    ['package.json', 'merged'],
+    ['tsconfig.json', 'merged'],
+    ['src/App.jsx', 'overwritten'],
+    ['src/store.js', 'added']
+  ]);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('mergeGeneratedFiles keeps the scaffold build config over an invalid one', async () => {
+  const projectDir = makeProject({
+    'package.json': JSON.stringify(SCAFFOLD_PACKAGE),
+    'vite.config.js': SCAFFOLD_VITE_CONFIG
+  });
+
+  const cases = [
+    ['const config = {};', "doesn't export a config"],
+    ["import legacy from '@vitejs/plugin-legacy';\nexport default { plugins: [legacy()] };", 'imports packages'],
+    ['export default { plugins: [ };', "doesn't parse"]
+  ];
+
+  for (const [content, reason] of cases) {
+    const { files, report } = await mergeGeneratedFiles(projectDir, { 'vite.config.js': content });
+    assert.deepStrictEqual(files, {});
+    assert.strictEqual(report[0].action, 'kept');
+    assert.ok(report[0].reason.includes(reason), report[0].reason);
+  }
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('mergeGeneratedFiles uses a valid build config and removes the other extension', async () => {
+  const projectDir = makeProject({
+    'package.json': JSON.stringify(SCAFFOLD_PACKAGE),
+    'vite.config.js': SCAFFOLD_VITE_CONFIG
+  });
+  const config = "import { defineConfig } from 'vite';\nimport react from '@vitejs/plugin-react';\n\nexport default defineConfig({ plugins: [react()], server: { port: 3000 } });\n";
+
+  const { files, remove, report } = await mergeGeneratedFiles(projectDir, { 'vite.config.ts': config });
+
+  assert.strictEqual(files['vite.config.ts'], config);
+  assert.deepStrictEqual(remove, ['vite.config.js']);
+  assert.deepStrictEqual(report, [{ path: 'vite.config.ts', action: 'overwritten', replaced: ['vite.config.js'] }]);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
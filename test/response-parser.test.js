@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseResponse, createResponseParser } = require('../lib/response-parser');
+
+const FENCE = '```';
+
+test('reads filename comments in backtick fences', () => {
+  const { files, warnings } = parseResponse([
+    'Here is the app:',
+    `${FENCE}jsx`,
+    '// filename: src/App.jsx',
+    'export default function App() {}',
+    FENCE
+  ].join('\n'));
+
+  assert.deepStrictEqual(files, { 'src/App.jsx': 'export default function App() {}' });
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('reads tilde fences and ignores backticks inside them', () => {
+  const { files } = parseResponse([
+    '~~~js',
+    '// filename: src/greet.js',
+    'const greet = name => `Hello ${name}`;',
+    '```',
+    '~~~'
+  ].join('\n'));
+
+  assert.strictEqual(files['src/greet.js'], 'const greet = name => `Hello ${name}`;\n```');
+});
+
+test('keeps fences nested inside a block as content', () => {
+  const readme = [
+    '# Counter',
+    '',
+    `${FENCE}bash`,
+    'npm install',
+    FENCE,
+    '',
+    'Then run it.'
+  ].join('\n');
+
+  const { files, warnings } = parseResponse([
+    `${FENCE}markdown`,
+    '<!-- filename: README.md -->',
+    readme,
+    FENCE,
+    `${FENCE}js`,
+    '// filename: index.js',
+    'console.log(1);',
+    FENCE
+  ].join('\n'));
+
+  assert.strictEqual(files['README.md'], readme);
+  assert.strictEqual(files['index.js'], 'console.log(1);');
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('reads filenames from the info string', () => {
+  const { files } = parseResponse([
+    `${FENCE}jsx:src/App.jsx`,
+    'export default 1;',
+    FENCE,
+    `${FENCE}css filename="src/index.css"`,
+    'body {}',
+    FENCE,
+    `${FENCE}src/main.jsx`,
+    'import App from "./App";',
+    FENCE
+  ].join('\n'));
+
+  assert.deepStrictEqual(Object.keys(files).sort(), ['src/App.jsx', 'src/index.css', 'src/main.jsx']);
+  assert.strictEqual(files['src/App.jsx'], 'export default 1;');
+});
+
+test('reads filenames from headings above the fence', () => {
+  const { files } = parseResponse([
+    '### `src/App.jsx`',
+    `${FENCE}jsx`,
+    'export default 1;',
+    FENCE,
+    '',
+    '**package.json**',
+    '',
+    `${FENCE}json`,
+    '{ "name": "app" }',
+    FENCE
+  ].join('\n'));
+
+  assert.strictEqual(files['src/App.jsx'], 'export default 1;');
+  assert.strictEqual(files['package.json'], '{ "name": "app" }');
+});
+
+test('reads a JSON manifest, bare or in an unnamed fence', () => {
+  const manifest = JSON.stringify({
+    files: [
+      { path: 'index.html', content: '<h1>Hi</h1>' },
+      { path: 'style.css', content: 'h1 {}' }
+    ]
+  });
+
+  assert.deepStrictEqual(parseResponse(manifest).files, { 'index.html': '<h1>Hi</h1>', 'style.css': 'h1 {}' });
+  assert.deepStrictEqual(parseResponse(`${FENCE}json\n${manifest}\n${FENCE}`).files, {
+    'index.html': '<h1>Hi</h1>',
+    'style.css': 'h1 {}'
+  });
+});
+
+test('does not mistake a package.json files array for a manifest', () => {
+  const { files, warnings } = parseResponse(`${FENCE}json\n{ "name": "lib", "files": ["dist"] }\n${FENCE}`);
+
+  assert.deepStrictEqual(files, {});
+  assert.strictEqual(warnings[0].type, 'unnamed');
+});
+
+test('reads XML manifests', () => {
+  const { files } = parseResponse([
+    '<file path="src/a.js">export const a = 1;</file>',
+    '<file path="src/b.js">',
+    'export const b = 2;',
+    '</file>'
+  ].join('\n'));
+
+  assert.deepStrictEqual(files, { 'src/a.js': 'export const a = 1;', 'src/b.js': 'export const b = 2;' });
+});
+
+test('warns about blocks cut off before their closing fence', () => {
+  const { files, warnings } = parseResponse(`${FENCE}js\n// filename: src/cut.js\nconst a = 1;`);
+
+  assert.strictEqual(files['src/cut.js'], 'const a = 1;');
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0].type, 'truncated');
+  assert.strictEqual(warnings[0].file, 'src/cut.js');
+});
+
+test('warns about unnamed blocks and duplicate files', () => {
+  const { files, warnings } = parseResponse([
+    `${FENCE}bash`,
+    'npm install',
+    FENCE,
+    `${FENCE}js`,
+    '// filename: a.js',
+    'first',
+    FENCE,
+    `${FENCE}js`,
+    '// filename: a.js',
+    'second',
+    FENCE
+  ].join('\n'));
+
+  assert.deepStrictEqual(files, { 'a.js': 'second' });
+  assert.deepStrictEqual(warnings.map(warning => warning.type), ['unnamed', 'duplicate']);
+});
+
+test('reports each file as soon as its block closes when fed in chunks', () => {
+  const seen = [];
+  const parser = createResponseParser({ onFile: filename => seen.push(filename) });
+  const text = `${FENCE}js\n// filename: a.js\n1\n${FENCE}\n${FENCE}js\n// filename: b.js\n2\n${FENCE}\n`;
+
+  for (let i = 0; i < text.length; i += 5) {
+    parser.push(text.slice(i, i + 5));
+    if (text.slice(0, i + 5).includes(`1\n${FENCE}\n`)) {
+      assert.ok(seen.includes('a.js'));
+    }
+  }
+
+  assert.deepStrictEqual(Object.keys(parser.end().files), ['a.js', 'b.js']);
+  assert.deepStrictEqual(seen, ['a.js', 'b.js']);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWritePolicy, checkWrite } = require('../lib/write-policy');
+
+/**
+ * Create a project directory next to a directory outside it
+ * @returns {Object} - { base, projectDir, outsideDir }
+ */
+function makeProject() {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'write-policy-'));
+  const projectDir = path.join(base, 'project');
+  const outsideDir = path.join(base, 'outside');
+  fs.mkdirSync(projectDir);
+  fs.mkdirSync(outsideDir);
+  return { base, projectDir, outsideDir };
+}
+
+const policy = loadWritePolicy();
+
+test('allows new files inside the project', () => {
+  const { base, projectDir } = makeProject();
+  assert.strictEqual(checkWrite(projectDir, 'src/App.jsx', '', policy).allowed, true);
+  fs.rmSync(base, { recursive: true, force: true });
+});
+
+test('rejects paths that leave the project', () => {
+  const { base, projectDir } = makeProject();
+  assert.strictEqual(checkWrite(projectDir, '../outside/file.txt', '', policy).allowed, false);
+  assert.strictEqual(checkWrite(projectDir, '/etc/passwd', '', policy).allowed, false);
+  fs.rmSync(base, { recursive: true, force: true });
+});
+
+test('rejects writes through a dangling symlink pointing outside', () => {
+  const { base, projectDir, outsideDir } = makeProject();
+  fs.symlinkSync(path.join(outsideDir, 'missing.txt'), path.join(projectDir, 'link.txt'));
+  assert.strictEqual(checkWrite(projectDir, 'link.txt', '', policy).allowed, false);
+  fs.rmSync(base, { recursive: true, force: true });
+});
+
+test('rejects writes through a dangling symlink pointing inside', () => {
+  const { base, projectDir } = makeProject();
+  fs.symlinkSync(path.join(projectDir, 'missing.txt'), path.join(projectDir, 'link.txt'));
+  assert.strictEqual(checkWrite(projectDir, 'link.txt', '', policy).allowed, false);
+  fs.rmSync(base, { recursive: true, force: true });
+});
+
+test('rejects writes below a symlinked directory outside the project', () => {
+  const { base, projectDir, outsideDir } = makeProject();
+  fs.symlinkSync(outsideDir, path.join(projectDir, 'linked'));
+  assert.strictEqual(checkWrite(projectDir, 'linked/new/file.txt', '', policy).allowed, false);
+  fs.rmSync(base, { recursive: true, force: true });
+});
+
+test('allows writes through symlinks that stay inside the project', () => {
+  const { base, projectDir } = makeProject();
+  fs.mkdirSync(path.join(projectDir, 'src'));
+  fs.writeFileSync(path.join(projectDir, 'src', 'index.js'), '');
+  fs.symlinkSync(path.join(projectDir, 'src'), path.join(projectDir, 'lib'));
+  fs.symlinkSync(path.join(projectDir, 'src', 'index.js'), path.join(projectDir, 'index.js'));
+  assert.strictEqual(checkWrite(projectDir, 'lib/index.js', '', policy).allowed, true);
+  assert.strictEqual(checkWrite(projectDir, 'index.js', '', policy).allowed, true);
+  fs.rmSync(base, { recursive: true, force: true });
+});